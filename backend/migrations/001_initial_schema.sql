@@ -0,0 +1,154 @@
+-- Tables as of the first versioned migration. IF NOT EXISTS lets databases
+-- set up by hand from the README adopt the migrations.
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+-- Users with bcrypt password hashes
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    name TEXT,
+    role TEXT NOT NULL DEFAULT 'citizen',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    last_login_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Issued refresh tokens (id is the token's jti)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Disasters table with geospatial support
+CREATE TABLE IF NOT EXISTS disasters (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT NOT NULL,
+    location_name TEXT,
+    location GEOGRAPHY(POINT, 4326),
+    affected_area JSONB,               -- GeoJSON Polygon or MultiPolygon
+    affected_area_geog GEOGRAPHY GENERATED ALWAYS AS (
+        ST_SetSRID(ST_GeomFromGeoJSON(affected_area::text), 4326)::geography
+    ) STORED,
+    severity_zones JSONB NOT NULL DEFAULT '[]'::jsonb,  -- [{ severity, area }]
+    description TEXT,
+    tags TEXT[],
+    status TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'monitoring', 'resolved', 'archived')),
+    version INTEGER NOT NULL DEFAULT 1,
+    owner_id TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    audit_trail JSONB DEFAULT '[]'::jsonb,
+    situation JSONB
+);
+
+-- Reports table for user submissions
+CREATE TABLE IF NOT EXISTS reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    disaster_id UUID REFERENCES disasters(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    content TEXT NOT NULL,
+    image_url TEXT,
+    thumbnail_url TEXT,
+    situation JSONB,
+    verification_status TEXT DEFAULT 'pending',
+    claimed_by TEXT,
+    claimed_at TIMESTAMPTZ,
+    reviewed_by TEXT,
+    reviewed_at TIMESTAMPTZ,
+    review_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Moderation audit log for reports
+CREATE TABLE IF NOT EXISTS report_moderation_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+    disaster_id UUID REFERENCES disasters(id) ON DELETE CASCADE,
+    moderator_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    from_status TEXT,
+    to_status TEXT,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Verification attempts (AI or human) for report images
+CREATE TABLE IF NOT EXISTS report_verifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    disaster_id UUID REFERENCES disasters(id) ON DELETE CASCADE,
+    report_id UUID REFERENCES reports(id) ON DELETE CASCADE,
+    image_url TEXT,
+    source TEXT NOT NULL,              -- ai | forensics | human
+    result TEXT NOT NULL,              -- verified | flagged | needs_review | rejected | error
+    model TEXT,
+    model_version TEXT,
+    confidence NUMERIC,
+    reviewer_id TEXT,
+    requested_by TEXT,
+    reason TEXT,
+    details JSONB,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Fingerprints of uploaded report images, for duplicate detection
+CREATE TABLE IF NOT EXISTS report_images (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    disaster_id UUID REFERENCES disasters(id) ON DELETE CASCADE,
+    report_id UUID REFERENCES reports(id) ON DELETE SET NULL,
+    image_url TEXT UNIQUE NOT NULL,
+    sha256 TEXT NOT NULL,
+    phash TEXT,                        -- 64-bit hashes as 16 hex characters
+    dhash TEXT,
+    width INTEGER,
+    height INTEGER,
+    exif JSONB,
+    uploaded_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Generated situation reports, one row per version
+CREATE TABLE IF NOT EXISTS sitreps (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    disaster_id UUID REFERENCES disasters(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    mode TEXT NOT NULL,                -- llm | template
+    provider TEXT,
+    model TEXT,
+    content JSONB NOT NULL,
+    sources JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_by TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    UNIQUE (disaster_id, version)
+);
+
+-- Resources table for emergency resources
+CREATE TABLE IF NOT EXISTS resources (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    disaster_id UUID REFERENCES disasters(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    location_name TEXT,
+    location GEOGRAPHY(POINT, 4326),
+    type TEXT NOT NULL,
+    description TEXT,
+    contact_info TEXT,
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Cache table for external API responses
+CREATE TABLE IF NOT EXISTS cache (
+    key TEXT PRIMARY KEY,
+    value JSONB NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Missing from resources tables created by hand before it was recorded
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS created_by TEXT;
@@ -0,0 +1,17 @@
+-- Geospatial indexes
+CREATE INDEX IF NOT EXISTS disasters_location_idx ON disasters USING GIST (location);
+CREATE INDEX IF NOT EXISTS disasters_affected_area_idx ON disasters USING GIST (affected_area_geog);
+CREATE INDEX IF NOT EXISTS resources_location_idx ON resources USING GIST (location);
+CREATE INDEX IF NOT EXISTS resources_disaster_idx ON resources (disaster_id, type);
+
+-- Query optimization indexes
+CREATE INDEX IF NOT EXISTS disasters_tags_idx ON disasters USING GIN (tags);
+CREATE INDEX IF NOT EXISTS disasters_owner_idx ON disasters (owner_id);
+CREATE INDEX IF NOT EXISTS disasters_status_idx ON disasters (status);
+CREATE INDEX IF NOT EXISTS reports_status_idx ON reports (verification_status, created_at);
+CREATE INDEX IF NOT EXISTS report_moderation_log_report_idx ON report_moderation_log (report_id, created_at);
+CREATE INDEX IF NOT EXISTS report_verifications_disaster_idx ON report_verifications (disaster_id, created_at);
+CREATE INDEX IF NOT EXISTS report_verifications_report_idx ON report_verifications (report_id, created_at);
+CREATE INDEX IF NOT EXISTS report_images_sha256_idx ON report_images (sha256);
+CREATE INDEX IF NOT EXISTS cache_expires_idx ON cache (expires_at);
+CREATE INDEX IF NOT EXISTS refresh_tokens_user_idx ON refresh_tokens (user_id);
@@ -0,0 +1,73 @@
+-- Disasters whose affected area, or point when they have none, intersects p_area (GeoJSON)
+CREATE OR REPLACE FUNCTION disasters_intersecting(p_area JSONB)
+RETURNS TABLE (id UUID)
+LANGUAGE sql STABLE AS $$
+    WITH area AS (
+        SELECT ST_SetSRID(ST_GeomFromGeoJSON(p_area::text), 4326)::geography AS geog
+    )
+    SELECT d.id FROM disasters d, area
+    WHERE ST_Intersects(d.affected_area_geog, area.geog)
+       OR (d.affected_area_geog IS NULL AND ST_Intersects(d.location, area.geog));
+$$;
+
+-- Disasters within p_radius metres of a point, measured to their affected
+-- area or, when they have none, their point
+CREATE OR REPLACE FUNCTION disasters_near(p_lat DOUBLE PRECISION, p_lng DOUBLE PRECISION, p_radius DOUBLE PRECISION)
+RETURNS TABLE (id UUID, distance DOUBLE PRECISION)
+LANGUAGE sql STABLE AS $$
+    WITH origin AS (
+        SELECT ST_SetSRID(ST_MakePoint(p_lng, p_lat), 4326)::geography AS geog
+    )
+    SELECT d.id, ST_Distance(COALESCE(d.affected_area_geog, d.location), origin.geog)
+    FROM disasters d, origin
+    WHERE ST_DWithin(d.affected_area_geog, origin.geog, p_radius)
+       OR (d.affected_area_geog IS NULL AND ST_DWithin(d.location, origin.geog, p_radius));
+$$;
+
+-- Near-duplicate search over report_images (Hamming distance, PostgreSQL 14+)
+CREATE OR REPLACE FUNCTION find_similar_images(
+    p_phash TEXT, p_dhash TEXT, p_exclude_url TEXT, p_max_distance INTEGER, p_limit INTEGER
+)
+RETURNS TABLE (
+    image_url TEXT, sha256 TEXT, disaster_id UUID, disaster_title TEXT, report_id UUID,
+    created_at TIMESTAMPTZ, phash_distance INTEGER, dhash_distance INTEGER
+)
+LANGUAGE sql STABLE AS $$
+    SELECT * FROM (
+        SELECT i.image_url, i.sha256, i.disaster_id, d.title, i.report_id, i.created_at,
+            bit_count(('x' || i.phash)::bit(64) # ('x' || p_phash)::bit(64))::INTEGER,
+            bit_count(('x' || i.dhash)::bit(64) # ('x' || p_dhash)::bit(64))::INTEGER
+        FROM report_images i
+        LEFT JOIN disasters d ON d.id = i.disaster_id
+        WHERE i.phash IS NOT NULL AND i.image_url <> p_exclude_url
+    ) AS candidates (image_url, sha256, disaster_id, disaster_title, report_id, created_at, phash_distance, dhash_distance)
+    WHERE candidates.phash_distance <= p_max_distance OR candidates.dhash_distance <= p_max_distance
+    ORDER BY LEAST(candidates.phash_distance, candidates.dhash_distance), candidates.created_at
+    LIMIT p_limit;
+$$;
+
+-- A disaster's resources within p_radius metres of a point, nearest first.
+-- Replaces the hand-made version that took the radius as an INTEGER.
+DROP FUNCTION IF EXISTS get_nearby_resources(UUID, DOUBLE PRECISION, DOUBLE PRECISION, INTEGER, TEXT);
+CREATE OR REPLACE FUNCTION get_nearby_resources(
+    p_disaster_id UUID, p_lat DOUBLE PRECISION, p_lon DOUBLE PRECISION, p_radius DOUBLE PRECISION, p_type TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+    id UUID, disaster_id UUID, name TEXT, location_name TEXT, type TEXT, description TEXT,
+    contact_info TEXT, created_by TEXT, created_at TIMESTAMPTZ,
+    lat DOUBLE PRECISION, lng DOUBLE PRECISION, distance DOUBLE PRECISION
+)
+LANGUAGE sql STABLE AS $$
+    WITH origin AS (
+        SELECT ST_SetSRID(ST_MakePoint(p_lon, p_lat), 4326)::geography AS geog
+    )
+    SELECT r.id, r.disaster_id, r.name, r.location_name, r.type, r.description,
+        r.contact_info, r.created_by, r.created_at,
+        ST_Y(r.location::geometry), ST_X(r.location::geometry),
+        ST_Distance(r.location, origin.geog)
+    FROM resources r, origin
+    WHERE r.disaster_id = p_disaster_id
+      AND ST_DWithin(r.location, origin.geog, p_radius)
+      AND (p_type IS NULL OR r.type = p_type)
+    ORDER BY ST_Distance(r.location, origin.geog);
+$$;
@@ -0,0 +1,14 @@
+-- All data goes through the API, which connects with the service role key
+-- and so bypasses row level security. With RLS on and no policies, the
+-- public anon key can't read or write any table directly.
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE disasters ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE report_moderation_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE report_verifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE report_images ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sitreps ENABLE ROW LEVEL SECURITY;
+ALTER TABLE resources ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cache ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,57 @@
+-- Availability tracking for resources: status, capacity and occupancy,
+-- opening hours and when someone last confirmed them, with a history of
+-- status and occupancy changes
+
+ALTER TABLE resources
+    ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'available'
+        CHECK (status IN ('available', 'limited', 'unavailable', 'depleted')),
+    ADD COLUMN IF NOT EXISTS capacity INTEGER CHECK (capacity >= 0),
+    ADD COLUMN IF NOT EXISTS occupancy INTEGER CHECK (occupancy >= 0),
+    ADD COLUMN IF NOT EXISTS opening_hours JSONB,   -- { "mon": [{ "open": "08:00", "close": "20:00" }], ... }
+    ADD COLUMN IF NOT EXISTS last_confirmed_at TIMESTAMPTZ DEFAULT now(),
+    ADD COLUMN IF NOT EXISTS updated_by TEXT,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+
+CREATE TABLE IF NOT EXISTS resource_status_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    resource_id UUID REFERENCES resources(id) ON DELETE CASCADE,
+    disaster_id UUID REFERENCES disasters(id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    capacity INTEGER,
+    occupancy INTEGER,
+    changed_by TEXT NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS resource_status_history_resource_idx ON resource_status_history (resource_id, created_at);
+
+ALTER TABLE resource_status_history ENABLE ROW LEVEL SECURITY;
+
+-- Return the availability columns from the nearby search
+DROP FUNCTION IF EXISTS get_nearby_resources(UUID, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, TEXT);
+CREATE FUNCTION get_nearby_resources(
+    p_disaster_id UUID, p_lat DOUBLE PRECISION, p_lon DOUBLE PRECISION, p_radius DOUBLE PRECISION, p_type TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+    id UUID, disaster_id UUID, name TEXT, location_name TEXT, type TEXT, description TEXT,
+    contact_info TEXT, status TEXT, capacity INTEGER, occupancy INTEGER, opening_hours JSONB,
+    last_confirmed_at TIMESTAMPTZ, created_by TEXT, created_at TIMESTAMPTZ, updated_at TIMESTAMPTZ,
+    lat DOUBLE PRECISION, lng DOUBLE PRECISION, distance DOUBLE PRECISION
+)
+LANGUAGE sql STABLE AS $$
+    WITH origin AS (
+        SELECT ST_SetSRID(ST_MakePoint(p_lon, p_lat), 4326)::geography AS geog
+    )
+    SELECT r.id, r.disaster_id, r.name, r.location_name, r.type, r.description,
+        r.contact_info, r.status, r.capacity, r.occupancy, r.opening_hours,
+        r.last_confirmed_at, r.created_by, r.created_at, r.updated_at,
+        ST_Y(r.location::geometry), ST_X(r.location::geometry),
+        ST_Distance(r.location, origin.geog)
+    FROM resources r, origin
+    WHERE r.disaster_id = p_disaster_id
+      AND ST_DWithin(r.location, origin.geog, p_radius)
+      AND (p_type IS NULL OR r.type = p_type)
+    ORDER BY ST_Distance(r.location, origin.geog);
+$$;
@@ -0,0 +1,49 @@
+-- One page of disasters matching the list filters: within p_radius metres of
+-- a point, intersecting a bbox and/or area (GeoJSON), with a tag, owner and
+-- status. Areas are measured by their affected area or, when they have none,
+-- their point. Ordered nearest first for p_sort = 'distance', otherwise
+-- newest first; distance is null without a point.
+CREATE OR REPLACE FUNCTION search_disasters(
+    p_lat DOUBLE PRECISION, p_lng DOUBLE PRECISION, p_radius DOUBLE PRECISION,
+    p_bbox JSONB, p_area JSONB,
+    p_tag TEXT, p_owner_id TEXT, p_statuses TEXT[],
+    p_sort TEXT, p_limit INTEGER, p_offset INTEGER
+)
+RETURNS TABLE (id UUID, distance DOUBLE PRECISION)
+LANGUAGE sql STABLE AS $$
+    WITH params AS (
+        SELECT
+            CASE WHEN p_lat IS NOT NULL
+                THEN ST_SetSRID(ST_MakePoint(p_lng, p_lat), 4326)::geography END AS origin,
+            CASE WHEN p_bbox IS NOT NULL
+                THEN ST_SetSRID(ST_GeomFromGeoJSON(p_bbox::text), 4326)::geography END AS bbox,
+            CASE WHEN p_area IS NOT NULL
+                THEN ST_SetSRID(ST_GeomFromGeoJSON(p_area::text), 4326)::geography END AS area
+    ),
+    matches AS (
+        SELECT d.id, d.created_at,
+            ST_Distance(COALESCE(d.affected_area_geog, d.location), params.origin) AS distance
+        FROM disasters d, params
+        WHERE (p_tag IS NULL OR d.tags @> ARRAY[p_tag])
+          AND (p_owner_id IS NULL OR d.owner_id = p_owner_id)
+          AND (p_statuses IS NULL OR d.status = ANY (p_statuses))
+          AND (params.origin IS NULL
+               OR ST_DWithin(d.affected_area_geog, params.origin, p_radius)
+               OR (d.affected_area_geog IS NULL AND ST_DWithin(d.location, params.origin, p_radius)))
+          AND (params.bbox IS NULL
+               OR ST_Intersects(d.affected_area_geog, params.bbox)
+               OR (d.affected_area_geog IS NULL AND ST_Intersects(d.location, params.bbox)))
+          AND (params.area IS NULL
+               OR ST_Intersects(d.affected_area_geog, params.area)
+               OR (d.affected_area_geog IS NULL AND ST_Intersects(d.location, params.area)))
+    )
+    SELECT matches.id, matches.distance
+    FROM matches
+    ORDER BY CASE WHEN p_sort = 'distance' THEN matches.distance END, matches.created_at DESC
+    LIMIT p_limit OFFSET p_offset;
+$$;
+
+-- Replaced by search_disasters, which pages in the database instead of
+-- returning every matching id
+DROP FUNCTION IF EXISTS disasters_near(DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION);
+DROP FUNCTION IF EXISTS disasters_intersecting(JSONB);
@@ -0,0 +1,30 @@
+-- Columns added after the tables were first documented. Databases built by
+-- hand from an older README keep their existing tables in 001, so these
+-- bring them up to date. Every statement is idempotent: such databases run
+-- this file once before the first `npm run migrate`, since 002 already
+-- indexes affected_area_geog.
+
+ALTER TABLE disasters
+    ADD COLUMN IF NOT EXISTS affected_area JSONB,
+    ADD COLUMN IF NOT EXISTS affected_area_geog GEOGRAPHY GENERATED ALWAYS AS (
+        ST_SetSRID(ST_GeomFromGeoJSON(affected_area::text), 4326)::geography
+    ) STORED,
+    ADD COLUMN IF NOT EXISTS severity_zones JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'monitoring', 'resolved', 'archived')),
+    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS situation JSONB;
+
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS thumbnail_url TEXT,
+    ADD COLUMN IF NOT EXISTS situation JSONB,
+    ADD COLUMN IF NOT EXISTS claimed_by TEXT,
+    ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS reviewed_by TEXT,
+    ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS review_reason TEXT;
+
+ALTER TABLE report_images
+    ADD COLUMN IF NOT EXISTS report_id UUID REFERENCES reports(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS phash TEXT,
+    ADD COLUMN IF NOT EXISTS dhash TEXT;
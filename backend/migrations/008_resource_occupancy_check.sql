@@ -0,0 +1,16 @@
+-- Occupancy can't exceed capacity. Postgres has no ADD CONSTRAINT IF NOT
+-- EXISTS, so check pg_constraint to keep the file safe to run again.
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'resources_occupancy_within_capacity'
+          AND conrelid = 'resources'::regclass
+    ) THEN
+        ALTER TABLE resources
+            ADD CONSTRAINT resources_occupancy_within_capacity
+                CHECK (occupancy IS NULL OR capacity IS NULL OR occupancy <= capacity);
+    END IF;
+END;
+$$;
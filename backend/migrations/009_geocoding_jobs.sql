@@ -0,0 +1,21 @@
+-- Batch geocoding jobs, kept until expires_at so a running job can't be
+-- evicted the way cache entries are
+
+CREATE TABLE IF NOT EXISTS geocoding_jobs (
+    id UUID PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    total INTEGER NOT NULL,
+    unique_items INTEGER NOT NULL,
+    processed INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    results JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS geocoding_jobs_expires_idx ON geocoding_jobs (expires_at);
+
+ALTER TABLE geocoding_jobs ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,28 @@
+// Usage: npm run create-user -- <username> <password> <role> [display name]
+require('dotenv').config();
+const { createUser } = require('../src/services/auth');
+const { USER_ROLES } = require('../src/utils/constants');
+
+const [username, password, role, ...nameParts] = process.argv.slice(2);
+const roles = Object.values(USER_ROLES).map(r => r.name);
+
+if (!username || !password || !roles.includes(role)) {
+  console.error('Usage: npm run create-user -- <username> <password> <role> [display name]');
+  console.error(`Roles: ${roles.join(', ')}`);
+  process.exit(1);
+}
+
+if (password.length < 8) {
+  console.error('Password must be at least 8 characters');
+  process.exit(1);
+}
+
+createUser({ username, password, role, name: nameParts.join(' ') || undefined })
+  .then((user) => {
+    console.log(`Created ${user.role} user "${user.username}" (${user.id})`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Failed to create user:', error.message);
+    process.exit(1);
+  });
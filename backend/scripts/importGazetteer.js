@@ -0,0 +1,49 @@
+// Usage: npm run import-gazetteer -- <file>... [--admin1 <file>] [--admin2 <file>]
+//          [--min-population <n>] [--out <file>] [--append]
+// Files are GeoNames dumps (.txt/.tsv) or GeoJSON (.json/.geojson).
+require('dotenv').config();
+const { importGazetteer } = require('../src/services/gazetteer');
+
+const USAGE = 'Usage: npm run import-gazetteer -- <file>... [--admin1 <file>] [--admin2 <file>] ' +
+  '[--min-population <n>] [--out <file>] [--append]';
+
+const args = process.argv.slice(2);
+const files = [];
+const options = {};
+
+for (let i = 0; i < args.length; i++) {
+  switch (args[i]) {
+    case '--admin1':
+      options.admin1 = args[++i];
+      break;
+    case '--admin2':
+      options.admin2 = args[++i];
+      break;
+    case '--min-population':
+      options.minPopulation = parseInt(args[++i], 10) || 0;
+      break;
+    case '--out':
+      options.out = args[++i];
+      break;
+    case '--append':
+      options.append = true;
+      break;
+    default:
+      files.push(args[i]);
+  }
+}
+
+if (files.length === 0 || files.some(file => !file || file.startsWith('--'))) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+importGazetteer(files, options)
+  .then((count) => {
+    console.log(`Gazetteer now holds ${count} places`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Failed to import gazetteer:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,96 @@
+// Usage: npm run migrate [-- --status]
+// Applies the SQL files in backend/migrations that haven't run yet, in
+// order, each in its own transaction, and records them in schema_migrations.
+// Needs psql and DATABASE_URL (the Supabase Postgres connection string).
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+
+const databaseUrl = process.env.DATABASE_URL;
+const statusOnly = process.argv.includes('--status');
+
+if (!databaseUrl) {
+  console.error('DATABASE_URL is required (Supabase: Project Settings > Database > Connection string)');
+  process.exit(1);
+}
+
+const psql = (...args) => execFileSync(
+  'psql',
+  [databaseUrl, '--no-psqlrc', '--quiet', '--tuples-only', '--no-align', '--set', 'ON_ERROR_STOP=1', ...args],
+  { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }
+);
+
+const readMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(file => MIGRATION_FILE.test(file))
+  .sort()
+  .map((file) => {
+    const [, version, name] = file.match(MIGRATION_FILE);
+    const checksum = crypto.createHash('sha256').update(fs.readFileSync(path.join(MIGRATIONS_DIR, file))).digest('hex');
+    return { file, version, name, checksum };
+  });
+
+const readApplied = () => {
+  psql('--command', `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ DEFAULT now()
+    );
+    ALTER TABLE schema_migrations ENABLE ROW LEVEL SECURITY;
+  `);
+
+  return new Map(psql('--field-separator', '|', '--command', 'SELECT version, checksum FROM schema_migrations')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => line.split('|')));
+};
+
+// Version, name and checksum come from the file name pattern and a hex
+// digest, so they are safe to inline
+const apply = ({ file, version, name, checksum }) => psql(
+  '--single-transaction',
+  '--file', path.join(MIGRATIONS_DIR, file),
+  '--command', `INSERT INTO schema_migrations (version, name, checksum) VALUES ('${version}', '${name}', '${checksum}')`
+);
+
+const run = () => {
+  const migrations = readMigrations();
+  const applied = readApplied();
+
+  migrations
+    .filter(m => applied.has(m.version) && applied.get(m.version) !== m.checksum)
+    .forEach(m => console.warn(`Warning: ${m.file} was edited after it was applied; add a new migration instead`));
+
+  const pending = migrations.filter(m => !applied.has(m.version));
+
+  if (statusOnly) {
+    migrations.forEach(m => console.log(`${applied.has(m.version) ? 'applied' : 'pending'}  ${m.file}`));
+    return;
+  }
+
+  if (pending.length === 0) {
+    console.log('Database is up to date');
+    return;
+  }
+
+  pending.forEach((migration) => {
+    console.log(`Applying ${migration.file}`);
+    apply(migration);
+  });
+  console.log(`Applied ${pending.length} migration${pending.length === 1 ? '' : 's'}`);
+};
+
+try {
+  run();
+  process.exit(0);
+} catch (error) {
+  const reason = error.code === 'ENOENT' ? 'psql was not found on the PATH' : (error.stderr || error.message).trim();
+  console.error('Migration failed:', reason);
+  process.exit(1);
+}
@@ -7,7 +7,10 @@ require('dotenv').config();
 const routes = require('./routes');
 const { initializeSocket } = require('./services/websocket');
 const logger = require('./utils/logger');
+const { getStorage } = require('./services/storage');
+const { UPLOAD_CONFIG } = require('./utils/constants');
 const { readLimiter, generalLimiter } = require('./middleware/rateLimiter');
+const { startCacheCleanup } = require('./middleware/cache');
 
 const app = express();
 const server = http.createServer(app);
@@ -69,8 +72,9 @@ app.use(cors({
     callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-user-id', 'x-request-id', 'x-request-time']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'x-request-id', 'x-request-time'],
+  exposedHeaders: ['ETag']
 }));
 
 app.use((req, res, next) => {
@@ -116,6 +120,15 @@ app.get('/', (req, res) => {
   });
 });
 
+// Uploaded files are immutable (keys are random), so they can be cached hard
+if (getStorage().name === 'local') {
+  app.use(UPLOAD_CONFIG.PUBLIC_PATH, express.static(getStorage().root, {
+    immutable: true,
+    maxAge: '30d',
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 app.use('/api', routes);
 
 app.use((err, req, res, next) => {
@@ -142,6 +155,8 @@ server.listen(PORT, '0.0.0.0', () => {
   logger.info(`🚀 Server running on port ${PORT}`);
   logger.info(`📡 Environment: ${process.env.NODE_ENV}`);
   logger.info(`🔗 WebSocket server ready`);
+
+  startCacheCleanup();
   
   if (process.env.NODE_ENV === 'development') {
     logger.info(`🌐 Local server: http://localhost:${PORT}`);
@@ -0,0 +1,89 @@
+const {
+  authenticate,
+  issueTokens,
+  rotateRefreshToken,
+  logoutRefreshToken,
+  findUserById,
+  toPublicUser
+} = require('../services/auth');
+const logger = require('../utils/logger');
+const { MESSAGES } = require('../utils/constants');
+
+const login = async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const user = await authenticate(username, password);
+
+    if (!user) {
+      logger.warn(`Failed login attempt for user: ${username}`);
+      return res.status(401).json({ error: MESSAGES.ERROR.INVALID_CREDENTIALS });
+    }
+
+    const tokens = await issueTokens(user);
+
+    logger.auth('login', user.id, { username: user.username, ip: req.ip });
+    res.json({ user: toPublicUser(user), ...tokens });
+  } catch (error) {
+    logger.error('Error in login:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+};
+
+const refresh = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    const result = await rotateRefreshToken(refresh_token);
+
+    if (!result) {
+      return res.status(401).json({ error: MESSAGES.ERROR.INVALID_TOKEN });
+    }
+
+    logger.auth('refresh', result.user.id);
+    res.json({ user: toPublicUser(result.user), ...result.tokens });
+  } catch (error) {
+    logger.error('Error in refresh:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (refresh_token) {
+      const userId = await logoutRefreshToken(refresh_token);
+      if (userId) {
+        logger.auth('logout', userId);
+      }
+    }
+
+    res.json({ message: MESSAGES.SUCCESS.LOGGED_OUT });
+  } catch (error) {
+    logger.error('Error in logout:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+};
+
+const getCurrentUser = async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+
+    if (!user || !user.is_active) {
+      return res.status(401).json({ error: MESSAGES.ERROR.UNAUTHORIZED });
+    }
+
+    res.json(toPublicUser(user));
+  } catch (error) {
+    logger.error('Error in getCurrentUser:', error);
+    res.status(500).json({ error: 'Failed to fetch current user' });
+  }
+};
+
+module.exports = {
+  login,
+  refresh,
+  logout,
+  getCurrentUser
+};
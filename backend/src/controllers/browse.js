@@ -1,5 +1,4 @@
-const { fetchOfficialUpdates, filterOfficialUpdates, searchOfficialUpdates } = require('../services/browse');
-const { getCachedData, setCachedData } = require('../middleware/cache');
+const { filterOfficialUpdates, loadOfficialUpdates, searchOfficialUpdates } = require('../services/browse');
 const logger = require('../utils/logger');
 
 /**
@@ -16,21 +15,11 @@ const getOfficialUpdates = async (req, res) => {
       limit = 50 
     } = req.query;
 
-    // Create cache key based on parameters
-    const cacheKey = `official_updates_${disaster_id}_${sources}_${category || 'all'}_${severity || 'all'}_${keywords || 'none'}`;
-    
-    // Check cache first
-    const cachedData = await getCachedData(cacheKey);
-    if (cachedData) {
-      logger.info(`Official updates served from cache for disaster ${disaster_id}`);
-      return res.json(cachedData);
-    }
-
     // Parse sources parameter
     const sourceArray = sources === 'all' ? ['all'] : sources.split(',').map(s => s.trim());
     
     // Fetch official updates from multiple sources
-    let officialUpdates = await fetchOfficialUpdates(sourceArray);
+    let officialUpdates = await loadOfficialUpdates(sourceArray);
     
     // Apply filters if provided
     if (category) {
@@ -64,9 +53,6 @@ const getOfficialUpdates = async (req, res) => {
       last_updated: new Date().toISOString(),
       updates: officialUpdates
     };
-    
-    // Cache the results
-    await setCachedData(cacheKey, response);
 
     logger.info(`Official updates fetched for disaster ${disaster_id}: ${officialUpdates.length} updates`);
     res.json(response);
@@ -140,19 +126,11 @@ const getUpdatesByCategory = async (req, res) => {
     const { category } = req.params;
     const { sources = 'all', limit = 20 } = req.query;
     
-    const cacheKey = `updates_by_category_${category}_${sources}`;
-    
-    // Check cache first
-    const cachedData = await getCachedData(cacheKey);
-    if (cachedData) {
-      return res.json(cachedData);
-    }
-    
     // Parse sources parameter
     const sourceArray = sources === 'all' ? ['all'] : sources.split(',').map(s => s.trim());
     
     // Fetch all official updates
-    let allUpdates = await fetchOfficialUpdates(sourceArray);
+    let allUpdates = await loadOfficialUpdates(sourceArray);
     
     // Filter by category
     const categoryUpdates = filterOfficialUpdates(allUpdates, category);
@@ -168,9 +146,6 @@ const getUpdatesByCategory = async (req, res) => {
       updates: limitedUpdates
     };
     
-    // Cache the results
-    await setCachedData(cacheKey, response);
-    
     logger.info(`Category updates fetched for ${category}: ${limitedUpdates.length} updates`);
     res.json(response);
   } catch (error) {
@@ -189,23 +164,11 @@ const searchAllUpdates = async (req, res) => {
   try {
     const { q: query, sources = 'all', limit = 30 } = req.query;
     
-    if (!query) {
-      return res.status(400).json({ error: 'Search query is required' });
-    }
-    
-    const cacheKey = `search_updates_${query}_${sources}`;
-    
-    // Check cache first
-    const cachedData = await getCachedData(cacheKey);
-    if (cachedData) {
-      return res.json(cachedData);
-    }
-    
     // Parse sources parameter
     const sourceArray = sources === 'all' ? ['all'] : sources.split(',').map(s => s.trim());
     
     // Fetch all official updates
-    const allUpdates = await fetchOfficialUpdates(sourceArray);
+    const allUpdates = await loadOfficialUpdates(sourceArray);
     
     // Search updates
     const searchResults = searchOfficialUpdates(allUpdates, query);
@@ -221,9 +184,6 @@ const searchAllUpdates = async (req, res) => {
       results: limitedResults
     };
     
-    // Cache the results
-    await setCachedData(cacheKey, response);
-    
     logger.info(`Search completed for query "${query}": ${limitedResults.length} results`);
     res.json(response);
   } catch (error) {
@@ -0,0 +1,94 @@
+const {
+  listCacheKeys,
+  inspectCacheEntry,
+  purgeCachePrefix,
+  invalidateTags,
+  clearExpiredCache,
+  getCacheStats
+} = require('../middleware/cache');
+const logger = require('../utils/logger');
+
+const getStats = async (req, res) => {
+  try {
+    res.json(await getCacheStats());
+  } catch (error) {
+    logger.error('Error in getStats:', error);
+    res.status(500).json({ error: 'Failed to fetch cache statistics' });
+  }
+};
+
+const getKeys = async (req, res) => {
+  try {
+    const { prefix, limit, offset } = req.query;
+    const keys = await listCacheKeys(prefix);
+
+    res.json({
+      prefix,
+      total: keys.length,
+      limit,
+      offset,
+      keys: keys.slice(offset, offset + limit)
+    });
+  } catch (error) {
+    logger.error('Error in getKeys:', error);
+    res.status(500).json({ error: 'Failed to list cache keys' });
+  }
+};
+
+const getEntry = async (req, res) => {
+  try {
+    const entry = await inspectCacheEntry(req.params.key);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    logger.error('Error in getEntry:', error);
+    res.status(500).json({ error: 'Failed to fetch cache entry' });
+  }
+};
+
+// Purges every entry under a prefix, or every entry carrying a tag
+const purge = async (req, res) => {
+  try {
+    const { prefix, tag } = req.body;
+
+    if (prefix) {
+      const removed = await purgeCachePrefix(prefix);
+      logger.info(`Cache prefix ${prefix} purged by ${req.user.id}`);
+      return res.json({ prefix, removed });
+    }
+
+    const invalidated = await invalidateTags([tag]);
+    if (!invalidated) {
+      return res.status(500).json({ error: 'Failed to invalidate cache tag' });
+    }
+
+    logger.info(`Cache tag ${tag} invalidated by ${req.user.id}`);
+    res.json({ tag, invalidated });
+  } catch (error) {
+    logger.error('Error in purge:', error);
+    res.status(500).json({ error: 'Failed to purge cache' });
+  }
+};
+
+const cleanup = async (req, res) => {
+  const removed = await clearExpiredCache();
+
+  if (removed === null) {
+    return res.status(500).json({ error: 'Failed to clear expired cache entries' });
+  }
+
+  logger.info(`Cache cleanup triggered by ${req.user.id}`);
+  res.json({ removed });
+};
+
+module.exports = {
+  getStats,
+  getKeys,
+  getEntry,
+  purge,
+  cleanup
+};
@@ -2,25 +2,91 @@ const supabase = require('../services/supabase');
 const logger = require('../utils/logger');
 const { extractLocationFromDescription } = require('../services/gemini');
 const { geocodeLocation } = require('../services/maps');
+const { isOwnerOrAdmin } = require('../middleware/auth');
+const { inspectImage, storeReportImage } = require('../services/images');
+const { linkVerificationsToReport } = require('../services/verifications');
+const { registerImage, linkImageToReport } = require('../services/forensics');
+const { invalidateTags } = require('../middleware/cache');
+const { parsePoint, geometryCenter, bboxToPolygon } = require('../utils/geo');
+const { extractSituation } = require('../services/situation');
+const { STATUS_TYPES, DISASTER_STATUS_TRANSITIONS, MESSAGES, UPLOAD_CONFIG } = require('../utils/constants');
+const {
+  TRACKED_FIELDS,
+  diffFields,
+  appendAuditEntry,
+  getHistory,
+  getStateAtRevision
+} = require('../services/disasterHistory');
+
+// Adds the point's lat/lng so clients don't have to decode PostGIS values
+const withCoordinates = (disaster) => {
+  const point = parsePoint(disaster.location);
+  return { ...disaster, lat: point?.lat ?? null, lng: point?.lng ?? null };
+};
+
+// Runs a search with spatial filters through the search_disasters RPC, which
+// filters, orders (by distance when asked) and pages in the database, then
+// loads that page's disasters in the RPC's order with their distance
+const searchDisastersSpatially = async ({ lat, lng, radius, bbox, intersects, tag, owner_id, status, sort, limit, offset }) => {
+  const { data: matches, error: searchError } = await supabase.rpc('search_disasters', {
+    p_lat: lat ?? null,
+    p_lng: lng ?? null,
+    p_radius: radius ?? null,
+    p_bbox: bbox ? bboxToPolygon(bbox) : null,
+    p_area: intersects || null,
+    p_tag: tag || null,
+    p_owner_id: owner_id || null,
+    p_statuses: status?.length ? status : null,
+    p_sort: sort,
+    p_limit: limit,
+    p_offset: offset
+  });
+
+  if (searchError) throw searchError;
+  if (matches.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('disasters')
+    .select('*')
+    .in('id', matches.map(match => match.id));
+
+  if (error) throw error;
+
+  const byId = new Map(data.map(disaster => [disaster.id, disaster]));
+  return matches
+    .filter(match => byId.has(match.id))
+    .map(match => ({
+      ...withCoordinates(byId.get(match.id)),
+      ...(match.distance !== null && { distance: Math.round(match.distance) })
+    }));
+};
+
+const hasSpatialFilter = ({ lat, bbox, intersects }) => lat !== undefined || Boolean(bbox || intersects);
+
+const isValidStatusTransition = (from, to) => {
+  return (DISASTER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
 
 const createDisaster = async (req, res) => {
   try {
-    const { title, location_name, description, tags } = req.body;
+    const { title, location_name, description, tags, affected_area, severity_zones } = req.body;
     const owner_id = req.user.id;
 
+    const situation = await extractSituation([title, description].filter(Boolean).join('\n'));
+
     // Extract location from description if location_name not provided
     let finalLocationName = location_name;
     if (!location_name && description) {
       try {
-        finalLocationName = await extractLocationFromDescription(description);
+        finalLocationName = situation?.locations[0] || await extractLocationFromDescription(description);
       } catch (error) {
         logger.warn('Failed to extract location from description:', error.message);
       }
     }
 
-    // Geocode location
-    let coordinates = null;
-    if (finalLocationName) {
+    // Geocode location unless the user already picked a candidate
+    let coordinates = req.body.coordinates || null;
+    if (!coordinates && finalLocationName) {
       try {
         coordinates = await geocodeLocation(finalLocationName);
       } catch (error) {
@@ -28,11 +94,10 @@ const createDisaster = async (req, res) => {
       }
     }
 
-    const auditTrail = {
-      action: 'create',
-      user_id: owner_id,
-      timestamp: new Date().toISOString()
-    };
+    // Without a geocoded point, mark the disaster at the centre of its area
+    if (!coordinates && affected_area) {
+      coordinates = geometryCenter(affected_area);
+    }
 
     // Create location point for PostGIS if coordinates exist
     let locationPoint = null;
@@ -40,16 +105,30 @@ const createDisaster = async (req, res) => {
       locationPoint = `POINT(${coordinates.lng} ${coordinates.lat})`;
     }
 
+    const disasterData = {
+      title,
+      location_name: finalLocationName,
+      location: locationPoint,
+      affected_area: affected_area || null,
+      severity_zones: severity_zones || [],
+      description,
+      tags: tags || [],
+      status: STATUS_TYPES.DISASTER.ACTIVE
+    };
+
+    const auditTrail = appendAuditEntry([], {
+      action: 'create',
+      user_id: owner_id,
+      changes: diffFields({}, disasterData)
+    });
+
     const { data, error } = await supabase
       .from('disasters')
       .insert([{
-        title,
-        location_name: finalLocationName,
-        location: locationPoint,
-        description,
-        tags: tags || [],
+        ...disasterData,
         owner_id,
-        audit_trail: [auditTrail]
+        audit_trail: auditTrail,
+        situation
       }])
       .select()
       .single();
@@ -59,11 +138,14 @@ const createDisaster = async (req, res) => {
       return res.status(400).json({ error: error.message });
     }
 
+    await invalidateTags(['disasters']);
+
     // Emit real-time update
-    req.io.emit('disaster_created', data);
+    req.io.emit('disaster_created', withCoordinates(data));
 
     logger.info(`Disaster created: ${title} by ${owner_id}`);
-    res.status(201).json(data);
+    res.set('ETag', toEtag(data.version));
+    res.status(201).json(withCoordinates(data));
   } catch (error) {
     logger.error('Error in createDisaster:', error);
     res.status(500).json({ error: 'Failed to create disaster' });
@@ -72,8 +154,17 @@ const createDisaster = async (req, res) => {
 
 const getDisasters = async (req, res) => {
   try {
-    const { tag, owner_id, limit = 50, offset = 0 } = req.query;
-    
+    const { tag, owner_id, status: statuses = [], limit = 50, offset = 0 } = req.query;
+
+    if (hasSpatialFilter(req.query)) {
+      try {
+        return res.json(await searchDisastersSpatially({ ...req.query, limit, offset }));
+      } catch (error) {
+        logger.error('Error in spatial disaster search:', error);
+        return res.status(500).json({ error: 'Failed to search disasters' });
+      }
+    }
+
     let query = supabase
       .from('disasters')
       .select('*')
@@ -88,6 +179,10 @@ const getDisasters = async (req, res) => {
       query = query.eq('owner_id', owner_id);
     }
 
+    if (statuses.length > 0) {
+      query = query.in('status', statuses);
+    }
+
     const { data, error } = await query;
 
     if (error) {
@@ -95,7 +190,7 @@ const getDisasters = async (req, res) => {
       return res.status(400).json({ error: error.message });
     }
 
-    res.json(data);
+    res.json(data.map(withCoordinates));
   } catch (error) {
     logger.error('Error in getDisasters:', error);
     res.status(500).json({ error: 'Failed to fetch disasters' });
@@ -117,84 +212,364 @@ const getDisasterById = async (req, res) => {
       return res.status(404).json({ error: 'Disaster not found' });
     }
 
-    res.json(data);
+    res.set('ETag', toEtag(data.version));
+    res.json(withCoordinates(data));
   } catch (error) {
     logger.error('Error in getDisasterById:', error);
     res.status(500).json({ error: 'Failed to fetch disaster' });
   }
 };
 
-const updateDisaster = async (req, res) => {
+const UPDATABLE_FIELDS = ['title', 'location_name', 'affected_area', 'severity_zones', 'description', 'tags'];
+
+const toEtag = (version) => `"${version}"`;
+
+// Returns the version named by an If-Match header, '*' for any version,
+// undefined when the header is absent and null when it can't be parsed
+const parseIfMatch = (header) => {
+  if (!header) return undefined;
+  if (header.trim() === '*') return '*';
+
+  const version = parseInt(header.trim().replace(/^W\//, '').replace(/"/g, ''), 10);
+  return Number.isInteger(version) ? version : null;
+};
+
+const sendVersionConflict = (res, current) => {
+  res.set('ETag', toEtag(current.version));
+  return res.status(409).json({
+    error: MESSAGES.ERROR.VERSION_CONFLICT,
+    current_version: current.version,
+    current: withCoordinates(current)
+  });
+};
+
+// PUT requires If-Match; PATCH honours it when sent. Both only change the
+// fields present in the body.
+const buildUpdateHandler = (requireIfMatch) => async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, location_name, description, tags } = req.body;
+    const { status } = req.body;
     const user_id = req.user.id;
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+
+    if (expectedVersion === undefined && requireIfMatch) {
+      return res.status(428).json({
+        error: 'If-Match header is required',
+        reason: 'Send the ETag from the last read of this disaster so concurrent edits are not overwritten'
+      });
+    }
+
+    if (expectedVersion === null) {
+      return res.status(400).json({ error: 'Malformed If-Match header' });
+    }
 
     // Check ownership
     const { data: existing } = await supabase
       .from('disasters')
-      .select('owner_id, audit_trail')
+      .select('*')
       .eq('id', id)
       .single();
 
-    if (!existing || existing.owner_id !== user_id) {
-      return res.status(403).json({ error: 'Unauthorized' });
+    if (!existing) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    if (!isOwnerOrAdmin(req.user, existing.owner_id)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        reason: 'Only the disaster owner or an admin can modify this disaster'
+      });
+    }
+
+    if (expectedVersion !== undefined && expectedVersion !== '*' && expectedVersion !== existing.version) {
+      return sendVersionConflict(res, existing);
+    }
+
+    if (status && status !== existing.status) {
+      return res.status(400).json({
+        error: `Status cannot be changed here; use PUT /api/disasters/${id}/status`
+      });
+    }
+
+    const updateData = {};
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    });
+
+    if (updateData.tags === null) {
+      updateData.tags = [];
+    }
+
+    if (updateData.severity_zones === null) {
+      updateData.severity_zones = [];
     }
 
-    // Geocode new location if provided
-    let coordinates = null;
-    if (location_name) {
+    // Use the picked coordinates, or geocode a changed location near the old one
+    if (req.body.coordinates) {
+      updateData.location = `POINT(${req.body.coordinates.lng} ${req.body.coordinates.lat})`;
+    } else if (updateData.location_name && updateData.location_name !== existing.location_name) {
       try {
-        coordinates = await geocodeLocation(location_name);
+        const coordinates = await geocodeLocation(updateData.location_name, {
+          near: parsePoint(existing.location) || undefined
+        });
+        if (coordinates) {
+          updateData.location = `POINT(${coordinates.lng} ${coordinates.lat})`;
+        }
       } catch (error) {
         logger.warn('Failed to geocode location:', error.message);
       }
     }
 
-    const auditTrail = [
-      ...(existing.audit_trail || []),
-      {
-        action: 'update',
-        user_id,
-        timestamp: new Date().toISOString()
-      }
-    ];
+    if (!updateData.location && !existing.location && updateData.affected_area) {
+      const center = geometryCenter(updateData.affected_area);
+      updateData.location = `POINT(${center.lng} ${center.lat})`;
+    }
 
-    const updateData = {
-      title,
-      location_name,
-      description,
-      tags: tags || [],
-      audit_trail: auditTrail
-    };
+    const changes = diffFields(existing, updateData);
 
-    if (coordinates) {
-      updateData.location = `POINT(${coordinates.lng} ${coordinates.lat})`;
+    if (Object.keys(changes).length === 0) {
+      res.set('ETag', toEtag(existing.version));
+      return res.json(withCoordinates(existing));
     }
 
+    updateData.version = existing.version + 1;
+    updateData.audit_trail = appendAuditEntry(existing.audit_trail, {
+      action: 'update',
+      user_id,
+      changes
+    });
+
     const { data, error } = await supabase
       .from('disasters')
       .update(updateData)
       .eq('id', id)
+      .eq('version', existing.version)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) {
       logger.error('Error updating disaster:', error);
       return res.status(400).json({ error: error.message });
     }
 
+    // Another write landed between our read and update
+    if (!data) {
+      const { data: current, error: fetchError } = await supabase
+        .from('disasters')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (fetchError) {
+        throw fetchError;
+      }
+      if (!current) {
+        return res.status(404).json({ error: 'Disaster not found' });
+      }
+      return sendVersionConflict(res, current);
+    }
+
+    await invalidateTags(['disasters']);
+
     // Emit real-time update
-    req.io.emit('disaster_updated', data);
+    req.io.emit('disaster_updated', withCoordinates(data));
 
-    logger.info(`Disaster updated: ${id} by ${user_id}`);
-    res.json(data);
+    logger.info(`Disaster updated: ${id} by ${user_id} (version ${data.version})`);
+    res.set('ETag', toEtag(data.version));
+    res.json(withCoordinates(data));
   } catch (error) {
     logger.error('Error in updateDisaster:', error);
     res.status(500).json({ error: 'Failed to update disaster' });
   }
 };
 
+const updateDisaster = buildUpdateHandler(true);
+const patchDisaster = buildUpdateHandler(false);
+
+const updateDisasterStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+    const user_id = req.user.id;
+
+    const { data: existing } = await supabase
+      .from('disasters')
+      .select('owner_id, status, version, audit_trail')
+      .eq('id', id)
+      .single();
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    if (!isOwnerOrAdmin(req.user, existing.owner_id)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        reason: 'Only the disaster owner or an admin can change the status of this disaster'
+      });
+    }
+
+    const currentStatus = existing.status || STATUS_TYPES.DISASTER.ACTIVE;
+
+    if (!isValidStatusTransition(currentStatus, status)) {
+      return res.status(409).json({
+        error: MESSAGES.ERROR.INVALID_STATUS_TRANSITION,
+        reason: `Cannot move a disaster from '${currentStatus}' to '${status}'`,
+        current_status: currentStatus,
+        allowed_transitions: DISASTER_STATUS_TRANSITIONS[currentStatus] || []
+      });
+    }
+
+    const auditTrail = appendAuditEntry(existing.audit_trail, {
+      action: 'status_change',
+      user_id,
+      from: currentStatus,
+      to: status,
+      reason: reason || null,
+      changes: { status: { before: currentStatus, after: status } }
+    });
+
+    // Only apply the change if nobody else moved the disaster in the meantime
+    const { data, error } = await supabase
+      .from('disasters')
+      .update({ status, version: existing.version + 1, audit_trail: auditTrail })
+      .eq('id', id)
+      .eq('status', currentStatus)
+      .eq('version', existing.version)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error updating disaster status:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!data) {
+      return res.status(409).json({
+        error: MESSAGES.ERROR.INVALID_STATUS_TRANSITION,
+        reason: 'The disaster was changed by someone else; reload and try again'
+      });
+    }
+
+    await invalidateTags(['disasters']);
+
+    // Emit real-time update
+    req.io.emit('disaster_status_changed', { id, from: currentStatus, to: status, disaster: withCoordinates(data) });
+
+    logger.info(`Disaster ${id} status changed from ${currentStatus} to ${status} by ${user_id}`);
+    res.set('ETag', toEtag(data.version));
+    res.json(withCoordinates(data));
+  } catch (error) {
+    logger.error('Error in updateDisasterStatus:', error);
+    res.status(500).json({ error: 'Failed to update disaster status' });
+  }
+};
+
+const getDisasterHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('disasters')
+      .select('id, audit_trail')
+      .eq('id', id)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    const revisions = getHistory(data.audit_trail);
+
+    res.json({
+      disaster_id: id,
+      current_revision: revisions.length,
+      revisions: revisions.reverse()
+    });
+  } catch (error) {
+    logger.error('Error in getDisasterHistory:', error);
+    res.status(500).json({ error: 'Failed to fetch disaster history' });
+  }
+};
+
+const revertDisaster = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revision = parseInt(req.params.revision, 10);
+    const user_id = req.user.id;
+
+    const { data: existing } = await supabase
+      .from('disasters')
+      .select(`version, audit_trail, ${TRACKED_FIELDS.join(', ')}`)
+      .eq('id', id)
+      .single();
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    const currentRevision = (existing.audit_trail || []).length;
+
+    if (!Number.isInteger(revision) || revision < 1 || revision >= currentRevision) {
+      return res.status(400).json({
+        error: `Revision must be between 1 and ${currentRevision - 1}`,
+        current_revision: currentRevision
+      });
+    }
+
+    const restored = getStateAtRevision(existing, existing.audit_trail, revision);
+
+    if (!restored) {
+      return res.status(409).json({
+        error: 'Cannot revert to this revision',
+        reason: 'Later revisions were recorded without field-level changes'
+      });
+    }
+
+    const changes = diffFields(existing, restored);
+
+    const { data, error } = await supabase
+      .from('disasters')
+      .update({
+        ...restored,
+        version: existing.version + 1,
+        audit_trail: appendAuditEntry(existing.audit_trail, {
+          action: 'revert',
+          user_id,
+          reverted_to: revision,
+          changes
+        })
+      })
+      .eq('id', id)
+      .eq('version', existing.version)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error reverting disaster:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!data) {
+      return res.status(409).json({ error: MESSAGES.ERROR.VERSION_CONFLICT });
+    }
+
+    await invalidateTags(['disasters']);
+
+    // Emit real-time update
+    req.io.emit('disaster_updated', withCoordinates(data));
+
+    logger.info(`Disaster ${id} reverted to revision ${revision} by ${user_id}`);
+    res.set('ETag', toEtag(data.version));
+    res.json(withCoordinates(data));
+  } catch (error) {
+    logger.error('Error in revertDisaster:', error);
+    res.status(500).json({ error: 'Failed to revert disaster' });
+  }
+};
+
 const deleteDisaster = async (req, res) => {
   try {
     const { id } = req.params;
@@ -207,8 +582,15 @@ const deleteDisaster = async (req, res) => {
       .eq('id', id)
       .single();
 
-    if (!existing || existing.owner_id !== user_id) {
-      return res.status(403).json({ error: 'Unauthorized' });
+    if (!existing) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    if (!isOwnerOrAdmin(req.user, existing.owner_id)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        reason: 'Only the disaster owner or an admin can delete this disaster'
+      });
     }
 
     const { error } = await supabase
@@ -221,6 +603,8 @@ const deleteDisaster = async (req, res) => {
       return res.status(400).json({ error: error.message });
     }
 
+    await invalidateTags(['disasters', `reports:${id}`, `resources:${id}`]);
+
     // Emit real-time update
     req.io.emit('disaster_deleted', { id });
 
@@ -235,9 +619,11 @@ const deleteDisaster = async (req, res) => {
 const createReport = async (req, res) => {
   try {
     const { id: disaster_id } = req.params;
-    const { content, image_url } = req.body;
+    const { content, image_url, thumbnail_url } = req.body;
     const user_id = req.user.id;
 
+    const situation = await extractSituation(content);
+
     const { data, error } = await supabase
       .from('reports')
       .insert([{
@@ -245,6 +631,8 @@ const createReport = async (req, res) => {
         user_id,
         content,
         image_url,
+        thumbnail_url,
+        situation,
         verification_status: 'pending'
       }])
       .select()
@@ -255,6 +643,10 @@ const createReport = async (req, res) => {
       return res.status(400).json({ error: error.message });
     }
 
+    await linkVerificationsToReport(data);
+    await linkImageToReport(data);
+    await invalidateTags([`reports:${disaster_id}`]);
+
     logger.info(`Report created for disaster ${disaster_id} by ${user_id}`);
     res.status(201).json(data);
   } catch (error) {
@@ -263,6 +655,49 @@ const createReport = async (req, res) => {
   }
 };
 
+const uploadReportImage = async (req, res) => {
+  try {
+    const { id: disaster_id } = req.params;
+    const user_id = req.user.id;
+
+    const { data: disaster } = await supabase
+      .from('disasters')
+      .select('id')
+      .eq('id', disaster_id)
+      .maybeSingle();
+
+    if (!disaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    const image = await inspectImage(req.file.buffer);
+
+    if (!image) {
+      return res.status(415).json({
+        error: 'File is not a valid image',
+        allowed: UPLOAD_CONFIG.ALLOWED_MIME_TYPES
+      });
+    }
+
+    const stored = await storeReportImage(disaster_id, req.file.buffer, image);
+
+    await registerImage({
+      disaster_id,
+      image_url: stored.image_url,
+      buffer: req.file.buffer,
+      width: stored.width,
+      height: stored.height,
+      uploaded_by: user_id
+    });
+
+    logger.info(`Report image uploaded for disaster ${disaster_id} by ${user_id}: ${stored.image_url}`);
+    res.status(201).json(stored);
+  } catch (error) {
+    logger.error('Error in uploadReportImage:', error);
+    res.status(500).json({ error: 'Failed to upload image' });
+  }
+};
+
 const getReports = async (req, res) => {
   try {
     const { id: disaster_id } = req.params;
@@ -292,7 +727,12 @@ module.exports = {
   getDisasters,
   getDisasterById,
   updateDisaster,
+  patchDisaster,
+  updateDisasterStatus,
+  getDisasterHistory,
+  revertDisaster,
   deleteDisaster,
   createReport,
+  uploadReportImage,
   getReports
 };
\ No newline at end of file
@@ -1,17 +1,31 @@
+const supabase = require('../services/supabase');
 const { extractLocationFromDescription } = require('../services/gemini');
-const { geocodeLocation } = require('../services/maps');
+const { geocodeCandidates, isAmbiguous, reverseGeocode } = require('../services/maps');
+const { createBatchJob, getBatchJob } = require('../services/geocodingBatch');
+const { isOwnerOrAdmin } = require('../middleware/auth');
+const { parsePoint } = require('../utils/geo');
 const logger = require('../utils/logger');
 
+// Builds the geocoding bias from the request, falling back to the location
+// the disaster already has when no explicit point is given
+const resolveBias = async ({ country, bbox, near, disaster_id }) => {
+  if (!near && disaster_id) {
+    const { data: disaster } = await supabase
+      .from('disasters')
+      .select('location')
+      .eq('id', disaster_id)
+      .maybeSingle();
+
+    near = parsePoint(disaster?.location) || undefined;
+  }
+
+  return { country, bbox, near };
+};
+
 const geocodeLocationController = async (req, res) => {
   try {
     const { location_name, description } = req.body;
 
-    if (!location_name && !description) {
-      return res.status(400).json({ 
-        error: 'Either location_name or description is required' 
-      });
-    }
-
     let finalLocationName = location_name;
 
     // Extract location from description if location_name not provided
@@ -33,14 +47,19 @@ const geocodeLocationController = async (req, res) => {
 
     // Geocode the location
     try {
-      const coordinates = await geocodeLocation(finalLocationName);
+      const bias = await resolveBias(req.body);
+      const candidates = await geocodeCandidates(finalLocationName, bias);
+      const [best] = candidates;
       
       res.json({
         location_name: finalLocationName,
         coordinates: {
-          lat: coordinates.lat,
-          lng: coordinates.lng
+          lat: best.lat,
+          lng: best.lng
         },
+        candidates,
+        // The client should let the user pick when the top results are close
+        ambiguous: isAmbiguous(candidates),
         extracted_from_description: !location_name
       });
     } catch (error) {
@@ -56,6 +75,57 @@ const geocodeLocationController = async (req, res) => {
   }
 };
 
+const reverseGeocodeController = async (req, res) => {
+  const { lat, lng } = req.query;
+
+  try {
+    const address = await reverseGeocode(lat, lng);
+    res.json({ coordinates: { lat, lng }, ...address });
+  } catch (error) {
+    logger.error('Error in reverseGeocodeController:', error);
+    res.status(502).json({ error: 'Failed to reverse geocode coordinates' });
+  }
+};
+
+const createBatch = async (req, res) => {
+  try {
+    const { items, ...biasFields } = req.body;
+    const bias = await resolveBias(biasFields);
+    const job = await createBatchJob(items, { bias, user_id: req.user.id });
+
+    res.status(202)
+      .location(`${req.baseUrl}/geocode/batch/${job.id}`)
+      .json({
+        job_id: job.id,
+        status: job.status,
+        total: job.total,
+        unique: job.unique
+      });
+  } catch (error) {
+    logger.error('Error in createBatch:', error);
+    res.status(500).json({ error: 'Failed to start geocoding batch' });
+  }
+};
+
+const getBatch = async (req, res) => {
+  try {
+    const job = await getBatchJob(req.params.id);
+
+    // Other users' jobs are reported as missing rather than forbidden
+    if (!job || !isOwnerOrAdmin(req.user, job.user_id)) {
+      return res.status(404).json({ error: 'Geocoding batch not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    logger.error('Error in getBatch:', error);
+    res.status(500).json({ error: 'Failed to fetch geocoding batch' });
+  }
+};
+
 module.exports = {
-  geocodeLocation: geocodeLocationController
-};
\ No newline at end of file
+  geocodeLocation: geocodeLocationController,
+  reverseGeocode: reverseGeocodeController,
+  createBatch,
+  getBatch
+};
@@ -0,0 +1,115 @@
+const {
+  getQueue,
+  claimReport,
+  releaseReport,
+  decideReport,
+  getModerationLog
+} = require('../services/moderation');
+const { invalidateTags } = require('../middleware/cache');
+const logger = require('../utils/logger');
+
+const ACTIONS = {
+  claim: (id, user) => claimReport(id, user),
+  release: (id, user) => releaseReport(id, user),
+  approve: (id, user, reason) => decideReport(id, user, 'approve', reason),
+  reject: (id, user, reason) => decideReport(id, user, 'reject', reason)
+};
+
+const sendModerationError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+
+  res.status(500).json({ error: fallbackMessage });
+};
+
+const getModerationQueue = async (req, res) => {
+  try {
+    const result = await getQueue(req.query, req.user);
+
+    res.json({
+      ...result,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+  } catch (error) {
+    logger.error('Error in getModerationQueue:', error);
+    sendModerationError(res, error, 'Failed to fetch moderation queue');
+  }
+};
+
+// Builds the handler for a single-report action (claim, release, approve, reject)
+const moderateReport = (action) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const report = await ACTIONS[action](id, req.user, req.body.reason);
+
+    await invalidateTags([`reports:${report.disaster_id}`]);
+    req.io.emit('report_moderated', { action, report });
+
+    logger.info(`Report ${id}: ${action} by ${req.user.id}`);
+    res.json(report);
+  } catch (error) {
+    if (!error.status) {
+      logger.error(`Error in moderateReport (${action}):`, error);
+    }
+    sendModerationError(res, error, `Failed to ${action} report`);
+  }
+};
+
+// Applies one action to many reports; each report succeeds or fails on its own
+const bulkModerate = async (req, res) => {
+  try {
+    const { action, report_ids, reason } = req.body;
+    const results = [];
+
+    for (const id of report_ids) {
+      try {
+        const report = await ACTIONS[action](id, req.user, reason);
+        await invalidateTags([`reports:${report.disaster_id}`]);
+        req.io.emit('report_moderated', { action, report });
+        results.push({ id, success: true, report });
+      } catch (error) {
+        if (!error.status) {
+          logger.error(`Error in bulkModerate (${action}) for report ${id}:`, error);
+        }
+        results.push({ id, success: false, status: error.status || 500, error: error.message });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    logger.info(`Bulk ${action} by ${req.user.id}: ${succeeded}/${report_ids.length} succeeded`);
+    res.json({
+      action,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    logger.error('Error in bulkModerate:', error);
+    res.status(500).json({ error: 'Failed to apply bulk action' });
+  }
+};
+
+const getReportModerationLog = async (req, res) => {
+  try {
+    const entries = await getModerationLog(req.params.id);
+    res.json(entries);
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Error in getReportModerationLog:', error);
+    }
+    sendModerationError(res, error, 'Failed to fetch moderation log');
+  }
+};
+
+module.exports = {
+  getModerationQueue,
+  claimReport: moderateReport('claim'),
+  releaseReport: moderateReport('release'),
+  approveReport: moderateReport('approve'),
+  rejectReport: moderateReport('reject'),
+  bulkModerate,
+  getReportModerationLog
+};
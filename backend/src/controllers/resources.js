@@ -1,99 +1,132 @@
 const supabase = require('../services/supabase');
 const { geocodeLocation } = require('../services/maps');
+const { invalidateTags } = require('../middleware/cache');
+const { parsePoint } = require('../utils/geo');
 const logger = require('../utils/logger');
+const { MESSAGES, STATUS_TYPES, RESOURCE_CONFIG } = require('../utils/constants');
 
-const getNearbyResources = async (req, res) => {
-  try {
-    const { id: disaster_id } = req.params;
-    const { lat, lon, radius = 10000, type } = req.query; // radius in meters, default 10km
+const EDITABLE_FIELDS = [
+  'name', 'location_name', 'type', 'description', 'contact_info',
+  'status', 'capacity', 'occupancy', 'opening_hours'
+];
 
-    if (!lat || !lon) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
-      });
-    }
+const AVAILABILITY_FIELDS = ['status', 'capacity', 'occupancy'];
+
+// Adds lat/lng (the nearby search already returns them) and flags resources
+// nobody has confirmed for a while
+const formatResource = (resource) => {
+  const point = resource.lat === undefined ? parsePoint(resource.location) : null;
+  const confirmedAt = new Date(resource.last_confirmed_at || resource.created_at).getTime();
 
-    // Build the geospatial query
-    let query = `
-      SELECT *, 
-      ST_Distance(location, ST_SetSRID(ST_Point(${lon}, ${lat}), 4326)) as distance
-      FROM resources 
-      WHERE disaster_id = $1 
-      AND ST_DWithin(location, ST_SetSRID(ST_Point(${lon}, ${lat}), 4326), ${radius})
-    `;
+  return {
+    ...resource,
+    lat: point ? point.lat : resource.lat ?? null,
+    lng: point ? point.lng : resource.lng ?? null,
+    stale: Date.now() - confirmedAt > RESOURCE_CONFIG.STALE_AFTER_MS
+  };
+};
 
-    const queryParams = [disaster_id];
+const toPoint = ({ lat, lng }) => `POINT(${lng} ${lat})`;
 
-    if (type) {
-      query += ` AND type = $2`;
-      queryParams.push(type);
-    }
+const findResource = async (disaster_id, id) => {
+  const { data, error } = await supabase
+    .from('resources')
+    .select('*')
+    .eq('id', id)
+    .eq('disaster_id', disaster_id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
 
-    query += ` ORDER BY distance ASC`;
+// History failures are logged rather than failing the change they describe
+const recordStatusChange = async (before, after, user_id, reason) => {
+  const { error } = await supabase
+    .from('resource_status_history')
+    .insert([{
+      resource_id: after.id,
+      disaster_id: after.disaster_id,
+      from_status: before?.status || null,
+      to_status: after.status,
+      capacity: after.capacity,
+      occupancy: after.occupancy,
+      changed_by: user_id,
+      reason: reason || null
+    }]);
+
+  if (error) {
+    logger.error(`Failed to record status history of resource ${after.id}:`, error);
+  }
+};
+
+const getNearbyResources = async (req, res) => {
+  try {
+    const { id: disaster_id } = req.params;
+    const { lat, lon, radius, type } = req.query; // validated numbers, radius in meters
 
     const { data, error } = await supabase.rpc('get_nearby_resources', {
       p_disaster_id: disaster_id,
-      p_lat: parseFloat(lat),
-      p_lon: parseFloat(lon),
-      p_radius: parseInt(radius),
+      p_lat: lat,
+      p_lon: lon,
+      p_radius: radius,
       p_type: type || null
     });
 
+    // Never substitute placeholder resources: responders would be sent to
+    // shelters that don't exist
     if (error) {
       logger.error('Error fetching nearby resources:', error);
-      
-      // Fallback to mock data if geospatial query fails
-      const mockResources = generateMockResources(lat, lon, disaster_id);
-      return res.json(mockResources);
+      return res.status(503).json({ error: 'Nearby resource search is unavailable' });
     }
 
     // Emit real-time update
     req.io.emit('resources_updated', { disaster_id, location: { lat, lon } });
 
     logger.info(`Nearby resources fetched for disaster ${disaster_id} at ${lat}, ${lon}`);
-    res.json(data || []);
+    res.json(data.map(formatResource));
   } catch (error) {
     logger.error('Error in getNearbyResources:', error);
-    
-    // Return mock data as fallback
-    const mockResources = generateMockResources(req.query.lat, req.query.lon, req.params.id);
-    res.json(mockResources);
+    res.status(500).json({ error: 'Failed to fetch nearby resources' });
   }
 };
 
 const createResource = async (req, res) => {
   try {
     const { id: disaster_id } = req.params;
-    const { name, location_name, type, description, contact_info } = req.body;
+    const { name, location_name, type, reason } = req.body;
     const user_id = req.user.id;
 
-    if (!name || !location_name || !type) {
-      return res.status(400).json({ 
-        error: 'Name, location_name, and type are required' 
-      });
+    // Geocode the location unless the user picked coordinates
+    let coordinates = req.body.coordinates;
+    if (!coordinates) {
+      try {
+        coordinates = await geocodeLocation(location_name);
+      } catch (error) {
+        logger.warn('Failed to geocode resource location:', error.message);
+        return res.status(400).json({ 
+          error: 'Could not geocode the provided location' 
+        });
+      }
     }
 
-    // Geocode the location
-    let coordinates = null;
-    try {
-      coordinates = await geocodeLocation(location_name);
-    } catch (error) {
-      logger.warn('Failed to geocode resource location:', error.message);
-      return res.status(400).json({ 
-        error: 'Could not geocode the provided location' 
-      });
-    }
+    const resourceData = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        resourceData[field] = req.body[field];
+      }
+    });
 
     const { data, error } = await supabase
       .from('resources')
       .insert([{
+        ...resourceData,
+        status: resourceData.status || STATUS_TYPES.RESOURCE.AVAILABLE,
         disaster_id,
-        name,
-        location_name,
-        location: `POINT(${coordinates.lng} ${coordinates.lat})`,
-        type,
-        description,
-        contact_info,
+        location: toPoint(coordinates),
+        last_confirmed_at: req.body.last_confirmed_at || new Date().toISOString(),
         created_by: user_id
       }])
       .select()
@@ -104,69 +137,190 @@ const createResource = async (req, res) => {
       return res.status(400).json({ error: error.message });
     }
 
+    await recordStatusChange(null, data, user_id, reason);
+    await invalidateTags([`resources:${disaster_id}`]);
+
     // Emit real-time update
-    req.io.emit('resource_created', { disaster_id, resource: data });
+    req.io.emit('resource_created', { disaster_id, resource: formatResource(data) });
 
-    logger.info(`Resource created: ${name} for disaster ${disaster_id} by ${user_id}`);
-    res.status(201).json(data);
+    logger.info(`Resource created: ${name} (${type}) for disaster ${disaster_id} by ${user_id}`);
+    res.status(201).json(formatResource(data));
   } catch (error) {
     logger.error('Error in createResource:', error);
     res.status(500).json({ error: 'Failed to create resource' });
   }
 };
 
-const generateMockResources = (lat, lon, disaster_id) => {
-  const baseResources = [
-    {
-      id: '1',
-      disaster_id,
-      name: 'Emergency Shelter - Red Cross',
-      location_name: 'Central Park, Manhattan',
-      type: 'shelter',
-      description: 'Emergency shelter with capacity for 200 people',
-      contact_info: '+1-555-0101',
-      distance: 500,
-      created_at: new Date().toISOString()
-    },
-    {
-      id: '2',
-      disaster_id,
-      name: 'Food Distribution Center',
-      location_name: 'Brooklyn Bridge Park',
-      type: 'food',
-      description: 'Free food distribution, meals available 24/7',
-      contact_info: '+1-555-0102',
-      distance: 1200,
-      created_at: new Date().toISOString()
-    },
-    {
-      id: '3',
-      disaster_id,
-      name: 'Medical Aid Station',
-      location_name: 'Times Square Medical Center',
-      type: 'medical',
-      description: 'Emergency medical aid and first aid supplies',
-      contact_info: '+1-555-0103',
-      distance: 800,
-      created_at: new Date().toISOString()
-    },
-    {
-      id: '4',
-      disaster_id,
-      name: 'Water Distribution Point',
-      location_name: 'Washington Square Park',
-      type: 'water',
-      description: 'Clean drinking water available',
-      contact_info: '+1-555-0104',
-      distance: 600,
-      created_at: new Date().toISOString()
+// PUT replaces every editable field, clearing optional ones left out; PATCH
+// changes only those sent. Either counts as a confirmation that the resource
+// is as described, so last_confirmed_at moves to now unless the body gives
+// an earlier time.
+const buildUpdateHandler = (replace) => async (req, res) => {
+  try {
+    const { id: disaster_id, resourceId } = req.params;
+    const user_id = req.user.id;
+
+    const existing = await findResource(disaster_id, resourceId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    const updateData = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      } else if (replace) {
+        updateData[field] = null;
+      }
+    });
+
+    // A PATCH may change one of the two, so check against the stored other
+    const capacity = updateData.capacity !== undefined ? updateData.capacity : existing.capacity;
+    const occupancy = updateData.occupancy !== undefined ? updateData.occupancy : existing.occupancy;
+    if (capacity !== null && occupancy !== null && occupancy > capacity) {
+      return res.status(422).json({
+        error: MESSAGES.ERROR.VALIDATION_ERROR,
+        fields: { occupancy: 'occupancy cannot exceed capacity' }
+      });
+    }
+
+    if (req.body.coordinates) {
+      updateData.location = toPoint(req.body.coordinates);
+    } else if (updateData.location_name && updateData.location_name !== existing.location_name) {
+      let coordinates = null;
+      try {
+        coordinates = await geocodeLocation(updateData.location_name, {
+          near: parsePoint(existing.location) || undefined
+        });
+      } catch (error) {
+        logger.warn('Failed to geocode resource location:', error.message);
+      }
+
+      if (!coordinates) {
+        return res.status(400).json({ error: 'Could not geocode the provided location' });
+      }
+      updateData.location = toPoint(coordinates);
     }
-  ];
 
-  return baseResources.sort((a, b) => a.distance - b.distance);
+    const now = new Date().toISOString();
+    updateData.last_confirmed_at = req.body.last_confirmed_at || now;
+    updateData.updated_at = now;
+    updateData.updated_by = user_id;
+
+    // Only write over the copy read above, so a concurrent change isn't lost
+    // and the history records the status it really changed from
+    const { data, error } = await supabase
+      .from('resources')
+      .update(updateData)
+      .eq('id', resourceId)
+      .eq('updated_at', existing.updated_at)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error updating resource:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!data) {
+      const current = await findResource(disaster_id, resourceId);
+      if (!current) {
+        return res.status(404).json({ error: 'Resource not found' });
+      }
+      return res.status(409).json({
+        error: MESSAGES.ERROR.RESOURCE_CONFLICT,
+        current: formatResource(current)
+      });
+    }
+
+    if (AVAILABILITY_FIELDS.some(field => data[field] !== existing[field])) {
+      await recordStatusChange(existing, data, user_id, req.body.reason);
+    }
+
+    await invalidateTags([`resources:${disaster_id}`]);
+
+    // Emit real-time update
+    req.io.emit('resource_updated', { disaster_id, resource: formatResource(data) });
+
+    logger.info(`Resource updated: ${resourceId} (${data.status}) for disaster ${disaster_id} by ${user_id}`);
+    res.json(formatResource(data));
+  } catch (error) {
+    logger.error('Error in updateResource:', error);
+    res.status(500).json({ error: 'Failed to update resource' });
+  }
+};
+
+const updateResource = buildUpdateHandler(true);
+const patchResource = buildUpdateHandler(false);
+
+const deleteResource = async (req, res) => {
+  try {
+    const { id: disaster_id, resourceId } = req.params;
+    const user_id = req.user.id;
+
+    const { data, error } = await supabase
+      .from('resources')
+      .delete()
+      .eq('id', resourceId)
+      .eq('disaster_id', disaster_id)
+      .select('id');
+
+    if (error) {
+      logger.error('Error deleting resource:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    await invalidateTags([`resources:${disaster_id}`]);
+
+    // Emit real-time update
+    req.io.emit('resource_deleted', { disaster_id, id: resourceId });
+
+    logger.info(`Resource deleted: ${resourceId} from disaster ${disaster_id} by ${user_id}`);
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Error in deleteResource:', error);
+    res.status(500).json({ error: 'Failed to delete resource' });
+  }
+};
+
+// Status and occupancy changes, newest first
+const getResourceHistory = async (req, res) => {
+  try {
+    const { id: disaster_id, resourceId } = req.params;
+
+    if (!await findResource(disaster_id, resourceId)) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('resource_status_history')
+      .select('*')
+      .eq('resource_id', resourceId)
+      .order('created_at', { ascending: false })
+      .limit(RESOURCE_CONFIG.HISTORY_LIMIT);
+
+    if (error) {
+      logger.error('Error fetching resource history:', error);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data);
+  } catch (error) {
+    logger.error('Error in getResourceHistory:', error);
+    res.status(500).json({ error: 'Failed to fetch resource history' });
+  }
 };
 
 module.exports = {
   getNearbyResources,
-  createResource
-};
\ No newline at end of file
+  createResource,
+  updateResource,
+  patchResource,
+  deleteResource,
+  getResourceHistory
+};
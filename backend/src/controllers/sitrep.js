@@ -0,0 +1,88 @@
+const supabase = require('../services/supabase');
+const { generateSitrep, listSitreps, getSitrep } = require('../services/sitrep');
+const { renderMarkdown, renderPdf } = require('../services/sitrepExport');
+const logger = require('../utils/logger');
+
+const createSitrep = async (req, res) => {
+  try {
+    const { id: disaster_id } = req.params;
+
+    const { data: disaster } = await supabase
+      .from('disasters')
+      .select('*')
+      .eq('id', disaster_id)
+      .maybeSingle();
+
+    if (!disaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    const sitrep = await generateSitrep(disaster, req.user, req.body.mode);
+
+    req.io.emit('sitrep_created', {
+      disaster_id,
+      id: sitrep.id,
+      version: sitrep.version,
+      mode: sitrep.mode
+    });
+
+    logger.info(`Sitrep v${sitrep.version} (${sitrep.mode}) generated for disaster ${disaster_id} by ${req.user.id}`);
+    res.status(201).json(sitrep);
+  } catch (error) {
+    logger.error('Error in createSitrep:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to generate situation report' });
+  }
+};
+
+const getSitreps = async (req, res) => {
+  try {
+    const sitreps = await listSitreps(req.params.id);
+    res.json(sitreps);
+  } catch (error) {
+    logger.error('Error in getSitreps:', error);
+    res.status(500).json({ error: 'Failed to fetch situation reports' });
+  }
+};
+
+// Returns one version as JSON (default), Markdown or PDF (?format=)
+const getSitrepVersion = async (req, res) => {
+  try {
+    const { id: disaster_id, version } = req.params;
+    const { format } = req.query;
+
+    const sitrep = await getSitrep(disaster_id, version);
+
+    if (!sitrep) {
+      return res.status(404).json({ error: 'Situation report not found' });
+    }
+
+    const filename = `sitrep-${disaster_id}-v${sitrep.version}`;
+
+    if (format === 'markdown') {
+      res.set('Content-Type', 'text/markdown; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.md"`);
+      return res.send(renderMarkdown(sitrep));
+    }
+
+    if (format === 'pdf') {
+      const pdf = await renderPdf(sitrep);
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.send(pdf);
+    }
+
+    res.json(sitrep);
+  } catch (error) {
+    logger.error('Error in getSitrepVersion:', error);
+    res.status(500).json({ error: 'Failed to fetch situation report' });
+  }
+};
+
+module.exports = {
+  createSitrep,
+  getSitreps,
+  getSitrepVersion
+};
@@ -0,0 +1,18 @@
+const { extractSituation } = require('../services/situation');
+const logger = require('../utils/logger');
+
+// Previews the structured extraction run on create, so forms can suggest tags
+// and details before the record is saved
+const extractSituationController = async (req, res) => {
+  try {
+    const situation = await extractSituation(req.body.text);
+    res.json(situation);
+  } catch (error) {
+    logger.error('Error in extractSituationController:', error);
+    res.status(500).json({ error: 'Failed to extract situation' });
+  }
+};
+
+module.exports = {
+  extractSituation: extractSituationController
+};
@@ -6,7 +6,9 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
-const { getCachedData, setCachedData } = require('../middleware/cache');
+const { cached } = require('../middleware/cache');
+const { buildCacheKey } = require('../utils/cacheKey');
+const { CACHE_CONFIG } = require('../utils/constants');
 const { fetchSocialMediaData } = require('../services/socialMedia');
 const logger = require('../utils/logger');
 
@@ -43,22 +45,16 @@ const getSocialMediaReports = async (req, res) => {
     const { id: disaster_id } = req.params;
     const { keywords, limit = 20, disaster_type } = req.query;
 
-    const cacheKey = `social_media_${disaster_id}_${keywords || 'all'}_${disaster_type || 'general'}`;
-    
-    // Check cache first
-    const cachedData = await getCachedData(cacheKey);
-    if (cachedData) {
-      return res.json(cachedData);
-    }
+    const cacheKey = buildCacheKey(CACHE_CONFIG.KEYS.SOCIAL_MEDIA, { disaster_id, keywords, disaster_type, limit });
 
-    // Use the new social media service
-    const socialMediaData = await fetchSocialMediaData(keywords, disaster_type, parseInt(limit));
+    // Concurrent misses share one fetch; new posts are announced once per fetch
+    const socialMediaData = await cached(cacheKey, async () => {
+      const posts = await fetchSocialMediaData(keywords, disaster_type, parseInt(limit));
 
-    // Cache the results
-    await setCachedData(cacheKey, socialMediaData);
-
-    // Emit real-time update
-    req.io.emit('social_media_updated', { disaster_id, data: socialMediaData });
+      // Emit real-time update
+      req.io.emit('social_media_updated', { disaster_id, data: posts });
+      return posts;
+    });
 
     logger.info(`Social media reports fetched for disaster ${disaster_id}: ${socialMediaData.length} posts`);
     res.json({
@@ -103,19 +99,10 @@ const getMockSocialMedia = async (req, res) => {
 const getOfficialUpdates = async (req, res) => {
   try {
     const { id: disaster_id } = req.params;
-    const cacheKey = `official_updates_${disaster_id}`;
-
-    // Check cache first
-    const cachedData = await getCachedData(cacheKey);
-    if (cachedData) {
-      return res.json(cachedData);
-    }
+    const cacheKey = buildCacheKey(CACHE_CONFIG.KEYS.OFFICIAL_UPDATES, { disaster_id });
 
     // Fetch official updates from government/relief websites
-    const officialUpdates = await fetchOfficialUpdates();
-    
-    // Cache the results
-    await setCachedData(cacheKey, officialUpdates);
+    const officialUpdates = await cached(cacheKey, () => fetchOfficialUpdates());
 
     logger.info(`Official updates fetched for disaster ${disaster_id}`);
     res.json(officialUpdates);
@@ -1,92 +1,247 @@
 const { verifyImageWithGemini } = require('../services/gemini');
+const {
+  analyzeImage,
+  findStoredImage,
+  fingerprintImage,
+  findSimilarImages,
+  applySimilarImages
+} = require('../services/forensics');
 const supabase = require('../services/supabase');
+const { REVIEWABLE_STATUSES } = require('../services/moderation');
+const { recordAiVerification, listVerifications } = require('../services/verifications');
+const { invalidateTags } = require('../middleware/cache');
 const logger = require('../utils/logger');
 
+// Without AI the image gets offline forensics. Those can only ever ask for a
+// human decision, so the result is "needs_review" and never "authentic".
+const runForensics = async (disaster_id, image_url, aiError, similarImages) => {
+  try {
+    const { data: disaster } = await supabase
+      .from('disasters')
+      .select('id, location, created_at')
+      .eq('id', disaster_id)
+      .maybeSingle();
+
+    const result = await analyzeImage(image_url, disaster, similarImages);
+    return { ...result, ai_error: aiError.message };
+  } catch (error) {
+    logger.error('Error running offline image forensics:', error);
+
+    return {
+      is_authentic: false,
+      status: 'needs_review',
+      confidence: null,
+      analysis: 'Unable to verify with AI or offline forensics, manual review required',
+      detected_objects: [],
+      manipulation_indicators: [],
+      ai_error: aiError.message,
+      error: error.message
+    };
+  }
+};
+
+// Fingerprints the image and looks for near-duplicates. Resolves to null when
+// the lookup fails so verification can still go ahead.
+const lookupSimilarImages = async (disaster_id, image_url, user) => {
+  try {
+    const image = await fingerprintImage({ disaster_id, image_url, uploaded_by: user.id });
+    return image ? await findSimilarImages(image) : null;
+  } catch (error) {
+    logger.error('Error looking up similar images:', error);
+    return null;
+  }
+};
+
+// Runs the AI check (or forensics), records the attempt and, when a report is
+// given, updates its status unless a moderator has already decided it
+const runVerification = async ({ disaster_id, report_id, image_url, user, skipCache = false }) => {
+  const similarImages = await lookupSimilarImages(disaster_id, image_url, user);
+
+  let verificationResult;
+  try {
+    verificationResult = await verifyImageWithGemini(image_url, { skipCache });
+  } catch (error) {
+    logger.warn(`AI image verification unavailable, running offline forensics: ${error.message}`);
+    verificationResult = await runForensics(disaster_id, image_url, error, similarImages);
+  }
+
+  verificationResult = applySimilarImages(verificationResult, similarImages || []);
+
+  const needsReview = verificationResult.status === 'needs_review';
+
+  const attempt = await recordAiVerification({
+    disaster_id,
+    report_id,
+    image_url,
+    result: verificationResult,
+    user
+  });
+
+  if (report_id) {
+    // A needs_review result keeps the report's current status for a moderator
+    const changes = needsReview
+      ? { verification_details: verificationResult }
+      : {
+        verification_status: verificationResult.is_authentic ? 'verified' : 'flagged',
+        verification_details: verificationResult
+      };
+
+    const { error: updateError } = await supabase
+      .from('reports')
+      .update(changes)
+      .eq('id', report_id)
+      .eq('disaster_id', disaster_id)
+      .in('verification_status', REVIEWABLE_STATUSES);
+
+    if (updateError) {
+      logger.error('Error updating report verification:', updateError);
+    } else {
+      await invalidateTags([`reports:${disaster_id}`]);
+    }
+  }
+
+  const outcome = needsReview ? 'NEEDS REVIEW' : verificationResult.is_authentic ? 'VERIFIED' : 'FLAGGED';
+  logger.info(`Image verification completed for disaster ${disaster_id}: ${outcome}`);
+
+  return {
+    disaster_id,
+    report_id: report_id || null,
+    image_url,
+    verification_result: verificationResult,
+    verification: attempt,
+    verified_by: user.id,
+    verified_at: new Date().toISOString()
+  };
+};
+
 const verifyImage = async (req, res) => {
   try {
     const { id: disaster_id } = req.params;
     const { image_url, report_id } = req.body;
-    const user_id = req.user.id;
 
-    if (!image_url) {
-      return res.status(400).json({ error: 'Image URL is required' });
+    const result = await runVerification({ disaster_id, report_id, image_url, user: req.user });
+    res.json(result);
+  } catch (error) {
+    logger.error('Error in verifyImage:', error);
+    res.status(500).json({ error: 'Failed to verify image' });
+  }
+};
+
+// Runs a fresh AI verification of a report's image, bypassing the cache
+const reverifyReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: report, error } = await supabase
+      .from('reports')
+      .select('id, disaster_id, image_url')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error fetching report for re-verification:', error);
+      return res.status(400).json({ error: error.message });
     }
 
-    // Verify the image using Gemini API
-    let verificationResult;
-    try {
-      verificationResult = await verifyImageWithGemini(image_url);
-    } catch (error) {
-      logger.error('Error verifying image with Gemini:', error);
-      
-      // Fallback to basic verification
-      verificationResult = {
-        is_authentic: true,
-        confidence: 0.5,
-        analysis: 'Unable to verify with AI, manual review required',
-        detected_objects: [],
-        manipulation_indicators: []
-      };
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
     }
 
-    // Update the report if report_id is provided
-    if (report_id) {
-      const { error: updateError } = await supabase
-        .from('reports')
-        .update({
-          verification_status: verificationResult.is_authentic ? 'verified' : 'flagged',
-          verification_details: verificationResult
-        })
-        .eq('id', report_id)
-        .eq('disaster_id', disaster_id);
-
-      if (updateError) {
-        logger.error('Error updating report verification:', updateError);
-      }
+    if (!report.image_url) {
+      return res.status(422).json({ error: 'Report has no image to verify' });
     }
 
-    // Log the verification action
-    logger.info(`Image verification completed for disaster ${disaster_id}: ${verificationResult.is_authentic ? 'VERIFIED' : 'FLAGGED'}`);
+    const result = await runVerification({
+      disaster_id: report.disaster_id,
+      report_id: report.id,
+      image_url: report.image_url,
+      user: req.user,
+      skipCache: true
+    });
+
+    logger.info(`Report ${id} re-verified by ${req.user.id}`);
+    res.json(result);
+  } catch (error) {
+    logger.error('Error in reverifyReport:', error);
+    res.status(500).json({ error: 'Failed to re-verify report' });
+  }
+};
+
+// Earlier images that look like the report's image, across all disasters.
+// Images are fingerprinted when uploaded, verified or submitted with a
+// report; this only reads what is stored.
+const getSimilarImages = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: report } = await supabase
+      .from('reports')
+      .select('id, disaster_id, image_url')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (!report.image_url) {
+      return res.status(422).json({ error: 'Report has no image to compare' });
+    }
+
+    const image = await findStoredImage(report.image_url);
+    const fingerprinted = Boolean(image?.phash);
 
     res.json({
-      disaster_id,
-      image_url,
-      verification_result: verificationResult,
-      verified_by: user_id,
-      verified_at: new Date().toISOString()
+      report_id: report.id,
+      image_url: report.image_url,
+      fingerprinted,
+      similar_images: fingerprinted ? await findSimilarImages(image) : []
     });
   } catch (error) {
-    logger.error('Error in verifyImage:', error);
-    res.status(500).json({ error: 'Failed to verify image' });
+    logger.error('Error in getSimilarImages:', error);
+    res.status(500).json({ error: 'Failed to find similar images' });
   }
 };
 
 const getVerificationHistory = async (req, res) => {
   try {
     const { id: disaster_id } = req.params;
-    const { limit = 20, offset = 0 } = req.query;
+    const result = await listVerifications({ disaster_id }, req.query);
+
+    res.json({ ...result, limit: req.query.limit, offset: req.query.offset });
+  } catch (error) {
+    logger.error('Error in getVerificationHistory:', error);
+    res.status(500).json({ error: 'Failed to fetch verification history' });
+  }
+};
+
+const getReportVerifications = async (req, res) => {
+  try {
+    const { id: report_id } = req.params;
 
-    const { data, error } = await supabase
+    const { data: report } = await supabase
       .from('reports')
-      .select('id, image_url, verification_status, verification_details, created_at')
-      .eq('disaster_id', disaster_id)
-      .not('verification_status', 'is', null)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+      .select('id')
+      .eq('id', report_id)
+      .maybeSingle();
 
-    if (error) {
-      logger.error('Error fetching verification history:', error);
-      return res.status(400).json({ error: error.message });
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
     }
 
-    res.json(data);
+    const result = await listVerifications({ report_id }, req.query);
+
+    res.json({ ...result, limit: req.query.limit, offset: req.query.offset });
   } catch (error) {
-    logger.error('Error in getVerificationHistory:', error);
-    res.status(500).json({ error: 'Failed to fetch verification history' });
+    logger.error('Error in getReportVerifications:', error);
+    res.status(500).json({ error: 'Failed to fetch report verifications' });
   }
 };
 
 module.exports = {
   verifyImage,
-  getVerificationHistory
+  reverifyReport,
+  getSimilarImages,
+  getVerificationHistory,
+  getReportVerifications
 };
\ No newline at end of file
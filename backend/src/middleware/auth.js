@@ -1,54 +1,32 @@
 const logger = require('../utils/logger');
-
-// Mock users for development - in production, use proper JWT/OAuth
-const mockUsers = {
-  'netrunnerX': {
-    id: 'netrunnerX',
-    username: 'netrunnerX',
-    role: 'admin',
-    permissions: ['create', 'read', 'update', 'delete', 'verify']
-  },
-  'reliefAdmin': {
-    id: 'reliefAdmin',
-    username: 'reliefAdmin',
-    role: 'admin',
-    permissions: ['create', 'read', 'update', 'delete', 'verify']
-  },
-  'contributor1': {
-    id: 'contributor1',
-    username: 'contributor1',
-    role: 'contributor',
-    permissions: ['create', 'read', 'update']
-  },
-  'citizen1': {
-    id: 'citizen1',
-    username: 'citizen1',
-    role: 'citizen',
-    permissions: ['create', 'read']
-  }
-};
+const { verifyAccessToken, getRolePermissions } = require('../services/auth');
 
 const auth = (req, res, next) => {
   try {
-    // In development, check for user_id in headers or body
-    const userId = req.headers['x-user-id'] || req.body.user_id || 'netrunnerX';
-    
-    // In production, you would:
-    // 1. Extract JWT token from Authorization header
-    // 2. Verify the token
-    // 3. Extract user info from token
-    
-    const user = mockUsers[userId];
-    
-    if (!user) {
-      logger.warn(`Authentication failed for user: ${userId}`);
-      return res.status(401).json({ error: 'Invalid credentials' });
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+      payload = verifyAccessToken(token);
+    } catch (error) {
+      logger.warn(`Rejected access token: ${error.message}`);
+      return res.status(401).json({ error: 'Invalid or expired token' });
     }
 
     // Attach user to request object
-    req.user = user;
+    req.user = {
+      id: payload.sub,
+      username: payload.username,
+      role: payload.role,
+      permissions: getRolePermissions(payload.role)
+    };
     
-    logger.debug(`User authenticated: ${user.username} (${user.role})`);
+    logger.debug(`User authenticated: ${req.user.username} (${req.user.role})`);
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -56,19 +34,26 @@ const auth = (req, res, next) => {
   }
 };
 
-const authorize = (requiredPermissions = []) => {
+const authorize = (requiredPermissions = [], action = null) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    const hasPermission = requiredPermissions.every(permission => 
-      req.user.permissions.includes(permission)
+    const missing = requiredPermissions.filter(permission => 
+      !req.user.permissions.includes(permission)
     );
 
-    if (!hasPermission) {
-      logger.warn(`Authorization failed for user ${req.user.username}: missing permissions ${requiredPermissions}`);
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    if (missing.length > 0) {
+      const target = action ? `'${action}'` : 'this action';
+      logger.warn(`Authorization failed for user ${req.user.username}: missing permissions ${missing}`);
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        reason: `Role '${req.user.role}' cannot perform ${target}: requires ${missing.join(', ')} permission`,
+        action,
+        required_permissions: requiredPermissions,
+        missing_permissions: missing
+      });
     }
 
     next();
@@ -77,14 +62,22 @@ const authorize = (requiredPermissions = []) => {
 
 const isAdmin = (req, res, next) => {
   if (!req.user || req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+    return res.status(403).json({
+      error: 'Admin access required',
+      reason: `Role '${req.user?.role || 'anonymous'}' is not an admin`
+    });
   }
   next();
 };
 
+// Admins may act on any record; everyone else only on records they own
+const isOwnerOrAdmin = (user, ownerId) => {
+  return Boolean(user) && (user.role === 'admin' || user.id === ownerId);
+};
+
 module.exports = {
   auth,
   authorize,
   isAdmin,
-  mockUsers
+  isOwnerOrAdmin
 };
\ No newline at end of file
@@ -1,64 +1,97 @@
-const supabase = require('../services/supabase');
+const crypto = require('crypto');
+const { getCacheStore } = require('../services/cacheStore');
 const logger = require('../utils/logger');
+const { CACHE_CONFIG } = require('../utils/constants');
 
-const CACHE_TTL = process.env.CACHE_TTL || 3600000; // 1 hour in milliseconds
+const CACHE_TTL = parseInt(process.env.CACHE_TTL, 10) || 3600000; // 1 hour in milliseconds
 
-const getCachedData = async (key) => {
-  try {
-    const { data, error } = await supabase
-      .from('cache')
-      .select('value, expires_at')
-      .eq('key', key)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        // No data found
-        return null;
-      }
-      logger.error('Error fetching cached data:', error);
+// Values are stored as entries that record when they stop being fresh and
+// the versions of their tags at write time. Entries are kept for ttl +
+// staleTtl: past ttl they can still be served while a refresh runs.
+const ENTRY_MARKER = '__cache_entry';
+const TAG_VERSION_TTL = 30 * 24 * 60 * 60 * 1000; // outlives any entry TTL
+
+const tagKey = (tag) => `${CACHE_CONFIG.KEYS.TAGS}_${tag}`;
+
+// Hit/miss counters per key prefix since the process started
+const stats = { since: new Date().toISOString(), prefixes: {} };
+
+const prefixOf = (key) => Object.values(CACHE_CONFIG.KEYS)
+  .filter(prefix => key.startsWith(`${prefix}_`))
+  .sort((a, b) => b.length - a.length)[0] || 'other';
+
+const recordAccess = (key, outcome) => {
+  const prefix = prefixOf(key);
+  stats.prefixes[prefix] = stats.prefixes[prefix] || { hits: 0, stale: 0, misses: 0 };
+  stats.prefixes[prefix][outcome]++;
+};
+
+const readTagVersions = async (tags) => {
+  const versions = await Promise.all(tags.map(tag => getCacheStore().get(tagKey(tag))));
+  return Object.fromEntries(tags.map((tag, i) => [tag, versions[i] || 0]));
+};
+
+// Resolves to { value, freshUntil } or null. Values written before entries
+// existed are returned as always fresh.
+const readEntry = async (key) => {
+  const stored = await getCacheStore().get(key);
+  if (stored === null) {
+    return null;
+  }
+
+  if (!stored || stored[ENTRY_MARKER] !== 1) {
+    return { value: stored, freshUntil: Infinity };
+  }
+
+  const tags = Object.keys(stored.tags);
+  if (tags.length > 0) {
+    const current = await readTagVersions(tags);
+    if (tags.some(tag => current[tag] > stored.tags[tag])) {
+      await getCacheStore().delete(key);
       return null;
     }
+  }
+
+  return { value: stored.value, freshUntil: stored.fresh_until };
+};
+
+const writeEntry = async (key, value, { ttl, staleTtl = 0, tagVersions = {} }) => {
+  await getCacheStore().set(key, {
+    [ENTRY_MARKER]: 1,
+    value,
+    fresh_until: Date.now() + ttl,
+    tags: tagVersions
+  }, ttl + staleTtl);
+};
 
-    // Check if cache has expired
-    const now = new Date();
-    const expiresAt = new Date(data.expires_at);
-    
-    if (now > expiresAt) {
-      // Cache expired, delete it
-      await deleteCachedData(key);
+// Cache failures are logged and treated as misses, so a cache outage never
+// fails a request. Stale entries count as misses here; use cached() to serve
+// them while refreshing.
+const getCachedData = async (key) => {
+  try {
+    const entry = await readEntry(key);
+
+    if (!entry || entry.freshUntil <= Date.now()) {
+      recordAccess(key, 'misses');
       return null;
     }
 
+    recordAccess(key, 'hits');
     logger.debug(`Cache hit for key: ${key}`);
-    return data.value;
+    return entry.value;
   } catch (error) {
     logger.error('Error in getCachedData:', error);
     return null;
   }
 };
 
-const setCachedData = async (key, value, customTTL = null) => {
+const setCachedData = async (key, value, customTTL = null, { tags = [], staleTtl = 0 } = {}) => {
   try {
     const ttl = customTTL || CACHE_TTL;
-    const expiresAt = new Date(Date.now() + ttl);
-
-    const { error } = await supabase
-      .from('cache')
-      .upsert([{
-        key,
-        value,
-        expires_at: expiresAt.toISOString()
-      }], {
-        onConflict: 'key'
-      });
-
-    if (error) {
-      logger.error('Error setting cached data:', error);
-      return false;
-    }
+    const tagVersions = await readTagVersions(tags);
+    await writeEntry(key, value, { ttl, staleTtl, tagVersions });
 
-    logger.debug(`Cache set for key: ${key}, expires: ${expiresAt.toISOString()}`);
+    logger.debug(`Cache set for key: ${key}, expires: ${new Date(Date.now() + ttl).toISOString()}`);
     return true;
   } catch (error) {
     logger.error('Error in setCachedData:', error);
@@ -68,15 +101,7 @@ const setCachedData = async (key, value, customTTL = null) => {
 
 const deleteCachedData = async (key) => {
   try {
-    const { error } = await supabase
-      .from('cache')
-      .delete()
-      .eq('key', key);
-
-    if (error) {
-      logger.error('Error deleting cached data:', error);
-      return false;
-    }
+    await getCacheStore().delete(key);
 
     logger.debug(`Cache deleted for key: ${key}`);
     return true;
@@ -86,67 +111,303 @@ const deleteCachedData = async (key) => {
   }
 };
 
-const clearExpiredCache = async () => {
+// Purges every entry written with one of the tags by bumping the tag's
+// version; entries carrying an older version are dropped when next read
+const invalidateTags = async (tags) => {
   try {
-    const now = new Date().toISOString();
-    
-    const { error } = await supabase
-      .from('cache')
-      .delete()
-      .lt('expires_at', now);
-
-    if (error) {
-      logger.error('Error clearing expired cache:', error);
-      return false;
-    }
+    await Promise.all(tags.map(async (tag) => {
+      const current = (await getCacheStore().get(tagKey(tag))) || 0;
+      await getCacheStore().set(tagKey(tag), Math.max(Date.now(), current + 1), TAG_VERSION_TTL);
+    }));
 
-    logger.info('Expired cache entries cleared');
+    logger.debug(`Cache invalidated for tags: ${tags.join(', ')}`);
     return true;
   } catch (error) {
-    logger.error('Error in clearExpiredCache:', error);
+    logger.error('Error in invalidateTags:', error);
     return false;
   }
 };
 
-// Middleware function to check cache before proceeding
-const cacheMiddleware = (keyGenerator, ttl = null) => {
-  return async (req, res, next) => {
-    try {
-      const cacheKey = typeof keyGenerator === 'function' ? keyGenerator(req) : keyGenerator;
-      
-      const cachedData = await getCachedData(cacheKey);
-      if (cachedData) {
-        return res.json(cachedData);
+// Resolves to the number of entries removed, or null on failure
+const clearExpiredCache = async () => {
+  try {
+    const removed = await getCacheStore().clearExpired();
+
+    logger.info(`Expired cache entries cleared: ${removed}`);
+    return removed;
+  } catch (error) {
+    logger.error('Error in clearExpiredCache:', error);
+    return null;
+  }
+};
+
+// Loads in flight in this process, so concurrent misses for a key share one
+// load instead of all hitting the origin
+const inFlight = new Map();
+
+const singleFlight = (key, load) => {
+  if (!inFlight.has(key)) {
+    inFlight.set(key, load().finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+};
+
+const safeReadEntry = async (key) => {
+  try {
+    return await readEntry(key);
+  } catch (error) {
+    logger.error('Error reading cache entry:', error);
+    return null;
+  }
+};
+
+// Tag versions are read before loading, so an invalidation that lands while
+// the load runs still purges what it wrote
+const refresh = (key, loader, { ttl, staleTtl, tags }) => singleFlight(key, async () => {
+  const tagVersions = await readTagVersions(tags).catch(() => null);
+  const value = await loader();
+
+  if (tagVersions) {
+    await writeEntry(key, value, { ttl, staleTtl, tagVersions })
+      .catch(error => logger.error(`Error caching ${key}:`, error));
+  }
+  return value;
+});
+
+// Returns the cached value for key, calling loader on a miss. Concurrent
+// misses share one loader call, and within staleTtl after expiry the old
+// value is returned while a single background refresh runs.
+const cached = async (key, loader, { ttl = CACHE_TTL, staleTtl = 0, tags = [] } = {}) => {
+  const options = { ttl, staleTtl, tags };
+  const entry = await safeReadEntry(key);
+
+  if (entry && entry.freshUntil > Date.now()) {
+    recordAccess(key, 'hits');
+    logger.debug(`Cache hit for key: ${key}`);
+    return entry.value;
+  }
+
+  if (entry) {
+    recordAccess(key, 'stale');
+    logger.debug(`Serving stale cache for key: ${key}`);
+    refresh(key, loader, options).catch(error => logger.error(`Background refresh of ${key} failed:`, error));
+    return entry.value;
+  }
+
+  recordAccess(key, 'misses');
+  return refresh(key, loader, options);
+};
+
+const cacheControl = (maxAgeMs, staleTtl) =>
+  `private, max-age=${Math.max(0, Math.floor(maxAgeMs / 1000))}, stale-while-revalidate=${Math.floor(staleTtl / 1000)}`;
+
+const etagFor = (body) => `W/"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex')}"`;
+
+const sendCached = (req, res, body, freshUntil, staleTtl) => {
+  const etag = etagFor(body);
+
+  res.set('ETag', etag);
+  res.set('Cache-Control', cacheControl(freshUntil - Date.now(), staleTtl));
+
+  if (req.get('If-None-Match') === etag) {
+    return res.status(304).end();
+  }
+  return res.json(body);
+};
+
+// Stands in for the response when a handler runs only to refresh an entry
+// that was already served stale
+const detachedResponse = (settle) => {
+  const res = {
+    statusCode: 200,
+    status: (code) => { res.statusCode = code; return res; },
+    set: () => res,
+    header: () => res,
+    setHeader: () => {},
+    json: (body) => { settle(res.statusCode, body); return res; },
+    send: () => { settle(res.statusCode); return res; },
+    end: () => { settle(res.statusCode); return res; }
+  };
+  return res;
+};
+
+// Runs a route handler and resolves with its 2xx JSON body. Given the live
+// response the handler answers the request as usual; without one it runs
+// against a detached response and its output is only captured.
+const loadFromHandler = (handler, req, live, { ttl, staleTtl }) => new Promise((resolve, reject) => {
+  let settled = false;
+
+  const settle = (code, body) => {
+    if (settled) return;
+    settled = true;
+    if (code >= 200 && code < 300) {
+      resolve(body);
+    } else {
+      reject(new Error(`Route responded with ${code}`));
+    }
+  };
+
+  let res;
+  let next;
+  if (live) {
+    ({ res, next } = live);
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settle(res.statusCode, body);
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        res.set('ETag', etagFor(body));
+        res.set('Cache-Control', cacheControl(ttl, staleTtl));
       }
+      return json(body);
+    };
+    res.on('close', () => settle(0));
+  } else {
+    res = detachedResponse(settle);
+    next = (error) => settle(500, error);
+  }
+
+  Promise.resolve(handler(req, res, next)).catch((error) => {
+    settle(500);
+    if (live) next(error);
+  });
+});
 
-      // Store cache key and TTL in request for use in route handler
-      req.cacheKey = cacheKey;
-      req.cacheTTL = ttl;
-      
-      next();
+// Wraps a route handler to cache its JSON responses. Concurrent misses share
+// one run of the handler, stale responses are served while the handler
+// refreshes them, and responses carry Cache-Control and ETag (If-None-Match
+// gets a 304). keyGenerator and options.tags may be functions of the request.
+const cachedHandler = (handler, keyGenerator, ttl = null, { staleTtl = 0, tags = [] } = {}) => {
+  return async (req, res, next) => {
+    let cacheKey;
+    let options;
+    try {
+      cacheKey = typeof keyGenerator === 'function' ? keyGenerator(req) : keyGenerator;
+      options = {
+        ttl: ttl || CACHE_TTL,
+        staleTtl,
+        tags: typeof tags === 'function' ? tags(req) : tags
+      };
     } catch (error) {
       logger.error('Error in cache middleware:', error);
-      next(); // Continue without cache
+      return handler(req, res, next); // Continue without cache
+    }
+
+    const entry = await safeReadEntry(cacheKey);
+
+    if (entry && entry.freshUntil > Date.now()) {
+      recordAccess(cacheKey, 'hits');
+      return sendCached(req, res, entry.value, entry.freshUntil, staleTtl);
+    }
+
+    if (entry) {
+      recordAccess(cacheKey, 'stale');
+      sendCached(req, res, entry.value, Date.now(), staleTtl);
+      if (!inFlight.has(cacheKey)) {
+        refresh(cacheKey, () => loadFromHandler(handler, req, null, options), options)
+          .catch(error => logger.warn(`Background refresh of ${cacheKey} failed: ${error.message}`));
+      }
+      return;
+    }
+
+    recordAccess(cacheKey, 'misses');
+
+    if (inFlight.has(cacheKey)) {
+      try {
+        const body = await inFlight.get(cacheKey);
+        return sendCached(req, res, body, Date.now() + options.ttl, staleTtl);
+      } catch (error) {
+        return handler(req, res, next); // The shared load failed; run the handler for this request
+      }
     }
+
+    refresh(cacheKey, () => loadFromHandler(handler, req, { res, next }, options), options)
+      .catch(error => logger.debug(`Response for ${cacheKey} not cached: ${error.message}`));
+  };
+};
+
+// Administration
+
+const listCacheKeys = async (prefix) => {
+  const keys = await getCacheStore().list(`${prefix}_`);
+  return keys.sort((a, b) => a.key.localeCompare(b.key));
+};
+
+// Returns the stored entry with its freshness and tags, or null
+const inspectCacheEntry = async (key) => {
+  const stored = await getCacheStore().inspect(key);
+  if (!stored) {
+    return null;
+  }
+
+  const { value, expires_at } = stored;
+  if (!value || value[ENTRY_MARKER] !== 1) {
+    return { key, prefix: prefixOf(key), value, fresh_until: null, expires_at, tags: {}, stale: false };
+  }
+
+  return {
+    key,
+    prefix: prefixOf(key),
+    value: value.value,
+    fresh_until: new Date(value.fresh_until).toISOString(),
+    expires_at,
+    tags: value.tags,
+    stale: value.fresh_until <= Date.now()
+  };
+};
+
+const purgeCachePrefix = async (prefix) => {
+  const removed = await getCacheStore().deleteByPrefix(`${prefix}_`);
+  logger.info(`Cache purged for prefix ${prefix}: ${removed} entries`);
+  return removed;
+};
+
+// Hit ratios since startup plus current entry counts and sizes, per prefix
+const getCacheStats = async () => {
+  const prefixes = await Promise.all(Object.values(CACHE_CONFIG.KEYS).map(async (prefix) => {
+    const keys = await getCacheStore().list(`${prefix}_`);
+    const counts = stats.prefixes[prefix] || { hits: 0, stale: 0, misses: 0 };
+    const lookups = counts.hits + counts.stale + counts.misses;
+
+    return {
+      prefix,
+      ...counts,
+      hit_ratio: lookups > 0 ? Number(((counts.hits + counts.stale) / lookups).toFixed(3)) : null,
+      entries: keys.length,
+      bytes: keys.reduce((total, entry) => total + entry.size, 0)
+    };
+  }));
+
+  return {
+    backend: getCacheStore().name,
+    since: stats.since,
+    in_flight: inFlight.size,
+    prefixes,
+    other: stats.prefixes.other || { hits: 0, stale: 0, misses: 0 }
   };
 };
 
 // Start periodic cleanup of expired cache entries
 const startCacheCleanup = () => {
-  const cleanupInterval = 30 * 60 * 1000; // 30 minutes
+  const cleanupInterval = CACHE_CONFIG.CLEANUP_INTERVAL;
   
   setInterval(async () => {
     await clearExpiredCache();
   }, cleanupInterval);
   
-  logger.info('Cache cleanup scheduled every 30 minutes');
+  logger.info(`Cache cleanup scheduled every ${cleanupInterval / 60000} minutes`);
 };
 
 module.exports = {
   getCachedData,
   setCachedData,
   deleteCachedData,
+  invalidateTags,
+  cached,
   clearExpiredCache,
-  cacheMiddleware,
+  listCacheKeys,
+  inspectCacheEntry,
+  purgeCachePrefix,
+  getCacheStats,
+  cachedHandler,
   startCacheCleanup
 };
\ No newline at end of file
@@ -0,0 +1,62 @@
+const { auth, authorize } = require('./auth');
+
+// Permissions required for each API action. Permissions come from
+// USER_ROLES in utils/constants.js; routes reference actions by name so the
+// whole access matrix can be reviewed in one place.
+const POLICIES = {
+  'disasters:read': ['read'],
+  'disasters:create': ['create'],
+  'disasters:update': ['update'],
+  'disasters:update_status': ['update'],
+  'disasters:history': ['read'],
+  'disasters:revert': ['update'],
+  'disasters:delete': ['delete'],
+
+  'sitreps:create': ['update'],
+  'sitreps:read': ['read'],
+
+  'reports:read': ['read'],
+  'reports:create': ['create'],
+  'reports:moderate': ['verify'],
+
+  'verifications:read': ['read'],
+
+  'resources:read': ['read'],
+  'resources:create': ['manage_resources'],
+  'resources:update': ['manage_resources'],
+  'resources:delete': ['manage_resources'],
+
+  'images:verify': ['verify'],
+
+  'geocode': ['create'],
+  'geocode:batch': ['create'],
+  'geocode:reverse': ['read'],
+  'situation:extract': ['create'],
+
+  'social_media:read': ['read'],
+  'official_updates:read': ['read'],
+
+  'cache:admin': ['delete']
+};
+
+// Returns the middleware chain (authentication + permission check) for an action
+const policy = (action) => {
+  const permissions = POLICIES[action];
+
+  if (!permissions) {
+    throw new Error(`No policy defined for action: ${action}`);
+  }
+
+  return [auth, authorize(permissions, action)];
+};
+
+const can = (user, action) => {
+  const permissions = POLICIES[action] || [];
+  return Boolean(user) && permissions.every(permission => user.permissions.includes(permission));
+};
+
+module.exports = {
+  POLICIES,
+  policy,
+  can
+};
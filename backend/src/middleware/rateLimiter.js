@@ -148,6 +148,19 @@ const createLimiter = rateLimit({
   }
 });
 
+// Login/refresh attempts - strict to slow down credential guessing
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  handler: (req, res) => {
+    logger.warn(`Auth limit exceeded: ${req.ip}`);
+    res.status(429).json({ error: 'Too many login attempts, please try again later.' });
+  }
+});
+
 // Special limiter for mock endpoints - very lenient
 const mockLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
@@ -166,6 +179,7 @@ module.exports = {
   apiLimiter,
   verificationLimiter,
   createLimiter,
+  authLimiter,
   mockLimiter
 };
 
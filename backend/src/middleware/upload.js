@@ -0,0 +1,53 @@
+const multer = require('multer');
+const { MESSAGES, UPLOAD_CONFIG } = require('../utils/constants');
+
+const MAX_SIZE_MB = UPLOAD_CONFIG.MAX_FILE_SIZE / 1024 / 1024;
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_CONFIG.MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!UPLOAD_CONFIG.ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      req.rejectedMimeType = file.mimetype;
+      return cb(null, false);
+    }
+    cb(null, true);
+  }
+});
+
+// Accepts a single image in the multipart field "file" and keeps it in memory
+// as req.file
+const uploadImage = (req, res, next) => {
+  imageUpload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Image must be ${MAX_SIZE_MB}MB or smaller` });
+      }
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (error) {
+      return next(error);
+    }
+
+    if (req.rejectedMimeType) {
+      return res.status(415).json({
+        error: `Unsupported image type: ${req.rejectedMimeType}`,
+        allowed: UPLOAD_CONFIG.ALLOWED_MIME_TYPES
+      });
+    }
+
+    if (!req.file) {
+      return res.status(422).json({
+        error: MESSAGES.ERROR.VALIDATION_ERROR,
+        fields: { file: 'file is required' }
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  uploadImage
+};
@@ -0,0 +1,535 @@
+const Joi = require('joi');
+const {
+  MESSAGES,
+  VALIDATION,
+  PRIORITY_LEVELS,
+  GEO_CONSTANTS,
+  RESOURCE_TYPES,
+  STATUS_TYPES,
+  MODERATION_CONFIG,
+  RESOURCE_CONFIG,
+  SITREP_CONFIG,
+  CACHE_CONFIG,
+  GEOCODING_CONFIG
+} = require('../utils/constants');
+const { bboxToPolygon } = require('../utils/geo');
+
+const id = Joi.string().uuid();
+const limit = (defaultValue) => Joi.number().integer().min(1).max(100).default(defaultValue);
+const offset = Joi.number().integer().min(0).default(0);
+const cachePrefix = Joi.string().valid(...Object.values(CACHE_CONFIG.KEYS));
+const optionalText = (max) => Joi.string().trim().max(max).allow('', null);
+const imageUrl = Joi.string().uri({ scheme: ['http', 'https'] }).max(VALIDATION.REPORT.IMAGE_URL_MAX_LENGTH);
+
+const coordinates = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required()
+});
+
+// [minLng, minLat, maxLng, maxLat]
+const bbox = Joi.array()
+  .ordered(
+    Joi.number().min(-180).max(180).required(),
+    Joi.number().min(-90).max(90).required(),
+    Joi.number().min(-180).max(180).required(),
+    Joi.number().min(-90).max(90).required()
+  )
+  .custom((value, helpers) => {
+    if (value[0] > value[2] || value[1] > value[3]) {
+      return helpers.message('bbox must be [minLng, minLat, maxLng, maxLat]');
+    }
+    return value;
+  });
+
+// GeoJSON Polygon or MultiPolygon with closed rings of [lng, lat] positions
+const position = Joi.array().ordered(
+  Joi.number().min(-180).max(180).required(),
+  Joi.number().min(-90).max(90).required()
+);
+
+const linearRing = Joi.array().items(position).min(4).custom((ring, helpers) => {
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    return helpers.message('polygon rings must end at their first position');
+  }
+  return ring;
+});
+
+const polygonCoordinates = Joi.array().items(linearRing).min(1);
+
+const areaGeometry = Joi.object({
+  type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+  coordinates: Joi.when('type', {
+    is: 'Polygon',
+    then: polygonCoordinates.required(),
+    otherwise: Joi.array().items(polygonCoordinates).min(1).required()
+  })
+}).custom((geometry, helpers) => {
+  if (geometry.coordinates.flat(Infinity).length / 2 > VALIDATION.DISASTER.AREA_MAX_VERTICES) {
+    return helpers.message(`areas may have at most ${VALIDATION.DISASTER.AREA_MAX_VERTICES} vertices`);
+  }
+  return geometry;
+});
+
+const severityZones = Joi.array()
+  .items(Joi.object({
+    severity: Joi.string().valid(...Object.values(PRIORITY_LEVELS)).required(),
+    area: areaGeometry.required()
+  }))
+  .max(VALIDATION.DISASTER.MAX_SEVERITY_ZONES);
+
+const BBOX_PATTERN = /^-?[\d.]+(,-?[\d.]+){3}$/;
+
+// "minLng,minLat,maxLng,maxLat" in a query string, parsed into a bbox array
+const bboxString = Joi.string().trim().custom((value, helpers) => {
+  const { value: box, error } = BBOX_PATTERN.test(value)
+    ? bbox.validate(value.split(',').map(Number))
+    : { error: new Error('bbox must be "minLng,minLat,maxLng,maxLat"') };
+  return error ? helpers.message(error.message) : box;
+});
+
+// "minLng,minLat,maxLng,maxLat" or a GeoJSON (Multi)Polygon, parsed into a
+// geometry
+const intersectsArea = Joi.string().trim().max(100000).custom((value, helpers) => {
+  if (BBOX_PATTERN.test(value)) {
+    const { value: box, error } = bbox.validate(value.split(',').map(Number));
+    return error ? helpers.message(error.message) : bboxToPolygon(box);
+  }
+
+  let geometry;
+  try {
+    geometry = JSON.parse(value);
+  } catch (error) {
+    return helpers.message('intersects must be a bbox or a GeoJSON polygon');
+  }
+
+  const { value: area, error } = areaGeometry.validate(geometry?.type === 'Feature' ? geometry.geometry : geometry);
+  return error ? helpers.message(`intersects: ${error.message}`) : area;
+});
+
+const geocodeBias = {
+  country: Joi.string().trim().lowercase().pattern(/^[a-z]{2}$/).message('country must be an ISO 3166-1 alpha-2 code'),
+  bbox,
+  near: coordinates,
+  disaster_id: id
+};
+
+const disasterTags = Joi.array()
+  .items(Joi.string().trim().lowercase().max(50))
+  .max(VALIDATION.DISASTER.MAX_TAGS)
+  .unique();
+
+const disasterStatuses = Object.values(STATUS_TYPES.DISASTER);
+
+const disasterFields = {
+  title: Joi.string().trim().min(3).max(VALIDATION.DISASTER.TITLE_MAX_LENGTH),
+  location_name: optionalText(VALIDATION.DISASTER.LOCATION_NAME_MAX_LENGTH),
+  description: optionalText(VALIDATION.DISASTER.DESCRIPTION_MAX_LENGTH),
+  tags: disasterTags.allow(null),
+  status: Joi.string().valid(...disasterStatuses),
+  // Coordinates the user picked from geocoding candidates; skips server-side geocoding
+  coordinates,
+  affected_area: areaGeometry.allow(null),
+  severity_zones: severityZones.allow(null)
+};
+
+// Comma-separated statuses, e.g. "active,monitoring", parsed into an array
+const statusList = (allowed) => Joi.string().trim().max(100).custom((value, helpers) => {
+  const statuses = value.split(',').map(s => s.trim()).filter(Boolean);
+  const invalid = statuses.filter(s => !allowed.includes(s));
+
+  if (invalid.length > 0) {
+    return helpers.message(`status must be one of ${allowed.join(', ')}`);
+  }
+
+  return statuses;
+});
+
+const reviewReason = Joi.string().trim().min(3).max(500);
+
+// Opening hours per day as "HH:MM" ranges, e.g.
+// { "mon": [{ "open": "08:00", "close": "20:00" }] }; a missing day is
+// closed, "00:00"-"24:00" is open all day and a close before the open
+// runs past midnight
+const clockTime = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/).message('times must be HH:MM');
+
+const openingHours = Joi.object(RESOURCE_CONFIG.DAYS.reduce((days, day) => ({
+  ...days,
+  [day]: Joi.array()
+    .items(Joi.object({ open: clockTime.required(), close: clockTime.required() }))
+    .max(VALIDATION.RESOURCE.MAX_HOURS_PER_DAY)
+}), {}));
+
+const resourceCount = Joi.number().integer().min(0).max(VALIDATION.RESOURCE.MAX_CAPACITY);
+
+const resourceFields = {
+  name: Joi.string().trim().max(VALIDATION.RESOURCE.NAME_MAX_LENGTH),
+  location_name: Joi.string().trim().max(VALIDATION.DISASTER.LOCATION_NAME_MAX_LENGTH),
+  coordinates,
+  type: Joi.string().valid(...Object.values(RESOURCE_TYPES)),
+  description: optionalText(VALIDATION.RESOURCE.DESCRIPTION_MAX_LENGTH),
+  contact_info: optionalText(VALIDATION.RESOURCE.CONTACT_INFO_MAX_LENGTH),
+  status: Joi.string().valid(...Object.values(STATUS_TYPES.RESOURCE)),
+  capacity: resourceCount.allow(null),
+  occupancy: resourceCount.allow(null).when('capacity', {
+    is: Joi.number().required(),
+    then: Joi.number().max(Joi.ref('capacity')).message('occupancy cannot exceed capacity')
+  }),
+  opening_hours: openingHours.allow(null),
+  // When someone last checked the resource on the ground, if not now
+  last_confirmed_at: Joi.date().iso().max('now'),
+  reason: optionalText(500)
+};
+
+const resourceParams = Joi.object({ id: id.required(), resourceId: id.required() });
+
+const disasterParams = Joi.object({ id: id.required() });
+
+const officialUpdatesQuery = {
+  sources: Joi.string().trim().max(200).default('all'),
+  category: Joi.string().trim().max(50),
+  severity: Joi.string().trim().max(20),
+  keywords: Joi.string().trim().max(200)
+};
+
+const socialMediaQuery = Joi.object({
+  keywords: Joi.string().trim().max(200),
+  disaster_type: Joi.string().trim().max(50),
+  limit: limit(20)
+});
+
+// Request schemas for each route, keyed like the policies in policy.js.
+// Each entry may validate params, query and body.
+const SCHEMAS = {
+  'auth:login': {
+    body: Joi.object({
+      username: Joi.string().trim().max(100).required(),
+      password: Joi.string().max(200).required()
+    })
+  },
+  'auth:refresh': {
+    body: Joi.object({ refresh_token: Joi.string().required() })
+  },
+  'auth:logout': {
+    body: Joi.object({ refresh_token: Joi.string() })
+  },
+
+  'disasters:create': {
+    body: Joi.object({
+      ...disasterFields,
+      title: disasterFields.title.required(),
+      tags: disasterTags.default([]),
+      status: Joi.forbidden()
+    })
+  },
+  'disasters:list': {
+    query: Joi.object({
+      tag: Joi.string().trim().max(50),
+      owner_id: Joi.string().trim().max(100),
+      status: statusList(disasterStatuses),
+      intersects: intersectsArea,
+      bbox: bboxString,
+      lat: Joi.number()
+        .min(-90)
+        .max(90)
+        .when('sort', { is: 'distance', then: Joi.required() })
+        .messages({ 'any.required': 'sort=distance needs lat and lng' }),
+      lng: Joi.number().min(-180).max(180),
+      radius: Joi.number()
+        .integer()
+        .min(1)
+        .max(GEO_CONSTANTS.DISASTER_MAX_RADIUS)
+        .when('lat', { is: Joi.exist(), then: Joi.optional().default(GEO_CONSTANTS.DISASTER_DEFAULT_RADIUS) }),
+      sort: Joi.string().valid('created_at', 'distance').default('created_at'),
+      limit: limit(50),
+      offset
+    })
+      .and('lat', 'lng')
+      .with('radius', 'lat')
+  },
+  'disasters:read': {
+    params: disasterParams
+  },
+  'disasters:update': {
+    params: disasterParams,
+    body: Joi.object(disasterFields)
+  },
+  'disasters:update_status': {
+    params: disasterParams,
+    body: Joi.object({
+      status: disasterFields.status.required(),
+      reason: optionalText(500)
+    })
+  },
+  'disasters:revert': {
+    params: Joi.object({
+      id: id.required(),
+      revision: Joi.number().integer().min(1).required()
+    })
+  },
+
+  'sitreps:create': {
+    params: disasterParams,
+    body: Joi.object({
+      mode: Joi.string().valid(...SITREP_CONFIG.MODES).default('auto')
+    })
+  },
+  'sitreps:list': {
+    params: disasterParams
+  },
+  'sitreps:read': {
+    params: Joi.object({
+      id: id.required(),
+      version: Joi.number().integer().min(1).required()
+    }),
+    query: Joi.object({
+      format: Joi.string().valid('json', 'markdown', 'pdf').default('json')
+    })
+  },
+
+  'geocode': {
+    body: Joi.object({
+      location_name: Joi.string().trim().max(VALIDATION.DISASTER.LOCATION_NAME_MAX_LENGTH),
+      description: Joi.string().trim().max(VALIDATION.DISASTER.DESCRIPTION_MAX_LENGTH),
+      ...geocodeBias
+    }).or('location_name', 'description')
+  },
+  'geocode:batch': {
+    body: Joi.object({
+      // Place names to geocode and/or { lat, lng } points to reverse geocode
+      items: Joi.array()
+        .items(Joi.alternatives().try(
+          Joi.string().trim().min(1).max(VALIDATION.DISASTER.LOCATION_NAME_MAX_LENGTH),
+          coordinates
+        ))
+        .min(1)
+        .max(GEOCODING_CONFIG.BATCH_MAX_ITEMS)
+        .required(),
+      ...geocodeBias
+    })
+  },
+  'geocode:batch_status': {
+    params: Joi.object({ id: id.required() })
+  },
+  'geocode:reverse': {
+    query: coordinates
+  },
+  'situation:extract': {
+    body: Joi.object({
+      text: Joi.string()
+        .trim()
+        .min(3)
+        .max(VALIDATION.DISASTER.TITLE_MAX_LENGTH + VALIDATION.DISASTER.DESCRIPTION_MAX_LENGTH + 1)
+        .required()
+    })
+  },
+
+  'social_media:list': {
+    params: disasterParams,
+    query: socialMediaQuery
+  },
+  'social_media:mock': {
+    query: socialMediaQuery
+  },
+
+  'resources:nearby': {
+    params: disasterParams,
+    query: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lon: Joi.number().min(-180).max(180).required(),
+      radius: Joi.number().integer().min(1).max(GEO_CONSTANTS.MAX_RADIUS).default(GEO_CONSTANTS.DEFAULT_RADIUS),
+      type: Joi.string().valid(...Object.values(RESOURCE_TYPES))
+    })
+  },
+  'resources:create': {
+    params: disasterParams,
+    body: Joi.object({
+      ...resourceFields,
+      name: resourceFields.name.required(),
+      location_name: resourceFields.location_name.required(),
+      type: resourceFields.type.required()
+    })
+  },
+  // PUT replaces the resource, so everything but the optional details is required
+  'resources:update': {
+    params: resourceParams,
+    body: Joi.object({
+      ...resourceFields,
+      name: resourceFields.name.required(),
+      location_name: resourceFields.location_name.required(),
+      type: resourceFields.type.required(),
+      status: resourceFields.status.required()
+    })
+  },
+  'resources:patch': {
+    params: resourceParams,
+    body: Joi.object(resourceFields).min(1)
+  },
+  'resources:read': {
+    params: resourceParams
+  },
+
+  'official_updates:list': {
+    params: disasterParams,
+    query: Joi.object({ ...officialUpdatesQuery, limit: limit(50) })
+  },
+  'official_updates:category': {
+    params: Joi.object({ category: Joi.string().trim().max(50).required() }),
+    query: Joi.object({ sources: officialUpdatesQuery.sources, limit: limit(20) })
+  },
+  'official_updates:search': {
+    query: Joi.object({
+      q: Joi.string().trim().min(2).max(200).required(),
+      sources: officialUpdatesQuery.sources,
+      limit: limit(30)
+    })
+  },
+
+  'images:verify': {
+    params: disasterParams,
+    body: Joi.object({
+      image_url: imageUrl.required(),
+      report_id: id
+    })
+  },
+
+  'reports:create': {
+    params: disasterParams,
+    body: Joi.object({
+      content: Joi.string().trim().max(VALIDATION.REPORT.CONTENT_MAX_LENGTH).required(),
+      image_url: imageUrl.allow('', null),
+      thumbnail_url: imageUrl.allow('', null)
+    })
+  },
+  'reports:upload_image': {
+    params: disasterParams
+  },
+  'reports:reverify': {
+    params: Joi.object({ id: id.required() })
+  },
+
+  'reports:similar_images': {
+    params: Joi.object({ id: id.required() })
+  },
+
+  'verifications:list': {
+    params: Joi.object({ id: id.required() }),
+    query: Joi.object({
+      source: Joi.string().valid('ai', 'forensics', 'human'),
+      limit: limit(20),
+      offset
+    })
+  },
+
+  'moderation:queue': {
+    query: Joi.object({
+      status: statusList(Object.values(STATUS_TYPES.REPORT)).default(['pending', 'flagged']),
+      disaster_id: id,
+      claim: Joi.string().valid('all', 'mine', 'unclaimed').default('all'),
+      limit: limit(50),
+      offset
+    })
+  },
+  'moderation:report': {
+    params: Joi.object({ id: id.required() })
+  },
+  'moderation:approve': {
+    params: Joi.object({ id: id.required() }),
+    body: Joi.object({ reason: reviewReason.allow('', null) })
+  },
+  'moderation:reject': {
+    params: Joi.object({ id: id.required() }),
+    body: Joi.object({ reason: reviewReason.required() })
+  },
+  'moderation:bulk': {
+    body: Joi.object({
+      action: Joi.string().valid('claim', 'release', 'approve', 'reject').required(),
+      report_ids: Joi.array()
+        .items(id)
+        .min(1)
+        .max(MODERATION_CONFIG.MAX_BULK_REPORTS)
+        .unique()
+        .required(),
+      reason: Joi.when('action', {
+        is: 'reject',
+        then: reviewReason.required(),
+        otherwise: reviewReason.allow('', null)
+      })
+    })
+  },
+  'reports:list': {
+    params: disasterParams,
+    query: Joi.object({ limit: limit(20), offset })
+  },
+
+  'cache:keys': {
+    query: Joi.object({
+      prefix: cachePrefix.required(),
+      limit: limit(50),
+      offset
+    })
+  },
+  'cache:entry': {
+    params: Joi.object({ key: Joi.string().max(500).required() })
+  },
+  'cache:purge': {
+    body: Joi.object({
+      prefix: cachePrefix,
+      tag: Joi.string().trim().max(200)
+    }).xor('prefix', 'tag')
+  }
+};
+
+const SOURCES = ['params', 'query', 'body'];
+
+const JOI_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } }
+};
+
+// Validates and normalises the request against a named schema. Unknown
+// fields are dropped and defaults applied; on failure responds 422 with a
+// message per field.
+const validate = (name) => {
+  const schemas = SCHEMAS[name];
+
+  if (!schemas) {
+    throw new Error(`No validation schema defined for: ${name}`);
+  }
+
+  return (req, res, next) => {
+    const fields = {};
+
+    SOURCES.forEach((source) => {
+      if (!schemas[source]) return;
+
+      const { value, error } = schemas[source].validate(req[source] || {}, JOI_OPTIONS);
+
+      if (error) {
+        error.details.forEach((detail) => {
+          const field = detail.path.length ? detail.path.join('.') : source;
+          if (!fields[field]) {
+            fields[field] = detail.message;
+          }
+        });
+      } else {
+        req[source] = value;
+      }
+    });
+
+    if (Object.keys(fields).length > 0) {
+      return res.status(422).json({
+        error: MESSAGES.ERROR.VALIDATION_ERROR,
+        fields
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  SCHEMAS,
+  validate
+};
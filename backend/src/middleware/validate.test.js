@@ -0,0 +1,132 @@
+const { validate } = require('./validate');
+
+const DISASTER_ID = '0b7c6f4e-2a51-4c1e-9a3b-5d2f8e6c1a90';
+const RESOURCE_ID = '5e1d3c2b-8f4a-4b6e-a7d9-0c1b2a3f4e5d';
+
+// Runs the named validator and resolves to the 422 body, or the normalised
+// request when it passed
+const run = (name, req) => {
+  const request = { params: {}, query: {}, body: {}, ...req };
+  let result;
+
+  validate(name)(
+    request,
+    {
+      status: code => ({ json: (body) => { result = { status: code, ...body }; } })
+    },
+    () => { result = request; }
+  );
+
+  return result;
+};
+
+describe('validate', () => {
+  it('answers 422 with a message per field', () => {
+    expect(run('auth:login', { body: { username: '  ' } })).toEqual({
+      status: 422,
+      error: 'Validation error',
+      fields: {
+        username: 'username is not allowed to be empty',
+        password: 'password is required'
+      }
+    });
+  });
+
+  it('trims values and drops unknown fields', () => {
+    expect(run('auth:login', { body: { username: ' admin ', password: 'pw', role: 'admin' } }).body)
+      .toEqual({ username: 'admin', password: 'pw' });
+  });
+
+  it('throws for schemas that do not exist', () => {
+    expect(() => validate('nope')).toThrow('No validation schema defined for: nope');
+  });
+});
+
+const square = [[[-74, 40], [-73, 40], [-73, 41], [-74, 41], [-74, 40]]];
+
+describe('disaster list filters', () => {
+  const list = query => run('disasters:list', { query });
+
+  it('splits and checks statuses', () => {
+    expect(list({ status: 'active, monitoring' }).query.status).toEqual(['active', 'monitoring']);
+    expect(list({ status: 'active,closed' }).status).toBe(422);
+  });
+
+  it('parses a bbox string into [minLng, minLat, maxLng, maxLat]', () => {
+    expect(list({ bbox: '-74.1,40.6,-73.8,40.9' }).query.bbox).toEqual([-74.1, 40.6, -73.8, 40.9]);
+  });
+
+  it('rejects malformed, out of range or inverted bboxes', () => {
+    expect(list({ bbox: '-74,40,-73' }).fields.bbox).toBe('bbox must be "minLng,minLat,maxLng,maxLat"');
+    expect(list({ bbox: '-74,40,-73,95' }).status).toBe(422);
+    expect(list({ bbox: '-73,40,-74,41' }).fields.bbox).toBe('bbox must be [minLng, minLat, maxLng, maxLat]');
+  });
+
+  it('needs a point to sort by distance and defaults the radius', () => {
+    expect(list({ sort: 'distance' }).fields.lat).toBe('sort=distance needs lat and lng');
+    expect(list({ lat: '40.7', lng: '-74' }).query).toMatchObject({ lat: 40.7, lng: -74, radius: expect.any(Number) });
+  });
+
+  it('turns an intersects bbox into a polygon', () => {
+    expect(list({ intersects: '-74,40,-73,41' }).query.intersects).toEqual({ type: 'Polygon', coordinates: square });
+  });
+
+  it('accepts GeoJSON polygons and features for intersects', () => {
+    const polygon = { type: 'Polygon', coordinates: square };
+
+    expect(list({ intersects: JSON.stringify(polygon) }).query.intersects).toEqual(polygon);
+    expect(list({ intersects: JSON.stringify({ type: 'Feature', geometry: polygon }) }).query.intersects).toEqual(polygon);
+  });
+
+  it('rejects intersects values that are not areas', () => {
+    expect(list({ intersects: 'not json' }).fields.intersects).toBe('intersects must be a bbox or a GeoJSON polygon');
+    expect(list({ intersects: JSON.stringify({ type: 'Point', coordinates: [0, 0] }) }).status).toBe(422);
+  });
+});
+
+describe('affected areas', () => {
+  const create = affected_area => run('disasters:create', { body: { title: 'Flood', affected_area } });
+
+  it('accepts closed polygons and multipolygons', () => {
+    expect(create({ type: 'Polygon', coordinates: square }).body.affected_area.type).toBe('Polygon');
+    expect(create({ type: 'MultiPolygon', coordinates: [square, square] }).body.affected_area.type).toBe('MultiPolygon');
+  });
+
+  it('rejects open rings and positions out of range', () => {
+    const open = [[-74, 40], [-73, 40], [-73, 41], [-74, 41]];
+
+    expect(create({ type: 'Polygon', coordinates: [open] }).fields['affected_area.coordinates.0'])
+      .toBe('polygon rings must end at their first position');
+    expect(create({ type: 'Polygon', coordinates: [[[-200, 40], [-73, 40], [-73, 41], [-200, 40]]] }).status).toBe(422);
+  });
+});
+
+describe('geocoding bias', () => {
+  it('lowercases country codes and checks bboxes', () => {
+    expect(run('geocode', { body: { location_name: 'Paris', country: 'FR' } }).body.country).toBe('fr');
+    expect(run('geocode', { body: { location_name: 'Paris', country: 'France' } }).fields.country)
+      .toBe('country must be an ISO 3166-1 alpha-2 code');
+    expect(run('geocode', { body: { location_name: 'Paris', bbox: [2, 48, 3, 49] } }).body.bbox).toEqual([2, 48, 3, 49]);
+    expect(run('geocode', { body: { location_name: 'Paris', bbox: [3, 48, 2, 49] } }).fields.bbox)
+      .toBe('bbox must be [minLng, minLat, maxLng, maxLat]');
+  });
+});
+
+describe('resource availability', () => {
+  const patch = body => run('resources:patch', { params: { id: DISASTER_ID, resourceId: RESOURCE_ID }, body });
+
+  it('rejects occupancy above capacity', () => {
+    expect(patch({ capacity: 50, occupancy: 60 }).fields.occupancy).toBe('occupancy cannot exceed capacity');
+    expect(patch({ capacity: 50, occupancy: 50 }).body).toEqual({ capacity: 50, occupancy: 50 });
+  });
+
+  it('leaves the check to the stored capacity when only occupancy is sent', () => {
+    expect(patch({ occupancy: 60 }).body).toEqual({ occupancy: 60 });
+    expect(patch({ capacity: null, occupancy: 60 }).body).toEqual({ capacity: null, occupancy: 60 });
+  });
+
+  it('checks opening hours', () => {
+    expect(patch({ opening_hours: { mon: [{ open: '08:00', close: '20:00' }] } }).body.opening_hours.mon).toHaveLength(1);
+    expect(patch({ opening_hours: { mon: [{ open: '8am', close: '20:00' }] } }).status).toBe(422);
+  });
+});
@@ -1,39 +1,93 @@
 const express = require('express');
 const disasterController = require('../controllers/disaster');
 const geocodingController = require('../controllers/geocoding');
+const situationController = require('../controllers/situation');
+const sitrepController = require('../controllers/sitrep');
 const socialMediaController = require('../controllers/socialMedia');
 const browseController = require('../controllers/browse');
 const resourcesController = require('../controllers/resources');
 const verificationController = require('../controllers/verification');
-const { auth } = require('../middleware/auth');
-const { apiLimiter, createLimiter, verificationLimiter } = require('../middleware/rateLimiter');
+const authController = require('../controllers/auth');
+const moderationController = require('../controllers/moderation');
+const cacheController = require('../controllers/cache');
+const { auth, isAdmin } = require('../middleware/auth');
+const { policy } = require('../middleware/policy');
+const { validate } = require('../middleware/validate');
+const { uploadImage } = require('../middleware/upload');
+const { cachedHandler } = require('../middleware/cache');
+const { CACHE_CONFIG } = require('../utils/constants');
+const { apiLimiter, createLimiter, verificationLimiter, authLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
+// Caches a GET handler's responses by URL. Mutations purge them via tags.
+const cacheRoute = (handler, tags, ttl = CACHE_CONFIG.TTL.SHORT) =>
+  cachedHandler(handler, (req) => `route_${req.originalUrl}`, ttl, { staleTtl: CACHE_CONFIG.TTL.SHORT, tags });
+
 router.use(apiLimiter);
 
-router.post('/disasters', createLimiter, auth, disasterController.createDisaster);
-router.get('/disasters', disasterController.getDisasters);
-router.get('/disasters/:id', disasterController.getDisasterById);
-router.put('/disasters/:id', auth, disasterController.updateDisaster);
-router.delete('/disasters/:id', auth, disasterController.deleteDisaster);
+router.post('/auth/login', authLimiter, validate('auth:login'), authController.login);
+router.post('/auth/refresh', authLimiter, validate('auth:refresh'), authController.refresh);
+router.post('/auth/logout', validate('auth:logout'), authController.logout);
+router.get('/auth/me', auth, authController.getCurrentUser);
+
+router.post('/disasters', createLimiter, policy('disasters:create'), validate('disasters:create'), disasterController.createDisaster);
+router.get('/disasters', policy('disasters:read'), validate('disasters:list'), cacheRoute(disasterController.getDisasters, ['disasters']));
+router.get('/disasters/:id', policy('disasters:read'), validate('disasters:read'), disasterController.getDisasterById);
+router.put('/disasters/:id', policy('disasters:update'), validate('disasters:update'), disasterController.updateDisaster);
+router.patch('/disasters/:id', policy('disasters:update'), validate('disasters:update'), disasterController.patchDisaster);
+router.put('/disasters/:id/status', policy('disasters:update_status'), validate('disasters:update_status'), disasterController.updateDisasterStatus);
+router.get('/disasters/:id/history', policy('disasters:history'), validate('disasters:read'), disasterController.getDisasterHistory);
+router.post('/disasters/:id/revert/:revision', policy('disasters:revert'), isAdmin, validate('disasters:revert'), disasterController.revertDisaster);
+router.delete('/disasters/:id', policy('disasters:delete'), validate('disasters:read'), disasterController.deleteDisaster);
+
+router.post('/geocode', policy('geocode'), validate('geocode'), geocodingController.geocodeLocation);
+router.post('/geocode/batch', createLimiter, policy('geocode:batch'), validate('geocode:batch'), geocodingController.createBatch);
+router.get('/geocode/batch/:id', policy('geocode:batch'), validate('geocode:batch_status'), geocodingController.getBatch);
+router.get('/reverse-geocode', policy('geocode:reverse'), validate('geocode:reverse'), geocodingController.reverseGeocode);
+router.post('/situation/extract', policy('situation:extract'), validate('situation:extract'), situationController.extractSituation);
+
+router.get('/disasters/:id/social-media', policy('social_media:read'), validate('social_media:list'), socialMediaController.getSocialMediaReports);
+router.get('/mock-social-media', policy('social_media:read'), validate('social_media:mock'), socialMediaController.getMockSocialMedia);
+
+router.get('/disasters/:id/resources', policy('resources:read'), validate('resources:nearby'), cacheRoute(resourcesController.getNearbyResources, (req) => [`resources:${req.params.id}`]));
+router.post('/disasters/:id/resources', policy('resources:create'), validate('resources:create'), resourcesController.createResource);
+router.put('/disasters/:id/resources/:resourceId', policy('resources:update'), validate('resources:update'), resourcesController.updateResource);
+router.patch('/disasters/:id/resources/:resourceId', policy('resources:update'), validate('resources:patch'), resourcesController.patchResource);
+router.delete('/disasters/:id/resources/:resourceId', policy('resources:delete'), validate('resources:read'), resourcesController.deleteResource);
+router.get('/disasters/:id/resources/:resourceId/history', policy('resources:read'), validate('resources:read'), resourcesController.getResourceHistory);
 
-router.post('/geocode', geocodingController.geocodeLocation);
+router.get('/disasters/:id/official-updates', policy('official_updates:read'), validate('official_updates:list'), browseController.getOfficialUpdates);
+router.get('/official-updates/sources', policy('official_updates:read'), cacheRoute(browseController.getAvailableSources, [], CACHE_CONFIG.TTL.VERY_LONG));
+router.get('/official-updates/category/:category', policy('official_updates:read'), validate('official_updates:category'), browseController.getUpdatesByCategory);
+router.get('/official-updates/search', policy('official_updates:read'), validate('official_updates:search'), browseController.searchAllUpdates);
 
-router.get('/disasters/:id/social-media', socialMediaController.getSocialMediaReports);
-router.get('/mock-social-media', socialMediaController.getMockSocialMedia);
+router.post('/disasters/:id/sitrep', createLimiter, policy('sitreps:create'), validate('sitreps:create'), sitrepController.createSitrep);
+router.get('/disasters/:id/sitreps', policy('sitreps:read'), validate('sitreps:list'), sitrepController.getSitreps);
+router.get('/disasters/:id/sitreps/:version', policy('sitreps:read'), validate('sitreps:read'), sitrepController.getSitrepVersion);
 
-router.get('/disasters/:id/resources', resourcesController.getNearbyResources);
-router.post('/disasters/:id/resources', auth, resourcesController.createResource);
+router.post('/disasters/:id/verify-image', verificationLimiter, policy('images:verify'), validate('images:verify'), verificationController.verifyImage);
+router.get('/disasters/:id/verifications', policy('verifications:read'), validate('verifications:list'), verificationController.getVerificationHistory);
+router.get('/reports/:id/verifications', policy('verifications:read'), validate('verifications:list'), verificationController.getReportVerifications);
+router.get('/reports/:id/similar-images', policy('verifications:read'), validate('reports:similar_images'), verificationController.getSimilarImages);
+router.post('/reports/:id/reverify', verificationLimiter, policy('images:verify'), validate('reports:reverify'), verificationController.reverifyReport);
 
-router.get('/disasters/:id/official-updates', browseController.getOfficialUpdates);
-router.get('/official-updates/sources', browseController.getAvailableSources);
-router.get('/official-updates/category/:category', browseController.getUpdatesByCategory);
-router.get('/official-updates/search', browseController.searchAllUpdates);
+router.post('/disasters/:id/reports', createLimiter, policy('reports:create'), validate('reports:create'), disasterController.createReport);
+router.post('/disasters/:id/reports/images', createLimiter, policy('reports:create'), validate('reports:upload_image'), uploadImage, disasterController.uploadReportImage);
+router.get('/disasters/:id/reports', policy('reports:read'), validate('reports:list'), cacheRoute(disasterController.getReports, (req) => [`reports:${req.params.id}`]));
 
-router.post('/disasters/:id/verify-image', verificationLimiter, auth, verificationController.verifyImage);
+router.get('/moderation/reports', policy('reports:moderate'), validate('moderation:queue'), moderationController.getModerationQueue);
+router.post('/moderation/reports/bulk', policy('reports:moderate'), validate('moderation:bulk'), moderationController.bulkModerate);
+router.post('/moderation/reports/:id/claim', policy('reports:moderate'), validate('moderation:report'), moderationController.claimReport);
+router.post('/moderation/reports/:id/release', policy('reports:moderate'), validate('moderation:report'), moderationController.releaseReport);
+router.post('/moderation/reports/:id/approve', policy('reports:moderate'), validate('moderation:approve'), moderationController.approveReport);
+router.post('/moderation/reports/:id/reject', policy('reports:moderate'), validate('moderation:reject'), moderationController.rejectReport);
+router.get('/moderation/reports/:id/log', policy('reports:moderate'), validate('moderation:report'), moderationController.getReportModerationLog);
 
-router.post('/disasters/:id/reports', createLimiter, auth, disasterController.createReport);
-router.get('/disasters/:id/reports', disasterController.getReports);
+router.get('/admin/cache/stats', policy('cache:admin'), isAdmin, cacheController.getStats);
+router.get('/admin/cache/keys', policy('cache:admin'), isAdmin, validate('cache:keys'), cacheController.getKeys);
+router.get('/admin/cache/keys/:key', policy('cache:admin'), isAdmin, validate('cache:entry'), cacheController.getEntry);
+router.post('/admin/cache/purge', policy('cache:admin'), isAdmin, validate('cache:purge'), cacheController.purge);
+router.post('/admin/cache/cleanup', policy('cache:admin'), isAdmin, cacheController.cleanup);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,223 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const supabase = require('./supabase');
+const logger = require('../utils/logger');
+const { AUTH_CONFIG, USER_ROLES } = require('../utils/constants');
+
+const JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET;
+
+if (!JWT_ACCESS_SECRET || !JWT_REFRESH_SECRET) {
+  logger.error('Missing JWT_ACCESS_SECRET or JWT_REFRESH_SECRET environment variables');
+  process.exit(1);
+}
+
+const USER_FIELDS = 'id, username, name, role, is_active';
+
+// Valid bcrypt hash of a throwaway password, compared against when the
+// username is unknown so response timing doesn't reveal which accounts exist.
+const DUMMY_PASSWORD_HASH = '$2a$12$hhbPwnPCjZtIGg0kP2Edc..VA9p914nUzXOluF1N7hpUOl2GCBqCG';
+
+const getRolePermissions = (role) => {
+  const roleConfig = Object.values(USER_ROLES).find(r => r.name === role);
+  return roleConfig ? roleConfig.permissions : [];
+};
+
+const toPublicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  name: user.name,
+  role: user.role,
+  permissions: getRolePermissions(user.role)
+});
+
+const hashPassword = (password) => bcrypt.hash(password, AUTH_CONFIG.BCRYPT_ROUNDS);
+
+const findUserByUsername = async (username) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select(`${USER_FIELDS}, password_hash`)
+    .eq('username', username)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+const findUserById = async (id) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select(USER_FIELDS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+const createUser = async ({ username, password, role, name }) => {
+  if (!getRolePermissions(role).length) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+
+  const password_hash = await hashPassword(password);
+
+  const { data, error } = await supabase
+    .from('users')
+    .insert([{ username, password_hash, role, name: name || username }])
+    .select(USER_FIELDS)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  logger.auth('user_created', data.id, { username, role });
+  return data;
+};
+
+// Returns the user on a correct password, null otherwise
+const authenticate = async (username, password) => {
+  const user = await findUserByUsername(username);
+  const matches = await bcrypt.compare(password, user?.password_hash || DUMMY_PASSWORD_HASH);
+
+  if (!user || !matches || !user.is_active) {
+    return null;
+  }
+
+  await supabase
+    .from('users')
+    .update({ last_login_at: new Date().toISOString() })
+    .eq('id', user.id);
+
+  return user;
+};
+
+const signAccessToken = (user) => jwt.sign(
+  { sub: user.id, username: user.username, role: user.role },
+  JWT_ACCESS_SECRET,
+  { expiresIn: AUTH_CONFIG.ACCESS_TOKEN_TTL, issuer: AUTH_CONFIG.TOKEN_ISSUER }
+);
+
+const verifyAccessToken = (token) => jwt.verify(token, JWT_ACCESS_SECRET, {
+  issuer: AUTH_CONFIG.TOKEN_ISSUER
+});
+
+// Refresh tokens are signed JWTs whose jti is persisted, so that logout and
+// rotation can revoke them before they expire.
+const issueRefreshToken = async (user) => {
+  const jti = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + AUTH_CONFIG.REFRESH_TOKEN_TTL_MS);
+
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .insert([{ id: jti, user_id: user.id, expires_at: expiresAt.toISOString() }]);
+
+  if (error) {
+    throw error;
+  }
+
+  return jwt.sign(
+    { sub: user.id },
+    JWT_REFRESH_SECRET,
+    { expiresIn: AUTH_CONFIG.REFRESH_TOKEN_TTL, issuer: AUTH_CONFIG.TOKEN_ISSUER, jwtid: jti }
+  );
+};
+
+const issueTokens = async (user) => ({
+  access_token: signAccessToken(user),
+  refresh_token: await issueRefreshToken(user),
+  token_type: 'Bearer',
+  expires_in: AUTH_CONFIG.ACCESS_TOKEN_TTL
+});
+
+// Resolves to whether this call revoked the token; false when it was
+// already revoked, so only one of several concurrent revocations wins
+const revokeRefreshToken = async (jti) => {
+  const { data, error } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', jti)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  return data.length > 0;
+};
+
+// Validates a refresh token, revokes it and returns a fresh token pair.
+// Returns null when the token is invalid, expired, revoked or the user is gone.
+const rotateRefreshToken = async (refreshToken) => {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET, { issuer: AUTH_CONFIG.TOKEN_ISSUER });
+  } catch (error) {
+    return null;
+  }
+
+  const { data: stored, error } = await supabase
+    .from('refresh_tokens')
+    .select('id, user_id, revoked_at')
+    .eq('id', payload.jti)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!stored || stored.revoked_at || stored.user_id !== payload.sub) {
+    logger.warn(`Rejected refresh token ${payload.jti} for user ${payload.sub}`);
+    return null;
+  }
+
+  const user = await findUserById(payload.sub);
+  if (!user || !user.is_active) {
+    return null;
+  }
+
+  // Single use: a concurrent refresh with the same token that revoked it
+  // first gets the new pair, this one gets nothing
+  if (!await revokeRefreshToken(stored.id)) {
+    logger.warn(`Refresh token ${payload.jti} for user ${payload.sub} was already used`);
+    return null;
+  }
+
+  return { user, tokens: await issueTokens(user) };
+};
+
+// Revokes the refresh token if it is valid; unknown tokens are ignored.
+const logoutRefreshToken = async (refreshToken) => {
+  try {
+    const payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET, {
+      issuer: AUTH_CONFIG.TOKEN_ISSUER,
+      ignoreExpiration: true
+    });
+    await revokeRefreshToken(payload.jti);
+    return payload.sub;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  getRolePermissions,
+  toPublicUser,
+  hashPassword,
+  findUserById,
+  createUser,
+  authenticate,
+  verifyAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  logoutRefreshToken
+};
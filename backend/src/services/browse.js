@@ -1,5 +1,8 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { cached } = require('../middleware/cache');
+const { CACHE_CONFIG } = require('../utils/constants');
+const { buildCacheKey } = require('../utils/cacheKey');
 const logger = require('../utils/logger');
 
 // Mock official updates for fallback
@@ -246,6 +249,17 @@ const fetchOfficialUpdates = async (sources = ['all']) => {
   }
 };
 
+/**
+ * Cached official updates. Every caller shares one scrape per source list;
+ * concurrent misses wait for the same scrape, and scraping is slow enough
+ * that results are served stale while one caller refreshes them.
+ */
+const loadOfficialUpdates = (sources = ['all']) => cached(
+  buildCacheKey(CACHE_CONFIG.KEYS.OFFICIAL_UPDATES, { sources: [...sources].sort() }),
+  () => fetchOfficialUpdates(sources),
+  { ttl: CACHE_CONFIG.TTL.MEDIUM, staleTtl: CACHE_CONFIG.TTL.MEDIUM }
+);
+
 /**
  * Filter updates by category and severity
  */
@@ -283,6 +297,7 @@ const searchOfficialUpdates = (updates, keywords) => {
 
 module.exports = {
   fetchOfficialUpdates,
+  loadOfficialUpdates,
   filterOfficialUpdates,
   searchOfficialUpdates,
   scrapeFEMAUpdates,
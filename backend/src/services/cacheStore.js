@@ -0,0 +1,350 @@
+const { createClient } = require('redis');
+const supabase = require('./supabase');
+const logger = require('../utils/logger');
+const { CACHE_CONFIG } = require('../utils/constants');
+
+// Cache stores share one interface:
+//   get(key) -> value or null, set(key, value, ttlMs), delete(key),
+//   clearExpired() -> entries removed
+// plus, for administration:
+//   list(prefix) -> [{ key, expires_at, size }], inspect(key) ->
+//   { value, expires_at } or null, deleteByPrefix(prefix) -> entries removed
+// Values go through JSON in every store, so callers get the same copies
+// whichever backend is configured.
+
+// In-process store, evicting the least recently used entry when full
+const createLruStore = ({ maxEntries = CACHE_CONFIG.LRU_MAX_ENTRIES } = {}) => {
+  const entries = new Map();
+
+  return {
+    name: 'lru',
+
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) {
+        return null;
+      }
+
+      // Re-insert to mark as most recently used
+      entries.set(key, entry);
+      return JSON.parse(entry.value);
+    },
+
+    set: async (key, value, ttl) => {
+      entries.delete(key);
+      entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttl });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete: async (key) => {
+      entries.delete(key);
+    },
+
+    clearExpired: async () => {
+      const now = Date.now();
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt <= now) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    list: async (prefix) => {
+      const now = Date.now();
+      return [...entries]
+        .filter(([key, entry]) => key.startsWith(prefix) && entry.expiresAt > now)
+        .map(([key, entry]) => ({
+          key,
+          expires_at: new Date(entry.expiresAt).toISOString(),
+          size: entry.value.length
+        }));
+    },
+
+    inspect: async (key) => {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return { value: JSON.parse(entry.value), expires_at: new Date(entry.expiresAt).toISOString() };
+    },
+
+    deleteByPrefix: async (prefix) => {
+      let removed = 0;
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+};
+
+// Shared store in Redis (REDIS_URL); expiry is handled by Redis itself.
+// Commands fail straight away while disconnected instead of queueing, so an
+// unreachable Redis behaves like cache misses.
+const createRedisStore = () => {
+  const client = createClient({
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+    disableOfflineQueue: true,
+    socket: { reconnectStrategy: (retries) => Math.min(retries * 500, 5000) }
+  });
+  client.on('error', (error) => logger.error('Redis cache error:', error.message || error.code));
+  client.connect().catch((error) => logger.error('Could not connect to Redis cache:', error.message || error.code));
+
+  return {
+    name: 'redis',
+
+    get: async (key) => {
+      const value = await client.get(key);
+      return value === null ? null : JSON.parse(value);
+    },
+
+    set: async (key, value, ttl) => {
+      await client.set(key, JSON.stringify(value), { PX: ttl });
+    },
+
+    delete: async (key) => {
+      await client.del(key);
+    },
+
+    clearExpired: async () => 0,
+
+    list: async (prefix) => {
+      const keys = [];
+      for await (const key of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+        keys.push(key);
+      }
+
+      return Promise.all(keys.map(async (key) => {
+        const [ttl, size] = await Promise.all([client.pTTL(key), client.strLen(key)]);
+        return {
+          key,
+          expires_at: ttl > 0 ? new Date(Date.now() + ttl).toISOString() : null,
+          size
+        };
+      }));
+    },
+
+    inspect: async (key) => {
+      const [value, ttl] = await Promise.all([client.get(key), client.pTTL(key)]);
+      if (value === null) return null;
+      return { value: JSON.parse(value), expires_at: ttl > 0 ? new Date(Date.now() + ttl).toISOString() : null };
+    },
+
+    deleteByPrefix: async (prefix) => {
+      let removed = 0;
+      for await (const key of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+        removed += await client.del(key);
+      }
+      return removed;
+    }
+  };
+};
+
+// Keys contain underscores, which LIKE would otherwise treat as wildcards
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// Shared store in the Supabase `cache` table
+const createSupabaseStore = () => ({
+  name: 'supabase',
+
+  get: async (key) => {
+    const { data, error } = await supabase
+      .from('cache')
+      .select('value, expires_at')
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data) {
+      return null;
+    }
+
+    if (new Date(data.expires_at) <= new Date()) {
+      // Cache expired, delete it
+      await supabase.from('cache').delete().eq('key', key);
+      return null;
+    }
+
+    return data.value;
+  },
+
+  set: async (key, value, ttl) => {
+    const { error } = await supabase
+      .from('cache')
+      .upsert([{
+        key,
+        value,
+        expires_at: new Date(Date.now() + ttl).toISOString()
+      }], {
+        onConflict: 'key'
+      });
+
+    if (error) {
+      throw error;
+    }
+  },
+
+  delete: async (key) => {
+    const { error } = await supabase
+      .from('cache')
+      .delete()
+      .eq('key', key);
+
+    if (error) {
+      throw error;
+    }
+  },
+
+  clearExpired: async () => {
+    const { data, error } = await supabase
+      .from('cache')
+      .delete()
+      .lt('expires_at', new Date().toISOString())
+      .select('key');
+
+    if (error) {
+      throw error;
+    }
+    return data.length;
+  },
+
+  list: async (prefix) => {
+    const { data, error } = await supabase
+      .from('cache')
+      .select('key, value, expires_at')
+      .like('key', `${escapeLike(prefix)}%`)
+      .gt('expires_at', new Date().toISOString())
+      .order('key');
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(row => ({
+      key: row.key,
+      expires_at: row.expires_at,
+      size: JSON.stringify(row.value).length
+    }));
+  },
+
+  inspect: async (key) => {
+    const { data, error } = await supabase
+      .from('cache')
+      .select('value, expires_at')
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  deleteByPrefix: async (prefix) => {
+    const { data, error } = await supabase
+      .from('cache')
+      .delete()
+      .like('key', `${escapeLike(prefix)}%`)
+      .select('key');
+
+    if (error) {
+      throw error;
+    }
+    return data.length;
+  }
+});
+
+// An LRU in front of a shared store. Local copies live at most
+// LOCAL_TIER_TTL so other instances' writes show up soon after.
+const createTieredStore = (local, shared) => ({
+  name: `lru+${shared.name}`,
+
+  get: async (key) => {
+    const cached = await local.get(key);
+    if (cached !== null) {
+      return cached;
+    }
+
+    const value = await shared.get(key);
+    if (value !== null) {
+      await local.set(key, value, CACHE_CONFIG.LOCAL_TIER_TTL);
+    }
+    return value;
+  },
+
+  set: async (key, value, ttl) => {
+    await local.set(key, value, Math.min(ttl, CACHE_CONFIG.LOCAL_TIER_TTL));
+    await shared.set(key, value, ttl);
+  },
+
+  delete: async (key) => {
+    await local.delete(key);
+    await shared.delete(key);
+  },
+
+  clearExpired: async () => {
+    const removed = await local.clearExpired();
+    return removed + await shared.clearExpired();
+  },
+
+  // The shared store is the source of truth; the local tier only holds
+  // short-lived copies of it
+  list: (prefix) => shared.list(prefix),
+
+  inspect: (key) => shared.inspect(key),
+
+  deleteByPrefix: async (prefix) => {
+    await local.deleteByPrefix(prefix);
+    return shared.deleteByPrefix(prefix);
+  }
+});
+
+const CACHE_BACKENDS = {
+  lru: createLruStore,
+  redis: createRedisStore,
+  supabase: createSupabaseStore
+};
+
+let store = null;
+
+// Returns the store selected by CACHE_BACKEND (supabase by default). With
+// CACHE_LOCAL_TIER=true a shared backend gets an in-process LRU in front.
+const getCacheStore = () => {
+  if (!store) {
+    const backend = process.env.CACHE_BACKEND || 'supabase';
+    const createStore = CACHE_BACKENDS[backend];
+
+    if (!createStore) {
+      throw new Error(`Unknown cache backend: ${backend}`);
+    }
+
+    const maxEntries = parseInt(process.env.CACHE_LRU_MAX_ENTRIES, 10) || CACHE_CONFIG.LRU_MAX_ENTRIES;
+    store = backend === 'lru' ? createLruStore({ maxEntries }) : createStore();
+
+    if (backend !== 'lru' && process.env.CACHE_LOCAL_TIER === 'true') {
+      store = createTieredStore(createLruStore({ maxEntries }), store);
+    }
+
+    logger.info(`Using ${store.name} cache`);
+  }
+
+  return store;
+};
+
+module.exports = {
+  CACHE_BACKENDS,
+  getCacheStore
+};
@@ -0,0 +1,98 @@
+// Field-level revision history for disasters, stored as entries in the
+// disaster's audit_trail. Each entry's revision is its 1-based position in
+// the trail, and `changes` maps field -> { before, after }.
+
+const { parsePoint } = require('../utils/geo');
+
+const TRACKED_FIELDS = [
+  'title', 'location_name', 'location', 'affected_area', 'severity_zones', 'description', 'tags', 'status'
+];
+
+// Lifecycle status is only changed through the status endpoint, so reverts
+// restore content fields and leave status alone.
+const REVERTIBLE_FIELDS = [
+  'title', 'location_name', 'location', 'affected_area', 'severity_zones', 'description', 'tags'
+];
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Reads return the point as hex EWKB while writes send WKT, so locations are
+// compared and recorded as WKT "POINT(lng lat)"
+const normalizeField = (field, value) => {
+  if (field !== 'location') return value ?? null;
+
+  const point = parsePoint(value);
+  return point ? `POINT(${point.lng} ${point.lat})` : null;
+};
+
+const diffFields = (before = {}, after = {}, fields = TRACKED_FIELDS) => {
+  const changes = {};
+
+  fields.forEach((field) => {
+    if (!(field in after)) return;
+
+    const from = normalizeField(field, before[field]);
+    const to = normalizeField(field, after[field]);
+    if (!isEqual(from, to)) {
+      changes[field] = { before: from, after: to };
+    }
+  });
+
+  return changes;
+};
+
+const appendAuditEntry = (auditTrail = [], entry) => {
+  const trail = auditTrail || [];
+  return [
+    ...trail,
+    {
+      revision: trail.length + 1,
+      ...entry,
+      timestamp: new Date().toISOString()
+    }
+  ];
+};
+
+const getHistory = (auditTrail = []) => {
+  return (auditTrail || []).map((entry, index) => ({
+    ...entry,
+    revision: entry.revision || index + 1,
+    changes: entry.changes || {}
+  }));
+};
+
+// Rebuilds the revertible fields as they were right after `revision` by
+// undoing every later change, newest first. Returns null if a later entry
+// predates field-level tracking and so can't be undone.
+const getStateAtRevision = (current, auditTrail, revision) => {
+  const history = getHistory(auditTrail);
+  const state = {};
+  REVERTIBLE_FIELDS.forEach((field) => {
+    state[field] = normalizeField(field, current[field]);
+  });
+
+  const laterEntries = history.filter(entry => entry.revision > revision).reverse();
+
+  for (const entry of laterEntries) {
+    if (!auditTrail[entry.revision - 1].changes) {
+      return null;
+    }
+
+    Object.entries(entry.changes).forEach(([field, change]) => {
+      if (REVERTIBLE_FIELDS.includes(field)) {
+        state[field] = normalizeField(field, change.before);
+      }
+    });
+  }
+
+  return state;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  REVERTIBLE_FIELDS,
+  diffFields,
+  appendAuditEntry,
+  getHistory,
+  getStateAtRevision
+};
@@ -0,0 +1,113 @@
+const {
+  diffFields,
+  appendAuditEntry,
+  getHistory,
+  getStateAtRevision
+} = require('./disasterHistory');
+
+// SRID=4326;POINT(-74.006 40.7128) as PostGIS returns it
+const EWKB = '0101000020E6100000AAF1D24D628052C05E4BC8073D5B4440';
+
+describe('diffFields', () => {
+  it('records changed fields with their before and after values', () => {
+    const changes = diffFields(
+      { title: 'Flood', description: 'Rising water', tags: ['flood'] },
+      { title: 'Flash flood', description: 'Rising water', tags: ['flood', 'urgent'] }
+    );
+
+    expect(changes).toEqual({
+      title: { before: 'Flood', after: 'Flash flood' },
+      tags: { before: ['flood'], after: ['flood', 'urgent'] }
+    });
+  });
+
+  it('ignores fields missing from the update and untracked fields', () => {
+    expect(diffFields({ title: 'Flood', owner_id: 'a' }, { owner_id: 'b' })).toEqual({});
+  });
+
+  it('treats undefined and null as equal', () => {
+    expect(diffFields({ description: null }, { description: undefined })).toEqual({});
+    expect(diffFields({}, { affected_area: null })).toEqual({});
+  });
+
+  it('compares structured values by content', () => {
+    const area = { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] };
+    expect(diffFields({ affected_area: area }, { affected_area: JSON.parse(JSON.stringify(area)) })).toEqual({});
+  });
+
+  it('compares locations as points and records them as WKT', () => {
+    expect(diffFields({ location: EWKB }, { location: 'POINT(-74.006 40.7128)' })).toEqual({});
+    expect(diffFields({ location: EWKB }, { location: 'POINT(-73.9857 40.7484)' })).toEqual({
+      location: { before: 'POINT(-74.006 40.7128)', after: 'POINT(-73.9857 40.7484)' }
+    });
+  });
+});
+
+describe('appendAuditEntry', () => {
+  it('numbers entries by their position in the trail', () => {
+    const trail = appendAuditEntry(appendAuditEntry(null, { action: 'create' }), { action: 'update' });
+
+    expect(trail.map(entry => [entry.revision, entry.action])).toEqual([[1, 'create'], [2, 'update']]);
+    expect(trail[1].timestamp).toEqual(expect.any(String));
+  });
+});
+
+describe('getHistory', () => {
+  it('fills in revisions and changes for entries recorded before they existed', () => {
+    expect(getHistory([{ action: 'create' }, { action: 'update', changes: { title: {} } }])).toEqual([
+      { action: 'create', revision: 1, changes: {} },
+      { action: 'update', revision: 2, changes: { title: {} } }
+    ]);
+  });
+});
+
+describe('getStateAtRevision', () => {
+  const trail = [
+    { revision: 1, action: 'create', changes: { title: { before: null, after: 'Flood' } } },
+    { revision: 2, action: 'update', changes: { title: { before: 'Flood', after: 'Flash flood' } } },
+    {
+      revision: 3,
+      action: 'update',
+      changes: {
+        tags: { before: [], after: ['urgent'] },
+        status: { before: 'active', after: 'monitoring' }
+      }
+    }
+  ];
+  const current = { title: 'Flash flood', tags: ['urgent'], status: 'monitoring', description: 'Rising water' };
+
+  it('undoes every later change, newest first', () => {
+    expect(getStateAtRevision(current, trail, 1)).toEqual({
+      title: 'Flood',
+      location_name: null,
+      location: null,
+      affected_area: null,
+      severity_zones: null,
+      description: 'Rising water',
+      tags: []
+    });
+  });
+
+  it('returns the current content for the latest revision', () => {
+    expect(getStateAtRevision(current, trail, 3)).toMatchObject({ title: 'Flash flood', tags: ['urgent'] });
+  });
+
+  it('leaves status out of the restored state', () => {
+    expect(getStateAtRevision(current, trail, 2)).not.toHaveProperty('status');
+  });
+
+  it('restores locations as WKT, whatever form they were stored in', () => {
+    const moved = [
+      ...trail,
+      { revision: 4, action: 'update', changes: { location: { before: EWKB, after: 'POINT(-73.9857 40.7484)' } } }
+    ];
+
+    expect(getStateAtRevision({ ...current, location: EWKB }, trail, 3).location).toBe('POINT(-74.006 40.7128)');
+    expect(getStateAtRevision(current, moved, 3).location).toBe('POINT(-74.006 40.7128)');
+  });
+
+  it('returns null when a later entry has no field-level changes', () => {
+    const legacy = [...trail, { revision: 4, action: 'update' }];
+    expect(getStateAtRevision(current, legacy, 2)).toBeNull();
+  });
+});
@@ -0,0 +1,415 @@
+const sharp = require('sharp');
+const exifr = require('exifr');
+const supabase = require('./supabase');
+const { sha256, loadImage } = require('./images');
+const { computePerceptualHashes, similarity } = require('./perceptualHash');
+const { distanceKm, parsePoint } = require('../utils/geo');
+const { FORENSICS_CONFIG } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// Offline image checks used when AI verification is unavailable. None of them
+// can prove an image authentic, so the result is always "needs_review" with a
+// score and the individual indicators for the moderator. The fingerprints of
+// submitted images (report_images) used for duplicate detection live here too.
+
+const FORENSICS_MODEL = 'forensics-v1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const readExif = async (buffer) => {
+  try {
+    const tags = await exifr.parse(buffer, { tiff: true, exif: true, gps: true });
+    if (!tags) {
+      return null;
+    }
+
+    const capturedAt = tags.DateTimeOriginal || tags.CreateDate || null;
+
+    return {
+      make: tags.Make || null,
+      model: tags.Model || null,
+      software: tags.Software || null,
+      captured_at: capturedAt instanceof Date && !isNaN(capturedAt) ? capturedAt.toISOString() : null,
+      latitude: typeof tags.latitude === 'number' ? tags.latitude : null,
+      longitude: typeof tags.longitude === 'number' ? tags.longitude : null
+    };
+  } catch (error) {
+    logger.warn('Could not read EXIF metadata:', error.message);
+    return null;
+  }
+};
+
+const check = (name, status, delta, detail) => ({ name, status, delta, detail });
+
+const checkMetadata = (exif) => {
+  if (!exif) {
+    return check('metadata', 'skipped', 0, 'No EXIF metadata (often stripped by messaging apps and social networks)');
+  }
+
+  const camera = [exif.make, exif.model].filter(Boolean).join(' ');
+  return camera
+    ? check('metadata', 'pass', 0.05, `Captured with ${camera}`)
+    : check('metadata', 'skipped', 0, 'EXIF metadata has no camera information');
+};
+
+const checkSoftware = (exif) => {
+  if (!exif?.software) {
+    return check('software', 'skipped', 0, 'No editing software recorded');
+  }
+
+  const software = exif.software.toLowerCase();
+  const editor = FORENSICS_CONFIG.EDITING_SOFTWARE.find(name => software.includes(name));
+
+  return editor
+    ? check('software', 'fail', -0.2, `Saved by editing software: ${exif.software}`)
+    : check('software', 'pass', 0, `Processed by ${exif.software}`);
+};
+
+const checkLocation = (exif, disaster) => {
+  if (exif?.latitude == null || exif?.longitude == null) {
+    return check('gps', 'skipped', 0, 'No GPS position in metadata');
+  }
+
+  const disasterPoint = parsePoint(disaster?.location);
+  if (!disasterPoint) {
+    return check('gps', 'skipped', 0, 'Disaster has no coordinates to compare against');
+  }
+
+  const distance = distanceKm({ lat: exif.latitude, lng: exif.longitude }, disasterPoint);
+  const rounded = Math.round(distance);
+
+  if (distance <= FORENSICS_CONFIG.GPS_NEAR_KM) {
+    return check('gps', 'pass', 0.2, `Taken ${rounded} km from the disaster location`);
+  }
+  if (distance <= FORENSICS_CONFIG.GPS_FAR_KM) {
+    return check('gps', 'warn', -0.05, `Taken ${rounded} km from the disaster location`);
+  }
+  return check('gps', 'fail', -0.3, `Taken ${rounded} km away from the disaster location`);
+};
+
+const checkTimestamp = (exif, disaster) => {
+  if (!exif?.captured_at) {
+    return check('timestamp', 'skipped', 0, 'No capture time in metadata');
+  }
+  if (!disaster?.created_at) {
+    return check('timestamp', 'skipped', 0, 'Disaster has no creation time to compare against');
+  }
+
+  const capturedAt = new Date(exif.captured_at).getTime();
+  const reportedAt = new Date(disaster.created_at).getTime();
+  const daysBefore = Math.round((reportedAt - capturedAt) / DAY_MS);
+
+  if (capturedAt > Date.now() + DAY_MS) {
+    return check('timestamp', 'fail', -0.1, 'Capture time is in the future');
+  }
+  if (reportedAt - capturedAt > FORENSICS_CONFIG.STALE_CAPTURE_MS) {
+    return check('timestamp', 'fail', -0.25, `Captured ${daysBefore} days before the disaster was reported`);
+  }
+  if (reportedAt - capturedAt > FORENSICS_CONFIG.CAPTURE_WINDOW_BEFORE_MS) {
+    return check('timestamp', 'warn', -0.1, `Captured ${daysBefore} days before the disaster was reported`);
+  }
+  return check('timestamp', 'pass', 0.15, 'Captured around the time of the disaster');
+};
+
+// Error level analysis: recompress the JPEG and measure how much each block
+// changes. Edited or pasted regions were compressed fewer times than the rest
+// of the image and stand out with a much higher error than the median block.
+const errorLevelAnalysis = async (buffer) => {
+  const { data: original, info } = await sharp(buffer)
+    .rotate()
+    .resize(FORENSICS_CONFIG.ELA_MAX_DIMENSION, FORENSICS_CONFIG.ELA_MAX_DIMENSION, {
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const recompressed = await sharp(original, { raw: info })
+    .jpeg({ quality: FORENSICS_CONFIG.ELA_QUALITY })
+    .toBuffer();
+  const { data: resaved } = await sharp(recompressed).raw().toBuffer({ resolveWithObject: true });
+
+  const { width, height, channels } = info;
+  const size = FORENSICS_CONFIG.ELA_BLOCK_SIZE;
+  const blocks = [];
+
+  for (let top = 0; top < height; top += size) {
+    for (let left = 0; left < width; left += size) {
+      let total = 0;
+      let count = 0;
+      for (let y = top; y < Math.min(top + size, height); y++) {
+        for (let x = left; x < Math.min(left + size, width); x++) {
+          const offset = (y * width + x) * channels;
+          for (let c = 0; c < channels; c++) {
+            total += Math.abs(original[offset + c] - resaved[offset + c]);
+            count++;
+          }
+        }
+      }
+      blocks.push(total / count);
+    }
+  }
+
+  const sorted = [...blocks].sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const p99 = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.99))];
+  const mean = blocks.reduce((sum, value) => sum + value, 0) / blocks.length;
+
+  return {
+    mean_error: Number(mean.toFixed(2)),
+    median_error: Number(median.toFixed(2)),
+    max_error: Number(sorted[sorted.length - 1].toFixed(2)),
+    ratio: Number((p99 / Math.max(median, 1)).toFixed(2))
+  };
+};
+
+const checkErrorLevels = async (buffer, contentType) => {
+  if (contentType !== 'image/jpeg') {
+    return { result: check('ela', 'skipped', 0, 'Error level analysis only applies to JPEG images'), ela: null };
+  }
+
+  try {
+    const ela = await errorLevelAnalysis(buffer);
+    const result = ela.ratio >= FORENSICS_CONFIG.ELA_SUSPICIOUS_RATIO
+      ? check('ela', 'fail', -0.2, `Some regions recompress very differently from the rest (ratio ${ela.ratio})`)
+      : check('ela', 'pass', 0.05, 'Compression error is consistent across the image');
+    return { result, ela };
+  } catch (error) {
+    logger.warn('Error level analysis failed:', error.message);
+    return { result: check('ela', 'skipped', 0, 'Error level analysis could not be run'), ela: null };
+  }
+};
+
+const checkDuplicates = (similarImages, hash, disaster) => {
+  if (!similarImages) {
+    return check('duplicates', 'skipped', 0, 'Duplicate lookup unavailable');
+  }
+  if (similarImages.length === 0) {
+    return check('duplicates', 'pass', 0.05, 'Not previously submitted');
+  }
+
+  const elsewhere = similarImages.filter(match => match.disaster_id !== disaster?.id);
+  const exact = similarImages.some(match => match.sha256 === hash);
+  const kind = exact ? 'The same image' : 'A near-identical image';
+
+  return elsewhere.length > 0
+    ? check('duplicates', 'fail', -0.3, `${kind} was submitted for ${elsewhere.length} other disaster(s)`)
+    : check('duplicates', 'warn', -0.1, `${kind} was already submitted ${similarImages.length} time(s) for this disaster`);
+};
+
+const clampScore = (score) => Math.min(1, Math.max(0, Number(score.toFixed(2))));
+
+// similarImages comes from findSimilarImages; null means the lookup failed
+const analyzeImage = async (imageUrl, disaster, similarImages = null) => {
+  const { buffer, contentType } = await loadImage(imageUrl);
+  const hash = sha256(buffer);
+
+  const [exif, errorLevels] = await Promise.all([
+    readExif(buffer),
+    checkErrorLevels(buffer, contentType)
+  ]);
+
+  const checks = [
+    checkMetadata(exif),
+    checkSoftware(exif),
+    checkLocation(exif, disaster),
+    checkTimestamp(exif, disaster),
+    errorLevels.result,
+    checkDuplicates(similarImages, hash, disaster)
+  ];
+
+  const score = clampScore(checks.reduce((total, item) => total + item.delta, 0.5));
+  const indicators = checks.filter(item => item.status === 'fail' || item.status === 'warn');
+
+  logger.info(`Offline forensics for ${imageUrl}: score ${score}, ${indicators.length} indicator(s)`);
+
+  return {
+    is_authentic: false,
+    status: 'needs_review',
+    confidence: score,
+    analysis: indicators.length > 0
+      ? `Offline forensics found ${indicators.length} concern(s); manual review required`
+      : 'Offline forensics found no concerns; manual review required',
+    detected_objects: [],
+    manipulation_indicators: indicators.map(item => item.detail),
+    disaster_related: false,
+    disaster_type: 'unknown',
+    forensics: {
+      sha256: hash,
+      exif,
+      checks,
+      ela: errorLevels.ela
+    },
+    provider: 'forensics',
+    model: FORENSICS_MODEL,
+    model_version: null,
+    verified_at: new Date().toISOString()
+  };
+};
+
+// Fingerprints an image (SHA-256, perceptual hashes and EXIF) so later
+// submissions of the same or a recycled picture can be recognised. Returns
+// the stored row, or null when it could not be written.
+const registerImage = async ({ disaster_id, image_url, buffer, width, height, uploaded_by }) => {
+  const [exif, hashes] = await Promise.all([
+    readExif(buffer),
+    computePerceptualHashes(buffer)
+  ]);
+
+  const { data, error } = await supabase
+    .from('report_images')
+    .upsert([{
+      disaster_id,
+      image_url,
+      sha256: sha256(buffer),
+      phash: hashes.phash,
+      dhash: hashes.dhash,
+      width,
+      height,
+      exif,
+      uploaded_by
+    }], { onConflict: 'image_url' })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Failed to register image ${image_url}:`, error);
+    return null;
+  }
+
+  return data;
+};
+
+// The stored report_images row for an image, if any. Rows registered before
+// perceptual hashing have no phash and can't be compared.
+const findStoredImage = async (image_url) => {
+  const { data, error } = await supabase
+    .from('report_images')
+    .select('*')
+    .eq('image_url', image_url)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+// Returns the stored fingerprint for an image, registering it first when it
+// has not been seen (e.g. an external URL passed straight to verify-image)
+const fingerprintImage = async ({ disaster_id, image_url, uploaded_by }) => {
+  const existing = await findStoredImage(image_url);
+
+  if (existing?.phash) {
+    return existing;
+  }
+
+  const { buffer } = await loadImage(image_url);
+  const { width, height } = await sharp(buffer).metadata();
+
+  return registerImage({
+    disaster_id: existing?.disaster_id || disaster_id,
+    image_url,
+    buffer,
+    width,
+    height,
+    uploaded_by: existing?.uploaded_by || uploaded_by
+  });
+};
+
+// Earlier images whose pHash or dHash is within SIMILAR_MAX_DISTANCE bits,
+// closest first, across all disasters
+const findSimilarImages = async (image) => {
+  const { data, error } = await supabase.rpc('find_similar_images', {
+    p_phash: image.phash,
+    p_dhash: image.dhash,
+    p_exclude_url: image.image_url,
+    p_max_distance: FORENSICS_CONFIG.SIMILAR_MAX_DISTANCE,
+    p_limit: FORENSICS_CONFIG.SIMILAR_LIMIT
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map(match => {
+    const distance = Math.min(match.phash_distance, match.dhash_distance);
+    return {
+      image_url: match.image_url,
+      sha256: match.sha256,
+      disaster_id: match.disaster_id,
+      disaster_title: match.disaster_title,
+      report_id: match.report_id,
+      submitted_at: match.created_at,
+      distance,
+      similarity: similarity(distance),
+      exact: match.sha256 === image.sha256,
+      same_disaster: match.disaster_id === image.disaster_id
+    };
+  });
+};
+
+// Attaches near-duplicates to a verification result. An image already
+// submitted for another disaster is likely recycled, so an AI "authentic"
+// verdict is turned into a flag. Forensics results already score duplicates.
+const applySimilarImages = (result, similarImages) => {
+  const recycled = similarImages.filter(match => !match.same_disaster);
+  const flagged = { ...result, similar_images: similarImages };
+
+  if (recycled.length === 0 || result.forensics) {
+    return flagged;
+  }
+
+  const closest = recycled[0];
+  flagged.manipulation_indicators = [
+    ...(result.manipulation_indicators || []),
+    `${closest.exact ? 'Identical' : 'Near-duplicate'} of an image submitted for "${closest.disaster_title || closest.disaster_id}" (similarity ${Math.round(closest.similarity * 100)}%)`
+  ];
+
+  if (result.is_authentic && result.status !== 'needs_review') {
+    flagged.is_authentic = false;
+    flagged.recycled = true;
+  }
+
+  return flagged;
+};
+
+// Reports are usually submitted after their image was uploaded and verified,
+// so the fingerprint is attached to the report once it exists. An image that
+// skipped both is fingerprinted here.
+const linkImageToReport = async (report) => {
+  if (!report.image_url) {
+    return;
+  }
+
+  try {
+    await fingerprintImage({
+      disaster_id: report.disaster_id,
+      image_url: report.image_url,
+      uploaded_by: report.user_id
+    });
+  } catch (error) {
+    logger.warn(`Failed to fingerprint image of report ${report.id}:`, error.message);
+  }
+
+  const { error } = await supabase
+    .from('report_images')
+    .update({ report_id: report.id })
+    .eq('image_url', report.image_url)
+    .is('report_id', null);
+
+  if (error) {
+    logger.error(`Failed to link image to report ${report.id}:`, error);
+  }
+};
+
+module.exports = {
+  analyzeImage,
+  registerImage,
+  findStoredImage,
+  fingerprintImage,
+  findSimilarImages,
+  applySimilarImages,
+  linkImageToReport
+};
@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('../utils/logger');
+const { distanceKm, geometryCenter } = require('../utils/geo');
+const { GEOCODING_CONFIG } = require('../utils/constants');
+
+const { GAZETTEER } = GEOCODING_CONFIG;
+
+// Offline place-name lookup. Datasets are converted once by
+// scripts/importGazetteer.js into a JSON file of places shaped like
+//   { id, name, alternate_names, lat, lng, type, country, admin1, admin2, population }
+// which is loaded into memory on first use.
+
+const gazetteerPath = () => process.env.GAZETTEER_PATH || path.join(__dirname, '../../data/gazetteer.json');
+
+const isGazetteerAvailable = () => fs.existsSync(gazetteerPath());
+
+// Lowercase ASCII with accents and punctuation removed, so "São Paulo" and
+// "sao paulo" match
+const normalizeName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const cellKey = (lat, lng) => `${Math.floor(lat / GAZETTEER.CELL_DEGREES)}_${Math.floor(lng / GAZETTEER.CELL_DEGREES)}`;
+
+const pushTo = (map, key, value) => {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+};
+
+// Builds the lookup structures: places by normalised name, names by length
+// for fuzzy matching, and places by grid cell for reverse lookup
+const buildIndex = (places) => {
+  const byName = new Map();
+  const namesByLength = new Map();
+  const cells = new Map();
+
+  places.forEach((place) => {
+    const names = new Set([place.name, ...(place.alternate_names || [])].map(normalizeName).filter(Boolean));
+    names.forEach((name) => {
+      if (!byName.has(name)) pushTo(namesByLength, name.length, name);
+      pushTo(byName, name, place);
+    });
+    pushTo(cells, cellKey(place.lat, place.lng), place);
+  });
+
+  return { places, byName, namesByLength, cells };
+};
+
+let loading = null;
+
+const loadGazetteer = () => {
+  if (!loading) {
+    loading = fs.promises.readFile(gazetteerPath(), 'utf8')
+      .then((contents) => {
+        const { places } = JSON.parse(contents);
+        logger.info(`Loaded gazetteer with ${places.length} places`);
+        return buildIndex(places);
+      })
+      .catch((error) => {
+        loading = null;
+        throw new Error(`Could not load gazetteer: ${error.message}`);
+      });
+  }
+
+  return loading;
+};
+
+// Levenshtein distance, giving up once it must exceed max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Exact name matches, or failing that names within a few typos, each with a
+// 0-1 similarity
+const matchNames = ({ byName, namesByLength }, name) => {
+  if (byName.has(name)) {
+    return [{ name, similarity: 1 }];
+  }
+
+  const maxDistance = name.length <= 4 ? 1 : GAZETTEER.MAX_EDIT_DISTANCE;
+  const matches = [];
+
+  for (let length = name.length - maxDistance; length <= name.length + maxDistance; length++) {
+    (namesByLength.get(length) || []).forEach((candidate) => {
+      const distance = editDistance(name, candidate, maxDistance);
+      if (distance <= maxDistance) {
+        matches.push({ name: candidate, similarity: 1 - distance / Math.max(name.length, candidate.length) });
+      }
+    });
+  }
+
+  // Best first, so a place reachable through several names keeps its best match
+  return matches.sort((a, b) => b.similarity - a.similarity);
+};
+
+const formatPlace = (place) => [place.name, place.admin2, place.admin1, place.country].filter(Boolean).join(', ');
+
+// Bigger places win ties between equally good name matches
+const populationWeight = (population) => {
+  return 1 - GAZETTEER.POPULATION_WEIGHT +
+    GAZETTEER.POPULATION_WEIGHT * Math.min(1, Math.log10((population || 0) + 1) / 7);
+};
+
+// Looks up "name[, admin area][, country]" and resolves to geocoding
+// candidates. The parts after the first comma must match the place's
+// admin areas or country code to keep full confidence.
+const searchGazetteer = async (query, { country } = {}) => {
+  const index = await loadGazetteer();
+  const [name, ...qualifiers] = query.split(',').map(normalizeName).filter(Boolean);
+
+  if (!name) return [];
+
+  const seen = new Set();
+  const candidates = [];
+
+  matchNames(index, name).forEach(({ name: matchedName, similarity }) => {
+    index.byName.get(matchedName).forEach((place) => {
+      if (seen.has(place.id)) return;
+      if (country && place.country?.toLowerCase() !== country) return;
+      seen.add(place.id);
+
+      const areas = [place.admin1, place.admin2, place.country].map(normalizeName);
+      const matched = qualifiers.filter(q => areas.includes(q)).length;
+      const qualifierWeight = qualifiers.length
+        ? 1 - GAZETTEER.UNMATCHED_QUALIFIER_PENALTY * (1 - matched / qualifiers.length)
+        : 1;
+
+      candidates.push({
+        lat: place.lat,
+        lng: place.lng,
+        formatted_address: formatPlace(place),
+        provider: 'gazetteer',
+        confidence: similarity * qualifierWeight * populationWeight(place.population),
+        bbox: null,
+        place_type: place.type || null
+      });
+    });
+  });
+
+  return candidates
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, GEOCODING_CONFIG.MAX_CANDIDATES);
+};
+
+// Nearest place within REVERSE_MAX_KM, shaped like the other reverse
+// geocoders' results
+const reverseGazetteer = async (lat, lng) => {
+  const { cells } = await loadGazetteer();
+  const row = Math.floor(lat / GAZETTEER.CELL_DEGREES);
+  const column = Math.floor(lng / GAZETTEER.CELL_DEGREES);
+  let nearest = null;
+
+  for (let r = row - 1; r <= row + 1; r++) {
+    for (let c = column - 1; c <= column + 1; c++) {
+      (cells.get(`${r}_${c}`) || []).forEach((place) => {
+        const distance = distanceKm({ lat, lng }, place);
+        if (distance <= GAZETTEER.REVERSE_MAX_KM && (!nearest || distance < nearest.distance)) {
+          nearest = { place, distance };
+        }
+      });
+    }
+  }
+
+  if (!nearest) {
+    throw new Error('No gazetteer place nearby');
+  }
+
+  const { place, distance } = nearest;
+  return {
+    formatted_address: formatPlace(place),
+    components: {
+      locality: place.name,
+      admin2: place.admin2 || null,
+      admin1: place.admin1 || null,
+      country: place.country || null
+    },
+    distance_km: Math.round(distance * 10) / 10,
+    source: 'gazetteer'
+  };
+};
+
+// GeoNames feature classes (http://www.geonames.org/export/codes.html)
+const FEATURE_CLASSES = {
+  A: 'administrative',
+  H: 'water',
+  L: 'area',
+  P: 'populated_place',
+  R: 'road',
+  S: 'spot',
+  T: 'terrain',
+  U: 'undersea',
+  V: 'vegetation'
+};
+
+const usableAlternateNames = (names, primary) => {
+  const primaryKey = normalizeName(primary);
+  return [...new Set(names.map(n => n.trim()).filter(n => normalizeName(n) && normalizeName(n) !== primaryKey))]
+    .slice(0, GAZETTEER.MAX_ALTERNATE_NAMES);
+};
+
+// Reads a GeoNames admin code file (admin1CodesASCII.txt, admin2Codes.txt)
+// into a map of code ("US.IL", "US.IL.167") to name
+const readAdminCodes = async (file) => {
+  const names = new Map();
+  if (!file) return names;
+
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    const [code, name] = line.split('\t');
+    if (code && name) names.set(code, name);
+  }
+  return names;
+};
+
+// One row of a GeoNames dump (allCountries.txt, cities500.txt, ...)
+const parseGeoNamesLine = (line, { admin1Names, admin2Names, minPopulation }) => {
+  const columns = line.split('\t');
+  if (columns.length < 15) return null;
+
+  const [id, name, asciiName, alternateNames, lat, lng, featureClass, , country, , admin1, admin2] = columns;
+  const population = parseInt(columns[14], 10) || 0;
+
+  if (featureClass === 'P' && population < minPopulation) return null;
+
+  return {
+    id: `geonames:${id}`,
+    name,
+    alternate_names: usableAlternateNames([asciiName, ...alternateNames.split(',')], name),
+    lat: parseFloat(lat),
+    lng: parseFloat(lng),
+    type: FEATURE_CLASSES[featureClass] || null,
+    country: country || null,
+    admin1: admin1Names.get(`${country}.${admin1}`) || null,
+    admin2: admin2Names.get(`${country}.${admin1}.${admin2}`) || null,
+    population
+  };
+};
+
+const featureToPlace = (feature, i, source) => {
+  const props = feature.properties || {};
+  const name = props.name || props.NAME;
+  if (!name || !feature.geometry) return null;
+
+  const alternateNames = Array.isArray(props.alternate_names)
+    ? props.alternate_names
+    : String(props.alternate_names || props.alternatenames || '').split(',');
+
+  return {
+    id: `${source}:${feature.id ?? props.id ?? i}`,
+    name,
+    alternate_names: usableAlternateNames(alternateNames, name),
+    ...geometryCenter(feature.geometry),
+    type: props.place_type || props.type || null,
+    country: props.country_code || props.country || null,
+    admin1: props.admin1 || null,
+    admin2: props.admin2 || null,
+    population: parseInt(props.population, 10) || 0
+  };
+};
+
+const readGeoNames = async (file, options) => {
+  const places = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    const place = line && !line.startsWith('#') ? parseGeoNamesLine(line, options) : null;
+    if (place) places.push(place);
+  }
+  return places;
+};
+
+const readGeoJson = async (file) => {
+  const { features = [] } = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  const source = path.basename(file, path.extname(file));
+  return features.map((feature, i) => featureToPlace(feature, i, source)).filter(Boolean);
+};
+
+// Converts GeoNames TSV dumps and GeoJSON files into the gazetteer file.
+// With append, places already in the file are kept and re-imported ids
+// replaced. Resolves to the number of places written.
+const importGazetteer = async (files, {
+  out = gazetteerPath(),
+  admin1,
+  admin2,
+  minPopulation = 0,
+  append = false
+} = {}) => {
+  const options = {
+    admin1Names: await readAdminCodes(admin1),
+    admin2Names: await readAdminCodes(admin2),
+    minPopulation
+  };
+
+  const places = new Map();
+
+  if (append && fs.existsSync(out)) {
+    JSON.parse(await fs.promises.readFile(out, 'utf8')).places.forEach(place => places.set(place.id, place));
+  }
+
+  for (const file of files) {
+    const imported = /\.(geo)?json$/i.test(file) ? await readGeoJson(file) : await readGeoNames(file, options);
+    imported.forEach(place => places.set(place.id, place));
+    logger.info(`Read ${imported.length} places from ${file}`);
+  }
+
+  await fs.promises.mkdir(path.dirname(out), { recursive: true });
+  await fs.promises.writeFile(out, JSON.stringify({
+    imported_at: new Date().toISOString(),
+    places: [...places.values()]
+  }));
+
+  loading = null;
+  return places.size;
+};
+
+module.exports = {
+  isGazetteerAvailable,
+  searchGazetteer,
+  reverseGazetteer,
+  importGazetteer
+};
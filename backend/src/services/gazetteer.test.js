@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PLACES = [
+  { id: 1, name: 'Springfield', lat: 39.8017, lng: -89.6437, type: 'city', country: 'US', admin1: 'Illinois', admin2: 'Sangamon County', population: 114394 },
+  { id: 2, name: 'Springfield', lat: 37.2153, lng: -93.2982, type: 'city', country: 'US', admin1: 'Missouri', admin2: 'Greene County', population: 169176 },
+  { id: 3, name: 'São Paulo', alternate_names: ['Sampa'], lat: -23.5475, lng: -46.6361, type: 'city', country: 'BR', admin1: 'São Paulo', population: 12400000 },
+  { id: 4, name: 'Paris', lat: 48.8534, lng: 2.3488, type: 'city', country: 'FR', admin1: 'Île-de-France', population: 2138551 },
+  { id: 5, name: 'Paris', lat: 33.6609, lng: -95.5555, type: 'city', country: 'US', admin1: 'Texas', population: 24171 }
+];
+
+const gazetteerPath = path.join(os.tmpdir(), `gazetteer-test-${process.pid}.json`);
+fs.writeFileSync(gazetteerPath, JSON.stringify({ places: PLACES }));
+process.env.GAZETTEER_PATH = gazetteerPath;
+
+const { isGazetteerAvailable, searchGazetteer, reverseGazetteer } = require('./gazetteer');
+
+afterAll(() => {
+  fs.unlinkSync(gazetteerPath);
+});
+
+describe('searchGazetteer', () => {
+  it('finds places by name, bigger places first', async () => {
+    expect(isGazetteerAvailable()).toBe(true);
+
+    const [best, runnerUp] = await searchGazetteer('Paris');
+
+    expect(best).toMatchObject({ lat: 48.8534, lng: 2.3488, provider: 'gazetteer', formatted_address: 'Paris, Île-de-France, FR' });
+    expect(runnerUp.formatted_address).toBe('Paris, Texas, US');
+    expect(best.confidence).toBeGreaterThan(runnerUp.confidence);
+  });
+
+  it('matches ignoring case, accents and punctuation, alternate names included', async () => {
+    const [byName] = await searchGazetteer('SAO-PAULO');
+    const [byAlternate] = await searchGazetteer('sampa');
+
+    expect(byName.lat).toBe(-23.5475);
+    expect(byAlternate.lat).toBe(-23.5475);
+  });
+
+  it('tolerates typos at lower confidence', async () => {
+    const [exact] = await searchGazetteer('Springfield');
+    const [typo] = await searchGazetteer('Sprinfeld');
+
+    expect(typo.lat).toBe(exact.lat);
+    expect(typo.confidence).toBeLessThan(exact.confidence);
+    await expect(searchGazetteer('Sprxngxxxld')).resolves.toEqual([]);
+  });
+
+  it('prefers places matching the admin area or country after the comma', async () => {
+    const [illinois] = await searchGazetteer('Springfield, Illinois');
+    const [texas] = await searchGazetteer('Paris, US');
+
+    expect(illinois.formatted_address).toBe('Springfield, Sangamon County, Illinois, US');
+    expect(texas.formatted_address).toBe('Paris, Texas, US');
+  });
+
+  it('filters by a country bias', async () => {
+    const candidates = await searchGazetteer('Paris', { country: 'us' });
+
+    expect(candidates).toHaveLength(1);
+    expect(candidates[0].lat).toBe(33.6609);
+  });
+});
+
+describe('reverseGazetteer', () => {
+  it('returns the nearest place within range', async () => {
+    await expect(reverseGazetteer(48.86, 2.35)).resolves.toMatchObject({
+      formatted_address: 'Paris, Île-de-France, FR',
+      components: { locality: 'Paris', country: 'FR' },
+      distance_km: 0.7,
+      source: 'gazetteer'
+    });
+  });
+
+  it('throws when nothing is close enough', async () => {
+    await expect(reverseGazetteer(0, 0)).rejects.toThrow('No gazetteer place nearby');
+  });
+});
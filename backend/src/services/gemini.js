@@ -1,18 +1,35 @@
-const axios = require('axios');
 const { getCachedData, setCachedData } = require('../middleware/cache');
+const { loadImage } = require('./images');
+const { generate, generateJson, getTaskConfig, taskCacheKey } = require('./llm');
+const { LLM_CONFIG, CACHE_CONFIG } = require('../utils/constants');
 const logger = require('../utils/logger');
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+// AI tasks behind the configurable LLM provider (see services/llm.js). The
+// module keeps its original name because controllers import it directly.
 
-if (!GEMINI_API_KEY) {
-  logger.error('Missing GEMINI_API_KEY environment variable');
-}
+const { LOCATION, IMAGE_VERIFICATION } = LLM_CONFIG.TASKS;
+
+const LOCATION_PATTERNS = [
+  /\bin\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/,
+  /\bat\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/,
+  /\bnear\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/
+];
+
+// Simple regex extraction for common patterns ("in Houston", "near Lake Tahoe")
+const matchLocationPattern = (description) => {
+  for (const pattern of LOCATION_PATTERNS) {
+    const match = pattern.exec(description);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+};
 
 const extractLocationFromDescription = async (description) => {
   try {
-    const cacheKey = `gemini_location_${Buffer.from(description).toString('base64').substring(0, 50)}`;
-    
+    const cacheKey = taskCacheKey(CACHE_CONFIG.KEYS.LOCATION_EXTRACTION, LOCATION, description);
+
     // Check cache first
     const cachedResult = await getCachedData(cacheKey);
     if (cachedResult) {
@@ -25,35 +42,13 @@ Description: "${description}"
 
 Location:`;
 
-    const response = await axios.post(
-      `${GEMINI_BASE_URL}/models/gemini-pro:generateContent?key=${GEMINI_API_KEY}`,
-      {
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }],
-        generationConfig: {
-          temperature: 0.1,
-          maxOutputTokens: 50
-        }
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      }
-    );
-
-    if (!response.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      throw new Error('Invalid response from Gemini API');
-    }
+    const { text: extractedLocation, provider } = await generate(LOCATION, {
+      prompt,
+      stub: () => matchLocationPattern(description) || 'unknown'
+    });
 
-    const extractedLocation = response.data.candidates[0].content.parts[0].text.trim();
-    
     // Filter out non-location responses
-    if (extractedLocation.toLowerCase() === 'unknown' || 
+    if (extractedLocation.toLowerCase() === 'unknown' ||
         extractedLocation.toLowerCase().includes('no location') ||
         extractedLocation.length < 2) {
       return null;
@@ -62,55 +57,20 @@ Location:`;
     // Cache the result
     await setCachedData(cacheKey, extractedLocation);
 
-    logger.info(`Location extracted from description: "${extractedLocation}"`);
+    logger.info(`Location extracted from description by ${provider}: "${extractedLocation}"`);
     return extractedLocation;
   } catch (error) {
     logger.error('Error extracting location from description:', error.message);
-    
-    // Fallback: simple regex extraction for common patterns
-    const locationPatterns = [
-      /in\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/g,
-      /at\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/g,
-      /near\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/g
-    ];
-
-    for (const pattern of locationPatterns) {
-      const match = description.match(pattern);
-      if (match && match[1]) {
-        logger.info(`Fallback location extraction: "${match[1]}"`);
-        return match[1];
-      }
-    }
 
-    return null;
+    const fallbackLocation = matchLocationPattern(description);
+    if (fallbackLocation) {
+      logger.info(`Fallback location extraction: "${fallbackLocation}"`);
+    }
+    return fallbackLocation;
   }
 };
 
-const verifyImageWithGemini = async (imageUrl) => {
-  try {
-    const cacheKey = `gemini_verify_${Buffer.from(imageUrl).toString('base64').substring(0, 50)}`;
-    
-    // Check cache first
-    const cachedResult = await getCachedData(cacheKey);
-    if (cachedResult) {
-      return cachedResult;
-    }
-
-    // Download image and convert to base64 (simplified for demo)
-    let imageData;
-    try {
-      const imageResponse = await axios.get(imageUrl, {
-        responseType: 'arraybuffer',
-        timeout: 10000,
-        maxContentLength: 10 * 1024 * 1024 // 10MB limit
-      });
-      imageData = Buffer.from(imageResponse.data).toString('base64');
-    } catch (error) {
-      logger.error('Error downloading image for verification:', error.message);
-      throw new Error('Could not download image for verification');
-    }
-
-    const prompt = `Analyze this image for signs of disaster and authenticity. Provide your analysis in JSON format with the following structure:
+const VERIFICATION_PROMPT = `Analyze this image for signs of disaster and authenticity. Provide your analysis in JSON format with the following structure:
 {
   "is_authentic": boolean,
   "confidence": number (0-1),
@@ -127,95 +87,69 @@ Focus on identifying:
 3. Whether the image appears to be authentic documentary evidence
 4. Objects and scenes that indicate emergency situations`;
 
-    const response = await axios.post(
-      `${GEMINI_BASE_URL}/models/gemini-pro-vision:generateContent?key=${GEMINI_API_KEY}`,
-      {
-        contents: [{
-          parts: [
-            {
-              text: prompt
-            },
-            {
-              inline_data: {
-                mime_type: 'image/jpeg',
-                data: imageData
-              }
-            }
-          ]
-        }],
-        generationConfig: {
-          temperature: 0.1,
-          maxOutputTokens: 500
-        }
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 15000
-      }
-    );
-
-    if (!response.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      throw new Error('Invalid response from Gemini API');
-    }
+const loadImageForVerification = async (imageUrl) => {
+  try {
+    const { buffer, contentType } = await loadImage(imageUrl);
+    return { data: buffer.toString('base64'), mimeType: contentType };
+  } catch (error) {
+    logger.error('Error downloading image for verification:', error.message);
+    throw new Error('Could not download image for verification');
+  }
+};
 
-    const analysisText = response.data.candidates[0].content.parts[0].text.trim();
-    
-    // Try to parse JSON response
-    let verificationResult;
-    try {
-      verificationResult = JSON.parse(analysisText);
-    } catch (parseError) {
-      // If JSON parsing fails, create a structured response
-      verificationResult = {
-        is_authentic: true,
-        confidence: 0.7,
-        analysis: analysisText,
-        detected_objects: [],
-        manipulation_indicators: [],
-        disaster_related: analysisText.toLowerCase().includes('disaster') || 
-                         analysisText.toLowerCase().includes('emergency'),
-        disaster_type: 'unknown'
-      };
+// Pass skipCache to force a fresh analysis, e.g. when re-verifying a report.
+// Throws when no AI provider is configured or the analysis fails, so callers
+// can fall back to offline forensics instead of trusting a default answer.
+const verifyImageWithGemini = async (imageUrl, { skipCache = false } = {}) => {
+  const { provider } = getTaskConfig(IMAGE_VERIFICATION);
+
+  if (provider.name === 'stub') {
+    throw new Error('No AI provider configured for image verification');
+  }
+
+  try {
+    const cacheKey = taskCacheKey(CACHE_CONFIG.KEYS.IMAGE_VERIFICATION, IMAGE_VERIFICATION, imageUrl);
+
+    // Check cache first
+    const cachedResult = skipCache ? null : await getCachedData(cacheKey);
+    if (cachedResult) {
+      return cachedResult;
     }
 
-    // Ensure required fields exist
-    verificationResult = {
-      is_authentic: verificationResult.is_authentic !== false,
-      confidence: verificationResult.confidence || 0.5,
-      analysis: verificationResult.analysis || 'Analysis completed',
-      detected_objects: verificationResult.detected_objects || [],
-      manipulation_indicators: verificationResult.manipulation_indicators || [],
-      disaster_related: verificationResult.disaster_related || false,
-      disaster_type: verificationResult.disaster_type || 'unknown',
+    const image = await loadImageForVerification(imageUrl);
+    const response = await generateJson(IMAGE_VERIFICATION, {
+      prompt: VERIFICATION_PROMPT,
+      image
+    });
+    const analysis = response.data;
+
+    // Ensure required fields exist; an image is only authentic if the model says so
+    const verificationResult = {
+      is_authentic: analysis.is_authentic === true,
+      confidence: typeof analysis.confidence === 'number' ? analysis.confidence : 0.5,
+      analysis: analysis.analysis || 'Analysis completed',
+      detected_objects: analysis.detected_objects || [],
+      manipulation_indicators: analysis.manipulation_indicators || [],
+      disaster_related: analysis.disaster_related || false,
+      disaster_type: analysis.disaster_type || 'unknown',
+      provider: response.provider,
+      model: response.model,
+      model_version: response.modelVersion,
       verified_at: new Date().toISOString()
     };
 
     // Cache the result
     await setCachedData(cacheKey, verificationResult, 24 * 60 * 60 * 1000); // 24 hours
 
-    logger.info(`Image verification completed: ${verificationResult.is_authentic ? 'AUTHENTIC' : 'FLAGGED'}`);
+    logger.info(`Image verification completed by ${response.provider}: ${verificationResult.is_authentic ? 'AUTHENTIC' : 'FLAGGED'}`);
     return verificationResult;
   } catch (error) {
-    logger.error('Error verifying image with Gemini:', error.message);
-    
-    // Return a default "needs manual review" result
-    return {
-      is_authentic: true,
-      confidence: 0.5,
-      analysis: 'Could not complete AI verification, manual review recommended',
-      detected_objects: [],
-      manipulation_indicators: ['AI verification failed'],
-      disaster_related: false,
-      disaster_type: 'unknown',
-      verified_at: new Date().toISOString(),
-      error: error.message
-    };
+    logger.error('Error verifying image:', error.message);
+    throw error;
   }
 };
 
 module.exports = {
   extractLocationFromDescription,
   verifyImageWithGemini
-};
\ No newline at end of file
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const supabase = require('./supabase');
+const { geocodeCandidates, isAmbiguous, reverseGeocode } = require('./maps');
+const logger = require('../utils/logger');
+const { GEOCODING_CONFIG } = require('../utils/constants');
+
+// Batch jobs run in the background of the instance that accepted them and
+// keep their progress in the geocoding_jobs table, so any instance can answer
+// a poll. Jobs are kept until their expires_at, BATCH_JOB_RETENTION after
+// they were created. Items are place names (geocoded) or { lat, lng } points
+// (reverse geocoded); repeated items are looked up once.
+
+const toRow = ({ unique, ...job }) => ({ ...job, unique_items: unique, error: job.error || null });
+
+const toJob = ({ unique_items, error, ...row }) => ({ ...row, unique: unique_items, ...(error && { error }) });
+
+const saveJob = async (job) => {
+  const { error } = await supabase
+    .from('geocoding_jobs')
+    .upsert(toRow(job));
+
+  if (error) {
+    throw error;
+  }
+};
+
+const getBatchJob = async (id) => {
+  const { data, error } = await supabase
+    .from('geocoding_jobs')
+    .select('*')
+    .eq('id', id)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data ? toJob(data) : null;
+};
+
+const clearExpiredBatchJobs = async () => {
+  const { error } = await supabase
+    .from('geocoding_jobs')
+    .delete()
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) {
+    logger.warn('Failed to clear expired geocoding batches:', error.message);
+  }
+};
+
+const dedupeKey = (item) => {
+  return typeof item === 'string'
+    ? `name:${item.toLowerCase().replace(/\s+/g, ' ')}`
+    : `point:${item.lat.toFixed(6)},${item.lng.toFixed(6)}`;
+};
+
+const lookup = async (item, bias) => {
+  if (typeof item === 'string') {
+    const candidates = await geocodeCandidates(item, bias, { batch: true });
+    return { type: 'geocode', result: candidates[0], candidates, ambiguous: isAmbiguous(candidates) };
+  }
+
+  return { type: 'reverse', result: await reverseGeocode(item.lat, item.lng, { batch: true }) };
+};
+
+// One entry per submitted item, in submission order
+const buildResults = (items, lookups) => items.map((item, index) => {
+  const outcome = lookups.get(dedupeKey(item));
+
+  if (!outcome) {
+    return { index, input: item, status: 'pending' };
+  }
+  if (outcome.error) {
+    return { index, input: item, status: 'failed', error: outcome.error };
+  }
+  return { index, input: item, status: 'ok', ...outcome };
+});
+
+const runJob = async (job, items, bias) => {
+  const unique = [...new Map(items.map(item => [dedupeKey(item), item])).values()];
+  const lookups = new Map();
+  let next = 0;
+
+  const save = (changes) => {
+    Object.assign(job, changes, {
+      processed: lookups.size,
+      failed: [...lookups.values()].filter(outcome => outcome.error).length,
+      results: buildResults(items, lookups)
+    });
+    return saveJob(job);
+  };
+
+  // Provider rate limits are enforced in maps.js, where batch lookups queue
+  // behind interactive ones
+  const worker = async () => {
+    while (next < unique.length) {
+      const item = unique[next++];
+
+      try {
+        lookups.set(dedupeKey(item), await lookup(item, bias));
+      } catch (error) {
+        lookups.set(dedupeKey(item), { error: error.message });
+      }
+
+      if (lookups.size % GEOCODING_CONFIG.BATCH_SAVE_EVERY === 0 && lookups.size < unique.length) {
+        await save({});
+      }
+    }
+  };
+
+  await save({ status: 'running' });
+  await Promise.all(
+    Array.from({ length: Math.min(GEOCODING_CONFIG.BATCH_CONCURRENCY, unique.length) }, worker)
+  );
+  await save({ status: 'completed', completed_at: new Date().toISOString() });
+
+  logger.info(`Geocoding batch ${job.id} completed: ${job.processed - job.failed}/${job.unique} lookups succeeded`);
+};
+
+// Queues a batch and resolves to the job as first stored; the lookups carry
+// on in the background. Expired jobs are cleared whenever a new one starts.
+const createBatchJob = async (items, { bias = {}, user_id }) => {
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    user_id,
+    total: items.length,
+    unique: new Set(items.map(dedupeKey)).size,
+    processed: 0,
+    failed: 0,
+    created_at: new Date(now).toISOString(),
+    completed_at: null,
+    expires_at: new Date(now + GEOCODING_CONFIG.BATCH_JOB_RETENTION).toISOString(),
+    results: buildResults(items, new Map())
+  };
+
+  await saveJob(job);
+  clearExpiredBatchJobs();
+
+  runJob({ ...job }, items, bias).catch((error) => {
+    logger.error(`Geocoding batch ${job.id} failed:`, error);
+    saveJob({ ...job, status: 'failed', error: error.message, completed_at: new Date().toISOString() })
+      .catch(saveError => logger.error(`Could not record geocoding batch ${job.id} failure:`, saveError.message));
+  });
+
+  return job;
+};
+
+module.exports = {
+  createBatchJob,
+  getBatchJob
+};
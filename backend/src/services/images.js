@@ -0,0 +1,90 @@
+const sharp = require('sharp');
+const crypto = require('crypto');
+const axios = require('axios');
+const { getStorage, getPublicUrl, readStoredFile } = require('./storage');
+const { UPLOAD_CONFIG } = require('../utils/constants');
+
+const FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { mimeType: 'image/png', extension: 'png' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+  gif: { mimeType: 'image/gif', extension: 'gif' }
+};
+
+// Decodes the image header. The client's MIME type is only a hint, so this is
+// what decides whether an upload is really an image we accept. Returns null
+// for anything else.
+const inspectImage = async (buffer) => {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    const format = FORMATS[metadata.format];
+
+    if (!format || !UPLOAD_CONFIG.ALLOWED_MIME_TYPES.includes(format.mimeType)) {
+      return null;
+    }
+
+    return { ...metadata, ...format };
+  } catch (error) {
+    return null;
+  }
+};
+
+const createThumbnail = (buffer) => sharp(buffer)
+  .rotate()
+  .resize(UPLOAD_CONFIG.THUMBNAIL_SIZE, UPLOAD_CONFIG.THUMBNAIL_SIZE, {
+    fit: 'inside',
+    withoutEnlargement: true
+  })
+  .jpeg({ quality: 80 })
+  .toBuffer();
+
+// Stores the original bytes untouched (keeping EXIF for later forensics) and
+// a JPEG thumbnail next to it
+const storeReportImage = async (disasterId, buffer, image) => {
+  const storage = getStorage();
+  const baseKey = `reports/${disasterId}/${crypto.randomUUID()}`;
+  const key = `${baseKey}.${image.extension}`;
+  const thumbnailKey = `${baseKey}_thumb.jpg`;
+
+  await storage.save(key, buffer);
+  await storage.save(thumbnailKey, await createThumbnail(buffer));
+
+  return {
+    image_url: getPublicUrl(key),
+    thumbnail_url: getPublicUrl(thumbnailKey),
+    content_type: image.mimeType,
+    size: buffer.length,
+    width: image.width,
+    height: image.height
+  };
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Reads our own uploads straight from storage and downloads anything else.
+// Resolves to { buffer, contentType }.
+const loadImage = async (imageUrl) => {
+  const stored = await readStoredFile(imageUrl);
+  if (stored) {
+    return { buffer: stored.buffer, contentType: stored.contentType };
+  }
+
+  const response = await axios.get(imageUrl, {
+    responseType: 'arraybuffer',
+    timeout: 10000,
+    maxContentLength: UPLOAD_CONFIG.MAX_FILE_SIZE
+  });
+
+  return {
+    buffer: Buffer.from(response.data),
+    contentType: response.headers['content-type'] || 'image/jpeg'
+  };
+};
+
+module.exports = {
+  inspectImage,
+  sha256,
+  loadImage,
+  createThumbnail,
+  storeReportImage
+};
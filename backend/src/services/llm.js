@@ -0,0 +1,228 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { LLM_CONFIG, EXTERNAL_APIS } = require('../utils/constants');
+const { buildCacheKey } = require('../utils/cacheKey');
+
+// Every provider implements generate(request) and resolves to
+// { text, provider, model, modelVersion }. A request carries the prompt, an
+// optional image ({ data: base64, mimeType }), json, maxTokens, temperature,
+// timeoutMs and a stub response used by the offline provider.
+
+const describeError = (error, timeoutMs) => {
+  if (error.code === 'ECONNABORTED') {
+    return `timed out after ${timeoutMs}ms`;
+  }
+  const apiMessage = error.response?.data?.error?.message;
+  return apiMessage || error.message;
+};
+
+const createGeminiProvider = () => {
+  const apiKey = process.env.GEMINI_API_KEY;
+  const baseUrl = process.env.GEMINI_BASE_URL || EXTERNAL_APIS.GEMINI.BASE_URL;
+
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is required for the gemini provider');
+  }
+
+  return {
+    name: 'gemini',
+    defaultModels: EXTERNAL_APIS.GEMINI.MODELS,
+
+    generate: async ({ model, prompt, image, json, maxTokens, temperature, timeoutMs }) => {
+      const parts = [{ text: prompt }];
+      if (image) {
+        parts.push({ inline_data: { mime_type: image.mimeType, data: image.data } });
+      }
+
+      const response = await axios.post(
+        `${baseUrl}/models/${model}:generateContent`,
+        {
+          contents: [{ parts }],
+          generationConfig: {
+            temperature,
+            maxOutputTokens: maxTokens,
+            ...(json && { responseMimeType: 'application/json' })
+          }
+        },
+        {
+          headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+          timeout: timeoutMs
+        }
+      );
+
+      const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!text) {
+        throw new Error('Empty response from Gemini');
+      }
+
+      return { text, model, modelVersion: response.data.modelVersion || null };
+    }
+  };
+};
+
+// Any server speaking the OpenAI chat completions API (OpenAI, Azure
+// deployments behind a proxy, vLLM, Ollama, LM Studio, ...)
+const createOpenAIProvider = () => {
+  const apiKey = process.env.OPENAI_API_KEY;
+  const baseUrl = (process.env.OPENAI_BASE_URL || EXTERNAL_APIS.OPENAI.BASE_URL).replace(/\/$/, '');
+
+  return {
+    name: 'openai',
+    defaultModels: EXTERNAL_APIS.OPENAI.MODELS,
+
+    generate: async ({ model, prompt, image, json, maxTokens, temperature, timeoutMs }) => {
+      const content = image
+        ? [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }
+        ]
+        : prompt;
+
+      const response = await axios.post(
+        `${baseUrl}/chat/completions`,
+        {
+          model,
+          messages: [{ role: 'user', content }],
+          max_tokens: maxTokens,
+          temperature,
+          ...(json && { response_format: { type: 'json_object' } })
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+          },
+          timeout: timeoutMs
+        }
+      );
+
+      const text = response.data?.choices?.[0]?.message?.content;
+      if (!text) {
+        throw new Error('Empty response from OpenAI-compatible API');
+      }
+
+      return { text, model, modelVersion: response.data.model || null };
+    }
+  };
+};
+
+// Deterministic offline provider: answers with the caller's stub response so
+// development and tests work without network access or API keys
+const createStubProvider = () => ({
+  name: 'stub',
+  defaultModels: { TEXT: 'stub', VISION: 'stub' },
+
+  generate: async ({ model, prompt, stub, json }) => {
+    const text = typeof stub === 'function' ? stub(prompt) : stub;
+    return {
+      text: text !== undefined ? text : (json ? '{}' : ''),
+      model,
+      modelVersion: null
+    };
+  }
+});
+
+const LLM_PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  stub: createStubProvider
+};
+
+const envFor = (task, setting) => process.env[`LLM_${task.name.toUpperCase()}_${setting}`];
+
+const defaultProviderName = () => {
+  if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+  return process.env.GEMINI_API_KEY ? 'gemini' : 'stub';
+};
+
+const providers = {};
+
+const getProvider = (name) => {
+  if (!providers[name]) {
+    const createProvider = LLM_PROVIDERS[name];
+
+    if (!createProvider) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    providers[name] = createProvider();
+    logger.info(`Initialised ${name} LLM provider`);
+  }
+
+  return providers[name];
+};
+
+// Resolves the provider, model and timeout configured for a task
+// (one of LLM_CONFIG.TASKS)
+const getTaskConfig = (task) => {
+  const provider = getProvider(envFor(task, 'PROVIDER') || defaultProviderName());
+  const model = envFor(task, 'MODEL') ||
+    (task.vision ? provider.defaultModels.VISION : provider.defaultModels.TEXT);
+  const timeoutMs = Number(envFor(task, 'TIMEOUT_MS') || process.env.LLM_TIMEOUT_MS) ||
+    task.timeoutMs ||
+    LLM_CONFIG.DEFAULT_TIMEOUT_MS;
+
+  return { provider, model, timeoutMs };
+};
+
+// Cache key for a task's result; includes the provider and model so switching
+// either doesn't serve answers from the previous one
+const taskCacheKey = (prefix, task, value) => {
+  const { provider, model } = getTaskConfig(task);
+  return buildCacheKey(prefix, { provider: provider.name, model, value });
+};
+
+// Runs a task and resolves to { text, provider, model, modelVersion }.
+// Provider errors are rethrown with the provider and task in the message.
+const generate = async (task, request) => {
+  const { provider, model, timeoutMs } = getTaskConfig(task);
+
+  try {
+    const result = await provider.generate({
+      temperature: 0.1,
+      maxTokens: task.maxTokens,
+      ...request,
+      model,
+      timeoutMs
+    });
+
+    return { ...result, text: result.text.trim(), provider: provider.name };
+  } catch (error) {
+    throw new Error(`${provider.name} ${task.name} request failed: ${describeError(error, timeoutMs)}`);
+  }
+};
+
+// Pulls the JSON object out of a model response, tolerating markdown code
+// fences and text around it
+const parseJsonResponse = (text) => {
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new Error('Model response contained no JSON object');
+  }
+
+  return JSON.parse(unfenced.slice(start, end + 1));
+};
+
+// Like generate, but asks for JSON and resolves to { data, provider, model, modelVersion }
+const generateJson = async (task, request) => {
+  const { text, ...meta } = await generate(task, { ...request, json: true });
+
+  try {
+    return { ...meta, data: parseJsonResponse(text) };
+  } catch (error) {
+    logger.warn(`Unparseable ${task.name} response from ${meta.provider}:`, text.substring(0, 200));
+    throw new Error(`${meta.provider} ${task.name} response was not valid JSON`);
+  }
+};
+
+module.exports = {
+  LLM_PROVIDERS,
+  getTaskConfig,
+  taskCacheKey,
+  generate,
+  generateJson,
+  parseJsonResponse
+};
@@ -0,0 +1,60 @@
+process.env.LLM_PROVIDER = 'stub';
+
+const { generate, generateJson, getTaskConfig, parseJsonResponse, taskCacheKey } = require('./llm');
+const { LLM_CONFIG } = require('../utils/constants');
+
+const { SITUATION } = LLM_CONFIG.TASKS;
+
+describe('parseJsonResponse', () => {
+  it('parses a bare JSON object', () => {
+    expect(parseJsonResponse('{"severity":"high"}')).toEqual({ severity: 'high' });
+  });
+
+  it('strips markdown code fences and surrounding text', () => {
+    const text = 'Here is the result:\n```json\n{"needs": ["water"], "nested": {"a": 1}}\n```\nLet me know.';
+    expect(parseJsonResponse(text)).toEqual({ needs: ['water'], nested: { a: 1 } });
+  });
+
+  it('throws when there is no JSON object', () => {
+    expect(() => parseJsonResponse('No idea, sorry.')).toThrow('Model response contained no JSON object');
+    expect(() => parseJsonResponse('} {')).toThrow('Model response contained no JSON object');
+  });
+
+  it('throws on malformed JSON', () => {
+    expect(() => parseJsonResponse('{"severity": high}')).toThrow(SyntaxError);
+  });
+});
+
+describe('stub provider', () => {
+  afterEach(() => {
+    delete process.env.LLM_SITUATION_MODEL;
+  });
+
+  it('is used by default without an API key', () => {
+    expect(getTaskConfig(SITUATION)).toMatchObject({ provider: { name: 'stub' }, model: 'stub' });
+  });
+
+  it('answers with the stub response, or the stub called with the prompt', async () => {
+    await expect(generate(SITUATION, { prompt: 'p', stub: '  fixed  ' }))
+      .resolves.toEqual({ text: 'fixed', provider: 'stub', model: 'stub', modelVersion: null });
+
+    const { text } = await generate(SITUATION, { prompt: 'echo me', stub: prompt => prompt.toUpperCase() });
+    expect(text).toBe('ECHO ME');
+  });
+
+  it('answers an empty object to JSON requests without a stub', async () => {
+    await expect(generateJson(SITUATION, { prompt: 'p' })).resolves.toMatchObject({ data: {}, provider: 'stub' });
+  });
+
+  it('rejects unparseable JSON with the provider and task in the message', async () => {
+    await expect(generateJson(SITUATION, { prompt: 'p', stub: 'not json' }))
+      .rejects.toThrow('stub situation response was not valid JSON');
+  });
+
+  it('keys cached results by provider and model', () => {
+    const key = taskCacheKey('llm_situation', SITUATION, 'text');
+
+    process.env.LLM_SITUATION_MODEL = 'other';
+    expect(taskCacheKey('llm_situation', SITUATION, 'text')).not.toBe(key);
+  });
+});
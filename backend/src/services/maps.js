@@ -1,124 +1,99 @@
 const axios = require('axios');
 const { getCachedData, setCachedData } = require('../middleware/cache');
 const logger = require('../utils/logger');
+const { buildCacheKey } = require('../utils/cacheKey');
+const { distanceKm } = require('../utils/geo');
+const { isGazetteerAvailable, searchGazetteer, reverseGazetteer } = require('./gazetteer');
+const { CACHE_CONFIG, GEOCODING_CONFIG } = require('../utils/constants');
 
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
 const MAPBOX_ACCESS_TOKEN = process.env.MAPBOX_ACCESS_TOKEN;
 
-const geocodeLocation = async (locationName) => {
-  try {
-    const cacheKey = `geocode_${Buffer.from(locationName.toLowerCase()).toString('base64')}`;
-    
-    // Check cache first
-    const cachedResult = await getCachedData(cacheKey);
-    if (cachedResult) {
-      logger.debug(`Geocoding cache hit for: ${locationName}`);
-      return cachedResult;
-    }
-
-    let coordinates = null;
-
-    // Try Google Maps first if API key is available
-    if (GOOGLE_MAPS_API_KEY) {
-      try {
-        coordinates = await geocodeWithGoogleMaps(locationName);
-      } catch (error) {
-        logger.warn('Google Maps geocoding failed:', error.message);
-      }
-    }
-
-    // Fallback to Mapbox if Google Maps failed and Mapbox key is available
-    if (!coordinates && MAPBOX_ACCESS_TOKEN) {
-      try {
-        coordinates = await geocodeWithMapbox(locationName);
-      } catch (error) {
-        logger.warn('Mapbox geocoding failed:', error.message);
-      }
-    }
+// Each geocoder resolves to candidates shaped like
+//   { lat, lng, formatted_address, provider, confidence, bbox, place_type }
+// where confidence is the provider's own 0-1 score and bbox is
+// [minLng, minLat, maxLng, maxLat] or null. A bias may carry a country code,
+// a bbox and/or a `near` point; providers use what they support.
 
-    // Fallback to OpenStreetMap Nominatim (free but rate-limited)
-    if (!coordinates) {
-      try {
-        coordinates = await geocodeWithNominatim(locationName);
-      } catch (error) {
-        logger.warn('Nominatim geocoding failed:', error.message);
-      }
-    }
-
-    if (!coordinates) {
-      throw new Error('All geocoding services failed');
-    }
-
-    // Cache the successful result
-    await setCachedData(cacheKey, coordinates, 7 * 24 * 60 * 60 * 1000); // Cache for 7 days
-
-    logger.info(`Geocoded "${locationName}" to ${coordinates.lat}, ${coordinates.lng}`);
-    return coordinates;
-  } catch (error) {
-    logger.error(`Error geocoding location "${locationName}":`, error.message);
-    throw error;
-  }
-};
-
-const geocodeWithGoogleMaps = async (locationName) => {
+const geocodeWithGoogleMaps = async (locationName, bias) => {
   const url = 'https://maps.googleapis.com/maps/api/geocode/json';
   const params = {
     address: locationName,
-    key: GOOGLE_MAPS_API_KEY
+    key: GOOGLE_MAPS_API_KEY,
+    ...(bias.country && { region: bias.country }),
+    ...(bias.bbox && { bounds: `${bias.bbox[1]},${bias.bbox[0]}|${bias.bbox[3]},${bias.bbox[2]}` })
   };
 
   const response = await axios.get(url, { 
     params,
-    timeout: 5000
+    timeout: GEOCODING_CONFIG.TIMEOUT_MS
   });
 
-  if (response.data.status !== 'OK' || !response.data.results.length) {
+  if (response.data.status === 'ZERO_RESULTS') {
+    return [];
+  }
+
+  if (response.data.status !== 'OK') {
     throw new Error(`Google Maps API error: ${response.data.status}`);
   }
 
-  const location = response.data.results[0].geometry.location;
-  return {
-    lat: location.lat,
-    lng: location.lng,
-    formatted_address: response.data.results[0].formatted_address,
-    source: 'google_maps'
-  };
+  return response.data.results.map((result) => {
+    const { location, location_type, bounds, viewport } = result.geometry;
+    const box = bounds || viewport;
+    const confidence = (GEOCODING_CONFIG.GOOGLE_LOCATION_CONFIDENCE[location_type] || 0.5) *
+      (result.partial_match ? GEOCODING_CONFIG.GOOGLE_PARTIAL_MATCH_PENALTY : 1);
+
+    return {
+      lat: location.lat,
+      lng: location.lng,
+      formatted_address: result.formatted_address,
+      provider: 'google_maps',
+      confidence,
+      bbox: box ? [box.southwest.lng, box.southwest.lat, box.northeast.lng, box.northeast.lat] : null,
+      place_type: result.types[0] || null
+    };
+  });
 };
 
-const geocodeWithMapbox = async (locationName) => {
+const geocodeWithMapbox = async (locationName, bias) => {
   const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(locationName)}.json`;
   const params = {
     access_token: MAPBOX_ACCESS_TOKEN,
-    limit: 1
+    limit: GEOCODING_CONFIG.MAX_CANDIDATES,
+    ...(bias.country && { country: bias.country }),
+    ...(bias.bbox && { bbox: bias.bbox.join(',') }),
+    ...(bias.near && { proximity: `${bias.near.lng},${bias.near.lat}` })
   };
 
   const response = await axios.get(url, { 
     params,
-    timeout: 5000
+    timeout: GEOCODING_CONFIG.TIMEOUT_MS
   });
 
-  if (!response.data.features || !response.data.features.length) {
-    throw new Error('No results from Mapbox');
-  }
-
-  const feature = response.data.features[0];
-  const [lng, lat] = feature.center;
-
-  return {
-    lat,
-    lng,
-    formatted_address: feature.place_name,
-    source: 'mapbox'
-  };
+  return (response.data.features || []).map((feature) => {
+    const [lng, lat] = feature.center;
+
+    return {
+      lat,
+      lng,
+      formatted_address: feature.place_name,
+      provider: 'mapbox',
+      confidence: feature.relevance,
+      bbox: feature.bbox || null,
+      place_type: feature.place_type?.[0] || null
+    };
+  });
 };
 
-const geocodeWithNominatim = async (locationName) => {
+const geocodeWithNominatim = async (locationName, bias) => {
   const url = 'https://nominatim.openstreetmap.org/search';
   const params = {
     q: locationName,
     format: 'json',
-    limit: 1,
-    'accept-language': 'en'
+    limit: GEOCODING_CONFIG.MAX_CANDIDATES,
+    'accept-language': 'en',
+    ...(bias.country && { countrycodes: bias.country }),
+    ...(bias.bbox && { viewbox: bias.bbox.join(',') })
   };
 
   const response = await axios.get(url, { 
@@ -126,50 +101,179 @@ const geocodeWithNominatim = async (locationName) => {
     headers: {
       'User-Agent': 'DisasterResponsePlatform/1.0'
     },
-    timeout: 5000
+    timeout: GEOCODING_CONFIG.TIMEOUT_MS
   });
 
-  if (!response.data || !response.data.length) {
-    throw new Error('No results from Nominatim');
+  return (response.data || []).map((result) => {
+    // boundingbox is [south, north, west, east] as strings
+    const [south, north, west, east] = (result.boundingbox || []).map(parseFloat);
+
+    return {
+      lat: parseFloat(result.lat),
+      lng: parseFloat(result.lon),
+      formatted_address: result.display_name,
+      provider: 'nominatim',
+      confidence: result.importance ?? 0.5,
+      bbox: result.boundingbox ? [west, south, east, north] : null,
+      place_type: result.addresstype || result.type || null
+    };
+  });
+};
+
+// Per provider: when the next request may go out, and the callers waiting
+// for it. Interactive lookups go ahead of batch work.
+const queues = {};
+
+const drain = (provider) => {
+  const queue = queues[provider];
+  if (queue.timer || (queue.interactive.length === 0 && queue.batch.length === 0)) return;
+
+  const wait = queue.nextSlot - Date.now();
+  if (wait > 0) {
+    queue.timer = setTimeout(() => {
+      queue.timer = null;
+      drain(provider);
+    }, wait);
+    return;
   }
 
-  const result = response.data[0];
-  return {
-    lat: parseFloat(result.lat),
-    lng: parseFloat(result.lon),
-    formatted_address: result.display_name,
-    source: 'nominatim'
-  };
+  const { call, resolve, reject } = queue.interactive.shift() || queue.batch.shift();
+  queue.nextSlot = Date.now() + GEOCODING_CONFIG.MIN_INTERVAL_MS[provider];
+  Promise.resolve().then(call).then(resolve, reject);
+  drain(provider);
 };
 
-const reverseGeocode = async (lat, lng) => {
+// Spaces calls to a provider at least MIN_INTERVAL_MS apart. Interactive
+// calls that would wait longer than MAX_WAIT_MS fail straight away so the
+// chain moves on to the next provider; batch calls wait their turn.
+const throttled = (provider, call, { batch = false } = {}) => {
+  const interval = GEOCODING_CONFIG.MIN_INTERVAL_MS[provider];
+  if (!interval) return call();
+
+  if (!queues[provider]) {
+    queues[provider] = { nextSlot: 0, timer: null, interactive: [], batch: [] };
+  }
+  const queue = queues[provider];
+
+  if (!batch) {
+    const wait = Math.max(queue.nextSlot - Date.now(), 0) + queue.interactive.length * interval;
+    if (wait > GEOCODING_CONFIG.MAX_WAIT_MS) {
+      return Promise.reject(new Error(`${provider} is busy, would wait ${wait}ms`));
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    queue[batch ? 'batch' : 'interactive'].push({ call, resolve, reject });
+    drain(provider);
+  });
+};
+
+const isInBbox = ({ lat, lng }, [minLng, minLat, maxLng, maxLat]) => {
+  return lat >= minLat && lat <= maxLat && lng >= minLng && lng <= maxLng;
+};
+
+// Scales each candidate's confidence by how well it fits the bias, then
+// sorts best first
+const rankCandidates = (candidates, bias) => {
+  return candidates
+    .map((candidate) => {
+      let confidence = candidate.confidence;
+      let distance_km;
+
+      if (bias.bbox && !isInBbox(candidate, bias.bbox)) {
+        confidence *= GEOCODING_CONFIG.OUTSIDE_BBOX_PENALTY;
+      }
+
+      if (bias.near) {
+        distance_km = Math.round(distanceKm(bias.near, candidate));
+        confidence *= 1 / (1 + distance_km / GEOCODING_CONFIG.BIAS_DISTANCE_KM);
+      }
+
+      return {
+        ...candidate,
+        confidence: Math.round(confidence * 100) / 100,
+        ...(distance_km !== undefined && { distance_km })
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, GEOCODING_CONFIG.MAX_CANDIDATES);
+};
+
+// Resolves to the ranked candidates for a place name, best first. Throws when
+// every geocoder fails or none finds the place. Pass { batch: true } for
+// background work that should yield to interactive lookups.
+const geocodeCandidates = async (locationName, bias = {}, options = {}) => {
   try {
-    const cacheKey = `reverse_geocode_${lat}_${lng}`;
+    const cacheKey = buildCacheKey(CACHE_CONFIG.KEYS.GEOCODING, { location: locationName.toLowerCase(), bias });
     
     // Check cache first
     const cachedResult = await getCachedData(cacheKey);
     if (cachedResult) {
+      logger.debug(`Geocoding cache hit for: ${locationName}`);
       return cachedResult;
     }
 
-    let address = null;
+    let candidates = [];
 
-    // Try Google Maps first
-    if (GOOGLE_MAPS_API_KEY) {
+    for (const geocoder of geocoderChain('geocode')) {
       try {
-        address = await reverseGeocodeWithGoogleMaps(lat, lng);
+        candidates = await throttled(geocoder.name, () => geocoder.geocode(locationName, bias), options);
       } catch (error) {
-        logger.warn('Google Maps reverse geocoding failed:', error.message);
+        logger.warn(`${geocoder.name} geocoding failed:`, error.message);
       }
+
+      if (candidates.length > 0) break;
     }
 
-    // Fallback to Nominatim
-    if (!address) {
+    if (candidates.length === 0) {
+      throw new Error('All geocoding services failed');
+    }
+
+    const ranked = rankCandidates(candidates, bias);
+
+    // Cache the successful result
+    await setCachedData(cacheKey, ranked, GEOCODING_CONFIG.CACHE_TTL);
+
+    logger.info(`Geocoded "${locationName}" to ${ranked.length} candidate(s), best ${ranked[0].lat}, ${ranked[0].lng} (${ranked[0].confidence})`);
+    return ranked;
+  } catch (error) {
+    logger.error(`Error geocoding location "${locationName}":`, error.message);
+    throw error;
+  }
+};
+
+// True when the runner-up scores close enough to the best candidate that the
+// user should pick between them
+const isAmbiguous = ([best, runnerUp]) => {
+  return Boolean(runnerUp) && best.confidence - runnerUp.confidence < GEOCODING_CONFIG.AMBIGUITY_MARGIN;
+};
+
+// Resolves to the best candidate for a place name
+const geocodeLocation = async (locationName, bias = {}) => {
+  const [best] = await geocodeCandidates(locationName, bias);
+  return best;
+};
+
+const reverseGeocode = async (lat, lng, options = {}) => {
+  try {
+    const cacheKey = buildCacheKey(CACHE_CONFIG.KEYS.REVERSE_GEOCODING, { lat: Number(lat), lng: Number(lng) });
+    
+    // Check cache first
+    const cachedResult = await getCachedData(cacheKey);
+    if (cachedResult) {
+      return cachedResult;
+    }
+
+    let address = null;
+
+    for (const geocoder of geocoderChain('reverse')) {
       try {
-        address = await reverseGeocodeWithNominatim(lat, lng);
+        address = await throttled(geocoder.name, () => geocoder.reverse(lat, lng), options);
       } catch (error) {
-        logger.warn('Nominatim reverse geocoding failed:', error.message);
+        logger.warn(`${geocoder.name} reverse geocoding failed:`, error.message);
       }
+
+      if (address) break;
     }
 
     if (!address) {
@@ -177,7 +281,7 @@ const reverseGeocode = async (lat, lng) => {
     }
 
     // Cache the result
-    await setCachedData(cacheKey, address, 7 * 24 * 60 * 60 * 1000); // Cache for 7 days
+    await setCachedData(cacheKey, address, GEOCODING_CONFIG.CACHE_TTL);
 
     return address;
   } catch (error) {
@@ -237,7 +341,53 @@ const reverseGeocodeWithNominatim = async (lat, lng) => {
   };
 };
 
+// Geocoders by name. Mapbox is only used forwards; the gazetteer needs an
+// imported dataset (see scripts/importGazetteer.js).
+const GEOCODERS = {
+  google_maps: {
+    enabled: () => Boolean(GOOGLE_MAPS_API_KEY),
+    geocode: geocodeWithGoogleMaps,
+    reverse: reverseGeocodeWithGoogleMaps
+  },
+  mapbox: {
+    enabled: () => Boolean(MAPBOX_ACCESS_TOKEN),
+    geocode: geocodeWithMapbox
+  },
+  nominatim: {
+    enabled: () => true,
+    geocode: geocodeWithNominatim,
+    reverse: reverseGeocodeWithNominatim
+  },
+  gazetteer: {
+    enabled: isGazetteerAvailable,
+    geocode: searchGazetteer,
+    reverse: reverseGazetteer
+  }
+};
+
+// The configured geocoders able to do `capability` ('geocode' or 'reverse'),
+// in the order of GEOCODING_PROVIDERS. The first one with an answer wins;
+// set GEOCODING_PROVIDERS=gazetteer to work fully offline.
+const geocoderChain = (capability) => {
+  const names = process.env.GEOCODING_PROVIDERS
+    ? process.env.GEOCODING_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : GEOCODING_CONFIG.PROVIDERS;
+
+  return names
+    .map((name) => {
+      if (!GEOCODERS[name]) {
+        throw new Error(`Unknown geocoding provider: ${name}`);
+      }
+      return { name, ...GEOCODERS[name] };
+    })
+    .filter(geocoder => geocoder[capability] && geocoder.enabled());
+};
+
 module.exports = {
+  GEOCODERS,
+  geocodeCandidates,
   geocodeLocation,
+  isAmbiguous,
+  rankCandidates,
   reverseGeocode
 };
\ No newline at end of file
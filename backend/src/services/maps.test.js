@@ -0,0 +1,105 @@
+jest.mock('../middleware/cache', () => ({
+  getCachedData: jest.fn(async () => null),
+  setCachedData: jest.fn(async () => true)
+}));
+
+const { GEOCODERS, geocodeCandidates, isAmbiguous, rankCandidates } = require('./maps');
+
+const candidate = (overrides) => ({
+  lat: 0,
+  lng: 0,
+  formatted_address: 'Somewhere',
+  provider: 'nominatim',
+  confidence: 0.5,
+  bbox: null,
+  place_type: 'city',
+  ...overrides
+});
+
+describe('rankCandidates', () => {
+  it('sorts by confidence and keeps at most five', () => {
+    const ranked = rankCandidates([0.2, 0.9, 0.4, 0.6, 0.1, 0.8].map(confidence => candidate({ confidence })), {});
+
+    expect(ranked.map(c => c.confidence)).toEqual([0.9, 0.8, 0.6, 0.4, 0.2]);
+  });
+
+  it('halves the confidence of candidates outside the bbox', () => {
+    const inside = candidate({ lat: 40.7, lng: -74, confidence: 0.6 });
+    const outside = candidate({ lat: 51.5, lng: -0.1, confidence: 0.9 });
+
+    expect(rankCandidates([outside, inside], { bbox: [-75, 40, -73, 41] }).map(c => c.confidence)).toEqual([0.6, 0.45]);
+  });
+
+  it('prefers candidates near the bias point and reports their distance', () => {
+    const paris = candidate({ lat: 48.8534, lng: 2.3488, confidence: 0.9 });
+    const parisTexas = candidate({ lat: 33.6609, lng: -95.5555, confidence: 0.6 });
+
+    const [best, runnerUp] = rankCandidates([paris, parisTexas], { near: { lat: 32.7767, lng: -96.797 } });
+
+    expect(best).toMatchObject({ lat: 33.6609, distance_km: 152 });
+    expect(runnerUp.confidence).toBeLessThan(0.1);
+  });
+});
+
+describe('isAmbiguous', () => {
+  it('is true when the runner-up scores within the margin of the best', () => {
+    expect(isAmbiguous([{ confidence: 0.8 }, { confidence: 0.7 }])).toBe(true);
+    expect(isAmbiguous([{ confidence: 0.8 }, { confidence: 0.5 }])).toBe(false);
+    expect(isAmbiguous([{ confidence: 0.8 }])).toBe(false);
+  });
+});
+
+describe('geocodeCandidates', () => {
+  const lookups = [];
+  // Provider slots outlive a test, so each test starts well after the last
+  let clock = Date.now();
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: clock });
+    process.env.GEOCODING_PROVIDERS = 'nominatim,gazetteer';
+    lookups.length = 0;
+
+    jest.spyOn(GEOCODERS.nominatim, 'geocode').mockImplementation(async (name) => {
+      lookups.push(name);
+      return [candidate({ formatted_address: name })];
+    });
+    jest.spyOn(GEOCODERS.gazetteer, 'enabled').mockReturnValue(true);
+    jest.spyOn(GEOCODERS.gazetteer, 'geocode').mockResolvedValue([candidate({ provider: 'gazetteer' })]);
+  });
+
+  afterEach(async () => {
+    await jest.runAllTimersAsync();
+    clock = Date.now() + 60 * 1000;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete process.env.GEOCODING_PROVIDERS;
+  });
+
+  it('falls through to the next provider when one fails', async () => {
+    GEOCODERS.nominatim.geocode.mockRejectedValueOnce(new Error('HTTP 503'));
+
+    const [best] = await geocodeCandidates('Atlantis');
+
+    expect(best.provider).toBe('gazetteer');
+  });
+
+  it('serves interactive lookups ahead of queued batch work', async () => {
+    const batch = ['batch 1', 'batch 2', 'batch 3'].map(name => geocodeCandidates(name, {}, { batch: true }));
+    await jest.advanceTimersByTimeAsync(10);
+    const interactive = geocodeCandidates('interactive');
+
+    await jest.advanceTimersByTimeAsync(5000);
+    await Promise.all([...batch, interactive]);
+
+    expect(lookups).toEqual(['batch 1', 'interactive', 'batch 2', 'batch 3']);
+  });
+
+  it('skips a provider rather than queue longer than the wait bound', async () => {
+    const pending = ['a', 'b', 'c', 'd', 'e'].map(name => geocodeCandidates(name));
+
+    await jest.advanceTimersByTimeAsync(5000);
+    const results = await Promise.all(pending);
+
+    expect(results.map(([best]) => best.provider)).toEqual(['nominatim', 'nominatim', 'nominatim', 'nominatim', 'gazetteer']);
+  });
+});
@@ -0,0 +1,229 @@
+const supabase = require('./supabase');
+const logger = require('../utils/logger');
+const { isOwnerOrAdmin } = require('../middleware/auth');
+const { recordHumanVerification } = require('./verifications');
+const { STATUS_TYPES, MODERATION_CONFIG } = require('../utils/constants');
+
+// Reports a moderator can still act on; verified and rejected are final
+const REVIEWABLE_STATUSES = [STATUS_TYPES.REPORT.PENDING, STATUS_TYPES.REPORT.FLAGGED];
+
+const DECISIONS = {
+  approve: STATUS_TYPES.REPORT.VERIFIED,
+  reject: STATUS_TYPES.REPORT.REJECTED
+};
+
+// Errors carry the HTTP status the controller should answer with
+const moderationError = (status, message, details = {}) => {
+  return Object.assign(new Error(message), { status, details });
+};
+
+const claimCutoff = () => new Date(Date.now() - MODERATION_CONFIG.CLAIM_TTL_MS).toISOString();
+
+const isClaimActive = (report) => {
+  return Boolean(report.claimed_by) && new Date(report.claimed_at) > new Date(claimCutoff());
+};
+
+const withClaimState = (report) => ({ ...report, claim_active: isClaimActive(report) });
+
+const getReport = async (id) => {
+  const { data, error } = await supabase
+    .from('reports')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data) {
+    throw moderationError(404, 'Report not found');
+  }
+
+  return data;
+};
+
+const assertNotClaimedByOther = (report, user) => {
+  if (isClaimActive(report) && report.claimed_by !== user.id) {
+    throw moderationError(409, `Report is claimed by ${report.claimed_by}`, {
+      claimed_by: report.claimed_by,
+      claimed_at: report.claimed_at
+    });
+  }
+};
+
+const assertReviewable = (report) => {
+  if (!REVIEWABLE_STATUSES.includes(report.verification_status)) {
+    throw moderationError(409, `Report has already been ${report.verification_status}`, {
+      verification_status: report.verification_status
+    });
+  }
+};
+
+// Appends to the moderation audit log. The decision itself has already been
+// saved at this point, so a failed write is logged rather than rolled back.
+const recordModeration = async (report, user, action, fields = {}) => {
+  const { error } = await supabase
+    .from('report_moderation_log')
+    .insert([{
+      report_id: report.id,
+      disaster_id: report.disaster_id,
+      moderator_id: user.id,
+      action,
+      ...fields
+    }]);
+
+  if (error) {
+    logger.error(`Failed to record moderation ${action} of report ${report.id} by ${user.id}:`, error);
+  }
+};
+
+const getQueue = async ({ status, disaster_id, claim, limit, offset }, user) => {
+  let query = supabase
+    .from('reports')
+    .select('*, disasters(title, location_name)', { count: 'exact' })
+    .in('verification_status', status)
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (disaster_id) {
+    query = query.eq('disaster_id', disaster_id);
+  }
+
+  if (claim === 'mine') {
+    query = query.eq('claimed_by', user.id).gt('claimed_at', claimCutoff());
+  } else if (claim === 'unclaimed') {
+    query = query.or(`claimed_by.is.null,claimed_at.lt.${claimCutoff()}`);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return { reports: data.map(withClaimState), total: count };
+};
+
+const claimReport = async (id, user) => {
+  const report = await getReport(id);
+  assertReviewable(report);
+  assertNotClaimedByOther(report, user);
+
+  // Guard against another moderator claiming between the read and the write
+  const { data, error } = await supabase
+    .from('reports')
+    .update({ claimed_by: user.id, claimed_at: new Date().toISOString() })
+    .eq('id', id)
+    .or(`claimed_by.is.null,claimed_by.eq.${user.id},claimed_at.lt.${claimCutoff()}`)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data) {
+    throw moderationError(409, 'Report was claimed by another moderator');
+  }
+
+  await recordModeration(report, user, 'claim');
+  return withClaimState(data);
+};
+
+const releaseReport = async (id, user) => {
+  const report = await getReport(id);
+
+  if (!report.claimed_by) {
+    throw moderationError(409, 'Report is not claimed');
+  }
+
+  if (isClaimActive(report) && !isOwnerOrAdmin(user, report.claimed_by)) {
+    throw moderationError(403, 'Only the moderator holding the claim or an admin can release it');
+  }
+
+  const { data, error } = await supabase
+    .from('reports')
+    .update({ claimed_by: null, claimed_at: null })
+    .eq('id', id)
+    .eq('claimed_by', report.claimed_by)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data) {
+    throw moderationError(409, 'Report claim changed; reload and try again');
+  }
+
+  await recordModeration(report, user, 'release', { reason: `Released claim held by ${report.claimed_by}` });
+  return withClaimState(data);
+};
+
+const decideReport = async (id, user, decision, reason = null) => {
+  const report = await getReport(id);
+  assertReviewable(report);
+  assertNotClaimedByOther(report, user);
+
+  const toStatus = DECISIONS[decision];
+
+  const { data, error } = await supabase
+    .from('reports')
+    .update({
+      verification_status: toStatus,
+      reviewed_by: user.id,
+      reviewed_at: new Date().toISOString(),
+      review_reason: reason || null,
+      claimed_by: null,
+      claimed_at: null
+    })
+    .eq('id', id)
+    .eq('verification_status', report.verification_status)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data) {
+    throw moderationError(409, 'Report was reviewed by someone else; reload and try again');
+  }
+
+  await recordModeration(report, user, decision, {
+    from_status: report.verification_status,
+    to_status: toStatus,
+    reason: reason || null
+  });
+  await recordHumanVerification(report, user, toStatus, reason || null);
+
+  return withClaimState(data);
+};
+
+const getModerationLog = async (id) => {
+  await getReport(id);
+
+  const { data, error } = await supabase
+    .from('report_moderation_log')
+    .select('*')
+    .eq('report_id', id)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+module.exports = {
+  REVIEWABLE_STATUSES,
+  DECISIONS,
+  getQueue,
+  claimReport,
+  releaseReport,
+  decideReport,
+  getModerationLog
+};
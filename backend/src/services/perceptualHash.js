@@ -0,0 +1,92 @@
+const sharp = require('sharp');
+
+// 64-bit perceptual hashes as 16-character hex strings. Visually similar
+// images (resized, recompressed, lightly cropped or colour-adjusted) have
+// hashes that differ in only a few bits.
+
+const HASH_BITS = 64;
+const DCT_SIZE = 32;
+const DCT_KEEP = 8;
+
+const greyscalePixels = async (buffer, width, height) => {
+  const { data } = await sharp(buffer)
+    .rotate()
+    .greyscale()
+    .resize(width, height, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return data;
+};
+
+const bitsToHex = (bits) => {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    const nibble = (bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3];
+    hex += nibble.toString(16);
+  }
+  return hex;
+};
+
+// dHash: is each pixel brighter than its right-hand neighbour (9x8 grid)
+const differenceHash = async (buffer) => {
+  const pixels = await greyscalePixels(buffer, 9, 8);
+  const bits = [];
+
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1 : 0);
+    }
+  }
+
+  return bitsToHex(bits);
+};
+
+const COSINES = Array.from({ length: DCT_KEEP }, (_, u) =>
+  Array.from({ length: DCT_SIZE }, (__, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * DCT_SIZE)))
+);
+
+// pHash: low-frequency DCT coefficients of a 32x32 thumbnail compared with
+// their median. Only the 8x8 coefficients that end up in the hash are computed.
+const perceptualHash = async (buffer) => {
+  const pixels = await greyscalePixels(buffer, DCT_SIZE, DCT_SIZE);
+
+  const rows = [];
+  for (let y = 0; y < DCT_SIZE; y++) {
+    rows.push(COSINES.map(cosine => {
+      let sum = 0;
+      for (let x = 0; x < DCT_SIZE; x++) {
+        sum += pixels[y * DCT_SIZE + x] * cosine[x];
+      }
+      return sum;
+    }));
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < DCT_KEEP; v++) {
+    for (let u = 0; u < DCT_KEEP; u++) {
+      let sum = 0;
+      for (let y = 0; y < DCT_SIZE; y++) {
+        sum += rows[y][u] * COSINES[v][y];
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term is the overall brightness and would dominate the median
+  const median = [...coefficients.slice(1)].sort((a, b) => a - b)[Math.floor((coefficients.length - 1) / 2)];
+
+  return bitsToHex(coefficients.map(value => (value > median ? 1 : 0)));
+};
+
+const computePerceptualHashes = async (buffer) => {
+  const [phash, dhash] = await Promise.all([perceptualHash(buffer), differenceHash(buffer)]);
+  return { phash, dhash };
+};
+
+// 1 for identical hashes, 0 when every bit differs
+const similarity = (distance) => Number((1 - distance / HASH_BITS).toFixed(3));
+
+module.exports = {
+  computePerceptualHashes,
+  similarity
+};
@@ -0,0 +1,377 @@
+const supabase = require('./supabase');
+const { fetchSocialMediaData } = require('./socialMedia');
+const { loadOfficialUpdates, searchOfficialUpdates } = require('./browse');
+const { generateJson, getTaskConfig } = require('./llm');
+const { DISASTER_TYPES, LLM_CONFIG, SITREP_CONFIG, STATUS_TYPES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+const { SITREP } = LLM_CONFIG.TASKS;
+const ALL_DISASTER_TYPES = Object.values(DISASTER_TYPES).flat();
+
+const SOURCE_PREFIXES = {
+  report: 'R',
+  resource: 'RS',
+  social_media: 'S',
+  official_update: 'U'
+};
+
+const toSources = (type, items, toSource) => items.map((item, index) => ({
+  ref: `${SOURCE_PREFIXES[type]}${index + 1}`,
+  type,
+  ...toSource(item)
+}));
+
+// Terms that tie external posts and bulletins to this disaster: the parts of
+// its location name, the places its situation names and its disaster type.
+// Of the tags only disaster types count; severity and status tags such as
+// "high" would match unrelated text. Very short terms are dropped because
+// feeds are matched by substring.
+const disasterKeywords = (disaster) => {
+  const terms = [
+    ...(disaster.tags || []).filter(tag => ALL_DISASTER_TYPES.includes(tag)),
+    disaster.situation?.disaster_type,
+    ...(disaster.location_name || '').split(','),
+    ...(disaster.situation?.locations || [])
+  ];
+
+  return [...new Set(
+    terms
+      .filter(Boolean)
+      .map(term => term.replace(/_/g, ' ').trim().toLowerCase())
+      .filter(term => term.length > 2)
+  )];
+};
+
+// Collects everything a sitrep may cite. Each item gets a short ref (R1, RS1,
+// S1, U1) that sections and figures point back to. External feeds only
+// contribute items matching the disaster's keywords and are best effort: if
+// one fails the sitrep is built without it.
+const gatherSources = async (disaster) => {
+  const keywords = disasterKeywords(disaster).join(',');
+
+  const [reportsResult, resourcesResult, socialPosts, officialUpdates] = await Promise.all([
+    supabase
+      .from('reports')
+      .select('id, user_id, content, verification_status, situation, created_at')
+      .eq('disaster_id', disaster.id)
+      .neq('verification_status', STATUS_TYPES.REPORT.REJECTED)
+      .order('created_at', { ascending: false })
+      .limit(SITREP_CONFIG.MAX_REPORTS),
+    supabase
+      .from('resources')
+      .select('id, name, type, location_name, description, created_at')
+      .eq('disaster_id', disaster.id)
+      .order('created_at', { ascending: false })
+      .limit(SITREP_CONFIG.MAX_RESOURCES),
+    (keywords ? fetchSocialMediaData(keywords, disaster.situation?.disaster_type, SITREP_CONFIG.MAX_SOCIAL_POSTS) : Promise.resolve([]))
+      .catch((error) => {
+        logger.warn(`Sitrep for ${disaster.id}: social media unavailable:`, error.message);
+        return [];
+      }),
+    (keywords ? loadOfficialUpdates().then(updates => searchOfficialUpdates(updates, keywords)) : Promise.resolve([]))
+      .catch((error) => {
+        logger.warn(`Sitrep for ${disaster.id}: official updates unavailable:`, error.message);
+        return [];
+      })
+  ]);
+
+  if (reportsResult.error) throw reportsResult.error;
+  if (resourcesResult.error) throw resourcesResult.error;
+
+  return [
+    ...toSources('report', reportsResult.data, report => ({
+      id: report.id,
+      text: report.content,
+      author: report.user_id,
+      status: report.verification_status,
+      situation: report.situation || null,
+      timestamp: report.created_at
+    })),
+    ...toSources('resource', resourcesResult.data, resource => ({
+      id: resource.id,
+      text: [resource.name, resource.description].filter(Boolean).join(': '),
+      category: resource.type,
+      location: resource.location_name,
+      timestamp: resource.created_at
+    })),
+    ...toSources('social_media', socialPosts.slice(0, SITREP_CONFIG.MAX_SOCIAL_POSTS), post => ({
+      id: String(post.id),
+      text: post.post,
+      author: post.user,
+      priority: post.priority,
+      timestamp: post.timestamp
+    })),
+    ...toSources('official_update', officialUpdates.slice(0, SITREP_CONFIG.MAX_OFFICIAL_UPDATES), update => ({
+      id: String(update.id),
+      text: [update.title, update.content].filter(Boolean).join(': '),
+      author: update.source,
+      url: update.url,
+      priority: update.severity,
+      timestamp: update.published_at
+    }))
+  ];
+};
+
+const ofType = (sources, type) => sources.filter(source => source.type === type);
+
+const refsWhere = (sources, predicate) => sources.filter(predicate).map(source => source.ref);
+
+// Largest value reported across the disaster and its reports, with the
+// reports that stated it. The maximum is used rather than the sum because
+// reports often repeat the same figure.
+const maxFigure = (disaster, reports, pick) => {
+  const values = [pick(disaster.situation), ...reports.map(report => pick(report.situation))]
+    .filter(value => Number.isInteger(value));
+
+  if (values.length === 0) return null;
+
+  const value = Math.max(...values);
+  return { value, refs: refsWhere(reports, report => pick(report.situation) === value) };
+};
+
+const bulletList = (items) => items.map(item => `- ${item}`).join('\n');
+
+// Deterministic sitrep built only from the gathered data
+const buildTemplateSitrep = (disaster, sources) => {
+  const reports = ofType(sources, 'report');
+  const resources = ofType(sources, 'resource');
+  const socialPosts = ofType(sources, 'social_media');
+  const updates = ofType(sources, 'official_update');
+  const verified = reports.filter(report => report.status === STATUS_TYPES.REPORT.VERIFIED);
+
+  const figures = [
+    ['People affected', maxFigure(disaster, reports, situation => situation?.affected_population)],
+    ['Deaths', maxFigure(disaster, reports, situation => situation?.casualties?.deaths)],
+    ['Injured', maxFigure(disaster, reports, situation => situation?.casualties?.injuries)],
+    ['Missing', maxFigure(disaster, reports, situation => situation?.casualties?.missing)]
+  ]
+    .filter(([, figure]) => figure)
+    .map(([label, figure]) => ({ label, value: figure.value.toLocaleString('en-US'), refs: figure.refs }));
+
+  figures.push(
+    { label: 'Field reports', value: `${reports.length} (${verified.length} verified)`, refs: [] },
+    { label: 'Resources listed', value: String(resources.length), refs: [] }
+  );
+
+  const needs = {};
+  reports.forEach(report => (report.situation?.needs || []).forEach(need => {
+    needs[need] = [...(needs[need] || []), report.ref];
+  }));
+
+  const resourcesByType = {};
+  resources.forEach(resource => {
+    resourcesByType[resource.category] = [...(resourcesByType[resource.category] || []), resource];
+  });
+
+  const urgentPosts = socialPosts.filter(post => ['urgent', 'high'].includes(post.priority)).slice(0, 5);
+
+  const sections = [
+    {
+      heading: 'Situation Overview',
+      body: [
+        disaster.description || 'No description recorded.',
+        `Status: ${disaster.status}. Location: ${disaster.location_name || 'unknown'}.`
+      ].join('\n\n'),
+      refs: []
+    },
+    {
+      heading: 'Field Reports',
+      body: reports.length
+        ? bulletList(reports.slice(0, 8).map(report => `${report.text} [${report.ref}]`))
+        : 'No field reports yet.',
+      refs: reports.slice(0, 8).map(report => report.ref)
+    },
+    {
+      heading: 'Reported Needs',
+      body: Object.keys(needs).length
+        ? bulletList(Object.entries(needs).map(([need, refs]) => `${need} (${refs.length} reports) [${refs.join(', ')}]`))
+        : 'No specific needs identified in reports.',
+      refs: [...new Set(Object.values(needs).flat())]
+    },
+    {
+      heading: 'Available Resources',
+      body: resources.length
+        ? bulletList(Object.entries(resourcesByType).map(([type, items]) =>
+          `${type}: ${items.map(item => `${item.text}${item.location ? ` (${item.location})` : ''} [${item.ref}]`).join('; ')}`))
+        : 'No resources registered for this disaster.',
+      refs: resources.map(resource => resource.ref)
+    },
+    {
+      heading: 'Social Media Signals',
+      body: urgentPosts.length
+        ? bulletList(urgentPosts.map(post => `${post.priority}: ${post.text} [${post.ref}]`))
+        : 'No urgent social media posts.',
+      refs: urgentPosts.map(post => post.ref)
+    },
+    {
+      heading: 'Official Updates',
+      body: updates.length
+        ? bulletList(updates.map(update => `${update.author}: ${update.text} [${update.ref}]`))
+        : 'No official updates available.',
+      refs: updates.map(update => update.ref)
+    }
+  ];
+
+  return {
+    title: `Situation Report: ${disaster.title}`,
+    summary: `${disaster.title} is ${disaster.status}. ${reports.length} field reports (${verified.length} verified), ` +
+      `${resources.length} resources, ${socialPosts.length} social media posts and ${updates.length} official updates were reviewed.`,
+    key_figures: figures,
+    sections
+  };
+};
+
+const describeSource = (source) => {
+  const details = [source.type, source.status, source.priority, source.category, source.timestamp]
+    .filter(Boolean)
+    .join(', ');
+  return `[${source.ref}] (${details}) ${source.text}`;
+};
+
+const buildPrompt = (disaster, sources) => `You are writing a situation report (sitrep) for disaster response coordinators.
+Use only the facts in the disaster record and sources below. Cite sources by their ref, e.g. [R2].
+Respond with JSON only:
+{
+  "title": "short title",
+  "summary": "2-4 sentence overview",
+  "key_figures": [{ "label": "People affected", "value": "1,200", "refs": ["R1"] }],
+  "sections": [{ "heading": "Section heading", "body": "markdown text citing [refs]", "refs": ["R1", "U2"] }]
+}
+Include sections for the overall situation, needs, resources, and official guidance where the sources support them.
+
+Disaster: ${disaster.title}
+Status: ${disaster.status}
+Location: ${disaster.location_name || 'unknown'}
+Description: ${disaster.description || 'none'}
+
+Sources:
+${sources.map(describeSource).join('\n')}`;
+
+// Keeps the model's sitrep to the expected shape and drops citations of refs
+// that were never provided
+const normalizeSitrep = (raw, sources) => {
+  const knownRefs = new Set(sources.map(source => source.ref));
+  const cleanRefs = (refs) => (Array.isArray(refs) ? refs : []).filter(ref => knownRefs.has(ref));
+
+  if (!raw.summary || !Array.isArray(raw.sections) || raw.sections.length === 0) {
+    throw new Error('Sitrep response is missing a summary or sections');
+  }
+
+  return {
+    title: String(raw.title || 'Situation Report'),
+    summary: String(raw.summary),
+    key_figures: (Array.isArray(raw.key_figures) ? raw.key_figures : [])
+      .filter(figure => figure && figure.label && figure.value !== undefined)
+      .map(figure => ({ label: String(figure.label), value: String(figure.value), refs: cleanRefs(figure.refs) })),
+    sections: raw.sections
+      .filter(section => section && section.heading && section.body)
+      .map(section => ({ heading: String(section.heading), body: String(section.body), refs: cleanRefs(section.refs) }))
+  };
+};
+
+// "auto" uses the LLM when a real provider is configured for the sitrep task
+// and falls back to the template if it fails; "llm" fails instead.
+const composeSitrep = async (disaster, sources, mode) => {
+  const useLlm = mode === 'llm' || (mode === 'auto' && getTaskConfig(SITREP).provider.name !== 'stub');
+
+  if (useLlm) {
+    try {
+      const response = await generateJson(SITREP, {
+        prompt: buildPrompt(disaster, sources),
+        stub: () => JSON.stringify(buildTemplateSitrep(disaster, sources))
+      });
+
+      return {
+        mode: 'llm',
+        provider: response.provider,
+        model: response.model,
+        content: normalizeSitrep(response.data, sources)
+      };
+    } catch (error) {
+      if (mode === 'llm') {
+        throw Object.assign(new Error(`Sitrep generation failed: ${error.message}`), { status: 502 });
+      }
+      logger.warn(`LLM sitrep for ${disaster.id} failed, using template:`, error.message);
+    }
+  }
+
+  return {
+    mode: 'template',
+    provider: null,
+    model: null,
+    content: buildTemplateSitrep(disaster, sources)
+  };
+};
+
+const MAX_VERSION_ATTEMPTS = 3;
+
+// Stores the sitrep as the next version for the disaster. A unique
+// (disaster_id, version) constraint catches concurrent generation; the loser
+// retries with the following number.
+const saveSitrep = async (sitrep) => {
+  for (let attempt = 1; attempt <= MAX_VERSION_ATTEMPTS; attempt++) {
+    const { data: latest, error: latestError } = await supabase
+      .from('sitreps')
+      .select('version')
+      .eq('disaster_id', sitrep.disaster_id)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (latestError) throw latestError;
+
+    const { data, error } = await supabase
+      .from('sitreps')
+      .insert([{ ...sitrep, version: (latest?.version || 0) + 1 }])
+      .select()
+      .single();
+
+    if (!error) return data;
+    if (error.code !== '23505' || attempt === MAX_VERSION_ATTEMPTS) throw error;
+  }
+};
+
+const generateSitrep = async (disaster, user, mode = 'auto') => {
+  const sources = await gatherSources(disaster);
+  const { content, ...meta } = await composeSitrep(disaster, sources, mode);
+
+  return saveSitrep({
+    disaster_id: disaster.id,
+    ...meta,
+    title: content.title,
+    content,
+    sources,
+    created_by: user.id
+  });
+};
+
+const listSitreps = async (disasterId) => {
+  const { data, error } = await supabase
+    .from('sitreps')
+    .select('id, disaster_id, version, title, mode, provider, model, created_by, created_at')
+    .eq('disaster_id', disasterId)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+  return data;
+};
+
+const getSitrep = async (disasterId, version) => {
+  const { data, error } = await supabase
+    .from('sitreps')
+    .select('*')
+    .eq('disaster_id', disasterId)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+module.exports = {
+  gatherSources,
+  buildTemplateSitrep,
+  generateSitrep,
+  listSitreps,
+  getSitrep
+};
@@ -0,0 +1,96 @@
+const PDFDocument = require('pdfkit');
+
+const formatRefs = (refs) => (refs && refs.length ? ` [${refs.join(', ')}]` : '');
+
+const describeGeneration = (sitrep) => {
+  const generator = sitrep.mode === 'llm' ? `${sitrep.provider} (${sitrep.model})` : 'template';
+  return `Version ${sitrep.version} · generated ${new Date(sitrep.created_at).toUTCString()} by ${sitrep.created_by} using ${generator}`;
+};
+
+const describeSourceLine = (source) => {
+  const origin = [source.type.replace(/_/g, ' '), source.author].filter(Boolean).join(', ');
+  const text = source.text.length > 200 ? `${source.text.slice(0, 197)}...` : source.text;
+  return `[${source.ref}] ${origin}: ${text}${source.url ? ` (${source.url})` : ''}`;
+};
+
+const renderMarkdown = (sitrep) => {
+  const { content, sources } = sitrep;
+  const lines = [
+    `# ${content.title}`,
+    '',
+    `_${describeGeneration(sitrep)}_`,
+    '',
+    '## Summary',
+    '',
+    content.summary,
+    ''
+  ];
+
+  if (content.key_figures.length > 0) {
+    lines.push('## Key Figures', '', '| Figure | Value | Sources |', '|--------|-------|---------|');
+    content.key_figures.forEach(figure => {
+      lines.push(`| ${figure.label} | ${figure.value} | ${figure.refs.join(', ')} |`);
+    });
+    lines.push('');
+  }
+
+  content.sections.forEach(section => {
+    lines.push(`## ${section.heading}`, '', section.body, '');
+  });
+
+  if (sources.length > 0) {
+    lines.push('## Sources', '');
+    sources.forEach(source => lines.push(`- ${describeSourceLine(source)}`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+};
+
+// Section bodies are markdown; the PDF shows them as plain text with list
+// markers and emphasis stripped
+const plainText = (markdown) => markdown
+  .replace(/^\s*[-*]\s+/gm, '• ')
+  .replace(/[*_`#]/g, '');
+
+const renderPdf = (sitrep) => new Promise((resolve, reject) => {
+  const { content, sources } = sitrep;
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: content.title } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const heading = (text) => doc.moveDown().font('Helvetica-Bold').fontSize(13).text(text).moveDown(0.3);
+  const body = (text) => doc.font('Helvetica').fontSize(10).text(text);
+
+  doc.font('Helvetica-Bold').fontSize(18).text(content.title);
+  doc.font('Helvetica-Oblique').fontSize(9).fillColor('#555555').text(describeGeneration(sitrep)).fillColor('black');
+
+  heading('Summary');
+  body(content.summary);
+
+  if (content.key_figures.length > 0) {
+    heading('Key Figures');
+    content.key_figures.forEach(figure => body(`${figure.label}: ${figure.value}${formatRefs(figure.refs)}`));
+  }
+
+  content.sections.forEach(section => {
+    heading(section.heading);
+    body(plainText(section.body));
+  });
+
+  if (sources.length > 0) {
+    heading('Sources');
+    doc.font('Helvetica').fontSize(8);
+    sources.forEach(source => doc.text(describeSourceLine(source)));
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  renderMarkdown,
+  renderPdf
+};
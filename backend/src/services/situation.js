@@ -0,0 +1,217 @@
+const { getCachedData, setCachedData } = require('../middleware/cache');
+const { generateJson, taskCacheKey } = require('./llm');
+const { DISASTER_TYPES, PRIORITY_LEVELS, RESOURCE_TYPES, LLM_CONFIG, CACHE_CONFIG } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+const { SITUATION } = LLM_CONFIG.TASKS;
+
+const ALL_DISASTER_TYPES = Object.values(DISASTER_TYPES).flat();
+const SEVERITIES = Object.values(PRIORITY_LEVELS);
+const NEEDS = Object.values(RESOURCE_TYPES);
+
+// Keyword fallback, used when no AI provider is configured or it fails. Types
+// and needs not listed here are only matched by their own name.
+const TYPE_KEYWORDS = {
+  earthquake: ['earthquake', 'quake', 'tremor', 'aftershock', 'seismic'],
+  flood: ['flood', 'flooding', 'flooded', 'inundated', 'inundation', 'flash flood', 'overflow'],
+  hurricane: ['hurricane', 'storm surge'],
+  tornado: ['tornado', 'twister'],
+  wildfire: ['wildfire', 'forest fire', 'bushfire', 'brush fire'],
+  tsunami: ['tsunami', 'tidal wave'],
+  volcano: ['volcano', 'eruption', 'lava', 'ash cloud'],
+  landslide: ['landslide', 'mudslide', 'rockslide'],
+  heatwave: ['heatwave', 'heat wave', 'extreme heat'],
+  blizzard: ['blizzard', 'snowstorm', 'whiteout'],
+  building_collapse: ['collapse', 'collapsed'],
+  chemical_spill: ['chemical spill', 'chemical leak', 'hazmat', 'toxic leak'],
+  power_outage: ['power outage', 'blackout', 'without power'],
+  explosion: ['explosion', 'blast', 'exploded'],
+  fire: ['fire', 'blaze', 'burning', 'flames']
+};
+
+const SEVERITY_KEYWORDS = [
+  [PRIORITY_LEVELS.CRITICAL, ['catastrophic', 'mass casualty', 'mass casualties', 'devastated', 'devastating', 'devastation', 'state of emergency']],
+  [PRIORITY_LEVELS.URGENT, ['urgent', 'trapped', 'immediate', 'life-threatening', 'rescue needed', 'sos']],
+  [PRIORITY_LEVELS.HIGH, ['severe', 'major', 'evacuate', 'evacuated', 'evacuating', 'evacuation', 'widespread', 'dangerous']],
+  [PRIORITY_LEVELS.LOW, ['minor', 'small', 'contained', 'no injuries']]
+];
+
+const NEED_KEYWORDS = {
+  shelter: ['shelter', 'homeless', 'displaced', 'evacuation center', 'housing'],
+  food: ['food', 'meals', 'hungry', 'rations'],
+  water: ['drinking water', 'clean water', 'bottled water', 'water supply'],
+  medical: ['medical', 'injured', 'injuries', 'hospital', 'ambulance', 'first aid', 'medicine'],
+  transportation: ['transport', 'evacuation bus', 'vehicles', 'roads blocked'],
+  communication: ['phone lines', 'no signal', 'communication', 'radio'],
+  rescue: ['rescue', 'trapped', 'search and rescue', 'missing'],
+  supplies: ['supplies', 'blankets', 'generators', 'sandbags'],
+  clothing: ['clothing', 'clothes', 'warm clothes'],
+  fuel: ['fuel', 'gasoline', 'diesel', 'petrol']
+};
+
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+|\\d+)';
+
+const POPULATION_PATTERN = new RegExp(`${NUMBER}\\s*(thousand|k)?\\s+(?:people|residents|families|households|homes)?\\s*(?:affected|displaced|evacuated|without)`, 'i');
+const AFFECTED_PATTERN = new RegExp(`${NUMBER}\\s*(thousand|k)?\\s+(?:people|residents|families|households)`, 'i');
+const CASUALTY_PATTERNS = {
+  deaths: new RegExp(`${NUMBER}\\s+(?:people\\s+)?(?:dead|killed|deaths|fatalities|died)`, 'i'),
+  injuries: new RegExp(`${NUMBER}\\s+(?:people\\s+)?(?:injured|hurt|wounded|injuries)`, 'i'),
+  missing: new RegExp(`${NUMBER}\\s+(?:people\\s+)?(?:missing|unaccounted)`, 'i')
+};
+
+const LOCATION_PATTERN = /\b(?:in|at|near|around)\s+((?:[A-Z][a-z]+)(?:\s+[A-Z][a-z]+)*)/g;
+const TIME_PATTERN = /\b(?:today|tonight|yesterday|this (?:morning|afternoon|evening)|last night|(?:since|on|last) (?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)|\d{1,2}(?::\d{2})?\s?(?:am|pm)|\d{4}-\d{2}-\d{2}|(?:\d+|several|few) (?:hours|days) ago)\b/gi;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keywords match whole words, plurals included, so "sos" doesn't match "also"
+// or "fire" "firefighters". Patterns are built once per keyword list.
+const keywordPatterns = new Map();
+
+const includesAny = (text, keywords) => {
+  const key = keywords.join('|');
+  if (!keywordPatterns.has(key)) {
+    keywordPatterns.set(key, new RegExp(`\\b(?:${keywords.map(escapeRegExp).join('|')})(?:e?s)?\\b`));
+  }
+  return keywordPatterns.get(key).test(text);
+};
+
+const toNumber = (digits, multiplier) => {
+  const value = parseInt(digits.replace(/,/g, ''), 10);
+  return multiplier ? value * 1000 : value;
+};
+
+const matchNumber = (pattern, text) => {
+  const match = pattern.exec(text);
+  return match ? toNumber(match[1], match[2]) : null;
+};
+
+const unique = (values) => [...new Set(values)];
+
+const detectDisasterType = (lower) => {
+  for (const [type, keywords] of Object.entries(TYPE_KEYWORDS)) {
+    if (includesAny(lower, keywords)) return type;
+  }
+  return ALL_DISASTER_TYPES.find(type => includesAny(lower, [type.replace(/_/g, ' ')])) || null;
+};
+
+const detectSeverity = (lower, casualties) => {
+  if (casualties.deaths >= 10) return PRIORITY_LEVELS.CRITICAL;
+  if (casualties.deaths > 0) return PRIORITY_LEVELS.URGENT;
+
+  const match = SEVERITY_KEYWORDS.find(([, keywords]) => includesAny(lower, keywords));
+  return match ? match[0] : null;
+};
+
+const extractSituationWithKeywords = (text) => {
+  const lower = text.toLowerCase();
+  const casualties = {
+    deaths: matchNumber(CASUALTY_PATTERNS.deaths, text),
+    injuries: matchNumber(CASUALTY_PATTERNS.injuries, text),
+    missing: matchNumber(CASUALTY_PATTERNS.missing, text)
+  };
+
+  return {
+    disaster_type: detectDisasterType(lower),
+    severity: detectSeverity(lower, casualties),
+    affected_population: matchNumber(POPULATION_PATTERN, text) ?? matchNumber(AFFECTED_PATTERN, text),
+    casualties,
+    needs: NEEDS.filter(need => includesAny(lower, NEED_KEYWORDS[need] || [need])),
+    locations: unique([...text.matchAll(LOCATION_PATTERN)].map(match => match[1])),
+    time_references: unique((text.match(TIME_PATTERN) || []).map(ref => ref.toLowerCase()))
+  };
+};
+
+const PROMPT = `Extract structured facts from this disaster report. Respond with JSON only:
+{
+  "disaster_type": one of [${ALL_DISASTER_TYPES.join(', ')}] or null,
+  "severity": one of [${SEVERITIES.join(', ')}] or null,
+  "affected_population": integer or null,
+  "casualties": { "deaths": integer or null, "injuries": integer or null, "missing": integer or null },
+  "needs": subset of [${NEEDS.join(', ')}],
+  "locations": ["every specific place mentioned, most specific first"],
+  "time_references": ["time expressions as written, e.g. \\"last night\\""]
+}
+Only include facts stated in the text; use null or [] when unknown.
+
+Text:`;
+
+// Null, missing and blank mean unknown, not zero
+const nonNegativeInteger = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : null;
+};
+
+const stringList = (value) => {
+  return Array.isArray(value)
+    ? unique(value.filter(item => typeof item === 'string').map(item => item.trim()).filter(Boolean))
+    : [];
+};
+
+// Keeps only values from our vocabularies and well-formed numbers, whatever
+// the model returned
+const normalizeSituation = (raw) => {
+  const casualties = raw.casualties || {};
+
+  return {
+    disaster_type: ALL_DISASTER_TYPES.includes(raw.disaster_type) ? raw.disaster_type : null,
+    severity: SEVERITIES.includes(raw.severity) ? raw.severity : null,
+    affected_population: nonNegativeInteger(raw.affected_population),
+    casualties: {
+      deaths: nonNegativeInteger(casualties.deaths),
+      injuries: nonNegativeInteger(casualties.injuries),
+      missing: nonNegativeInteger(casualties.missing)
+    },
+    needs: stringList(raw.needs).filter(need => NEEDS.includes(need)),
+    locations: stringList(raw.locations).slice(0, 10),
+    time_references: stringList(raw.time_references).slice(0, 10)
+  };
+};
+
+const withSuggestions = (situation, meta) => ({
+  ...situation,
+  suggested_tags: [situation.disaster_type, situation.severity].filter(Boolean),
+  ...meta,
+  extracted_at: new Date().toISOString()
+});
+
+// Extracts structured situation fields (type, severity, figures, needs,
+// places, times) from free text. Never throws: on provider failure the
+// keyword extractor answers instead.
+const extractSituation = async (text) => {
+  if (!text || !text.trim()) {
+    return null;
+  }
+
+  try {
+    const cacheKey = taskCacheKey(CACHE_CONFIG.KEYS.SITUATION_EXTRACTION, SITUATION, text);
+
+    const cachedResult = await getCachedData(cacheKey);
+    if (cachedResult) {
+      return cachedResult;
+    }
+
+    const response = await generateJson(SITUATION, {
+      prompt: `${PROMPT}\n"""${text}"""`,
+      stub: () => JSON.stringify(extractSituationWithKeywords(text))
+    });
+
+    const situation = withSuggestions(normalizeSituation(response.data), {
+      source: response.provider === 'stub' ? 'keywords' : 'llm',
+      provider: response.provider,
+      model: response.model
+    });
+
+    await setCachedData(cacheKey, situation);
+    return situation;
+  } catch (error) {
+    logger.warn('Situation extraction failed, using keyword fallback:', error.message);
+    return withSuggestions(extractSituationWithKeywords(text), { source: 'keywords', provider: null, model: null });
+  }
+};
+
+module.exports = {
+  extractSituation,
+  extractSituationWithKeywords
+};
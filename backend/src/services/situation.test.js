@@ -0,0 +1,82 @@
+process.env.LLM_PROVIDER = 'stub';
+
+jest.mock('../middleware/cache', () => ({
+  getCachedData: jest.fn(async () => null),
+  setCachedData: jest.fn(async () => true)
+}));
+
+const { extractSituation, extractSituationWithKeywords } = require('./situation');
+
+const REPORT = 'Flash flooding in Lower Manhattan this morning: 3 people dead, 12 injured and ' +
+  '2,500 residents evacuated. Urgent need for drinking water and shelter.';
+
+describe('extractSituationWithKeywords', () => {
+  it('pulls type, severity, figures, needs, places and times from text', () => {
+    expect(extractSituationWithKeywords(REPORT)).toEqual({
+      disaster_type: 'flood',
+      severity: 'urgent',
+      affected_population: 2500,
+      casualties: { deaths: 3, injuries: 12, missing: null },
+      needs: ['shelter', 'water', 'medical'],
+      locations: ['Lower Manhattan'],
+      time_references: ['this morning']
+    });
+  });
+
+  it('reads figures given in thousands', () => {
+    expect(extractSituationWithKeywords('Wildfire spreading, 4k residents displaced').affected_population).toBe(4000);
+  });
+
+  it('matches keywords as whole words, plurals included', () => {
+    const situation = extractSituationWithKeywords('Firefighters from the majority of stations put out several fires');
+
+    expect(situation.disaster_type).toBe('fire');
+    expect(situation.severity).toBeNull();
+    expect(extractSituationWithKeywords('Firefighters are on standby').disaster_type).toBeNull();
+  });
+
+  it('leaves fields empty when nothing matches', () => {
+    expect(extractSituationWithKeywords('Quiet day.')).toEqual({
+      disaster_type: null,
+      severity: null,
+      affected_population: null,
+      casualties: { deaths: null, injuries: null, missing: null },
+      needs: [],
+      locations: [],
+      time_references: []
+    });
+  });
+});
+
+describe('extractSituation', () => {
+  afterEach(() => {
+    delete process.env.LLM_SITUATION_PROVIDER;
+  });
+
+  it('returns null for empty text', async () => {
+    await expect(extractSituation('   ')).resolves.toBeNull();
+  });
+
+  it('answers from the keyword extractor through the stub provider', async () => {
+    const situation = await extractSituation(REPORT);
+
+    expect(situation).toMatchObject({
+      ...extractSituationWithKeywords(REPORT),
+      suggested_tags: ['flood', 'urgent'],
+      source: 'keywords',
+      provider: 'stub',
+      model: 'stub'
+    });
+    expect(situation.extracted_at).toEqual(expect.any(String));
+  });
+
+  it('falls back to keywords when the provider fails', async () => {
+    process.env.LLM_SITUATION_PROVIDER = 'missing';
+
+    await expect(extractSituation(REPORT)).resolves.toMatchObject({
+      disaster_type: 'flood',
+      source: 'keywords',
+      provider: null
+    });
+  });
+});
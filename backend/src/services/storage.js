@@ -0,0 +1,150 @@
+const fs = require('fs/promises');
+const path = require('path');
+const supabase = require('./supabase');
+const logger = require('../utils/logger');
+const { UPLOAD_CONFIG } = require('../utils/constants');
+
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5001}`)
+  .replace(/\/$/, '');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+// Files on local disk, served by the API itself from UPLOAD_CONFIG.PUBLIC_PATH
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    root,
+    baseUrl: `${PUBLIC_BASE_URL}${UPLOAD_CONFIG.PUBLIC_PATH}/`,
+
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    read: async (key) => {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+// Files in a public Supabase Storage bucket
+const createSupabaseStorage = () => {
+  const bucket = process.env.STORAGE_BUCKET || 'report-images';
+  const { data } = supabase.storage.from(bucket).getPublicUrl('');
+
+  return {
+    name: 'supabase',
+    baseUrl: data.publicUrl.replace(/\/?$/, '/'),
+
+    save: async (key, buffer) => {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(key, buffer, { contentType: contentTypeFor(key), upsert: false });
+
+      if (error) {
+        throw error;
+      }
+    },
+
+    read: async (key) => {
+      const { data: file, error } = await supabase.storage.from(bucket).download(key);
+
+      if (error) {
+        logger.warn(`Could not read ${key} from storage bucket ${bucket}:`, error.message);
+        return null;
+      }
+
+      return Buffer.from(await file.arrayBuffer());
+    },
+
+    remove: async (key) => {
+      const { error } = await supabase.storage.from(bucket).remove([key]);
+
+      if (error) {
+        throw error;
+      }
+    }
+  };
+};
+
+const STORAGE_BACKENDS = {
+  local: createLocalStorage,
+  supabase: createSupabaseStorage
+};
+
+let storage = null;
+
+// Returns the backend selected by STORAGE_BACKEND (local disk by default)
+const getStorage = () => {
+  if (!storage) {
+    const backend = process.env.STORAGE_BACKEND || 'local';
+    const createStorage = STORAGE_BACKENDS[backend];
+
+    if (!createStorage) {
+      throw new Error(`Unknown storage backend: ${backend}`);
+    }
+
+    storage = createStorage();
+    logger.info(`Using ${storage.name} storage for uploads`);
+  }
+
+  return storage;
+};
+
+const getPublicUrl = (key) => `${getStorage().baseUrl}${key}`;
+
+// Maps a URL issued by getPublicUrl back to its storage key, or null for
+// URLs hosted elsewhere
+const keyFromUrl = (url) => {
+  const { baseUrl } = getStorage();
+  if (typeof url !== 'string' || !url.startsWith(baseUrl)) return null;
+
+  return decodeURIComponent(url.slice(baseUrl.length).split(/[?#]/)[0]);
+};
+
+// Reads a file we stored straight from the backend, so callers such as image
+// verification don't have to fetch our own URLs over HTTP
+const readStoredFile = async (url) => {
+  const key = keyFromUrl(url);
+  if (!key) return null;
+
+  const buffer = await getStorage().read(key);
+  return buffer ? { buffer, contentType: contentTypeFor(key), key } : null;
+};
+
+module.exports = {
+  STORAGE_BACKENDS,
+  getStorage,
+  getPublicUrl,
+  keyFromUrl,
+  readStoredFile,
+  contentTypeFor
+};
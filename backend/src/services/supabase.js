@@ -1,14 +1,23 @@
 const { createClient } = require('@supabase/supabase-js');
 const logger = require('../utils/logger');
 
-if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+// Tables, indexes, RPC functions and row level security come from the SQL
+// migrations in backend/migrations (npm run migrate). Row level security
+// closes every table to the anon key, so the API uses the service role key.
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+if (!process.env.SUPABASE_URL || !supabaseKey) {
   logger.error('Missing Supabase environment variables');
   process.exit(1);
 }
 
+if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
+  logger.warn('SUPABASE_SERVICE_ROLE_KEY is not set; using the anon key, which row level security blocks');
+}
+
 const supabase = createClient(
   process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY,
+  supabaseKey,
   {
     auth: {
       autoRefreshToken: false,
@@ -35,68 +44,6 @@ const testConnection = async () => {
   }
 };
 
-// Initialize database tables if they don't exist
-const initializeTables = async () => {
-  try {
-    // Note: In production, these would be created via Supabase migrations
-    // This is for development purposes only
-    
-    logger.info('Database tables should be created via Supabase dashboard or migrations');
-    logger.info('Required tables: disasters, reports, resources, cache');
-  } catch (error) {
-    logger.error('Error initializing tables:', error);
-  }
-};
-
-// Custom RPC functions for complex queries
-const createCustomFunctions = async () => {
-  // This would typically be done via SQL migrations in Supabase
-  // Example RPC function for nearby resources
-  const nearbyResourcesFunction = `
-    CREATE OR REPLACE FUNCTION get_nearby_resources(
-      p_disaster_id UUID,
-      p_lat FLOAT,
-      p_lon FLOAT,
-      p_radius INTEGER DEFAULT 10000,
-      p_type TEXT DEFAULT NULL
-    )
-    RETURNS TABLE (
-      id UUID,
-      disaster_id UUID,
-      name TEXT,
-      location_name TEXT,
-      type TEXT,
-      description TEXT,
-      contact_info TEXT,
-      created_at TIMESTAMPTZ,
-      distance FLOAT
-    )
-    LANGUAGE plpgsql
-    AS $$
-    BEGIN
-      RETURN QUERY
-      SELECT 
-        r.id,
-        r.disaster_id,
-        r.name,
-        r.location_name,
-        r.type,
-        r.description,
-        r.contact_info,
-        r.created_at,
-        ST_Distance(r.location, ST_SetSRID(ST_Point(p_lon, p_lat), 4326)) as distance
-      FROM resources r
-      WHERE r.disaster_id = p_disaster_id
-      AND ST_DWithin(r.location, ST_SetSRID(ST_Point(p_lon, p_lat), 4326), p_radius)
-      AND (p_type IS NULL OR r.type = p_type)
-      ORDER BY distance ASC;
-    END;
-    $$;
-  `;
-  
-  logger.info('Custom RPC functions should be created via Supabase SQL editor');
-};
-
 // Initialize on startup
 testConnection();
 
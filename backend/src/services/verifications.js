@@ -0,0 +1,130 @@
+const supabase = require('./supabase');
+const logger = require('../utils/logger');
+const { STATUS_TYPES } = require('../utils/constants');
+
+const VERIFICATION_SOURCES = {
+  AI: 'ai',
+  FORENSICS: 'forensics',
+  HUMAN: 'human'
+};
+
+// Outcome of a single attempt. AI attempts end verified, flagged or error;
+// offline forensics end needs_review or error; human decisions end verified
+// or rejected.
+const VERIFICATION_RESULTS = {
+  VERIFIED: 'verified',
+  FLAGGED: 'flagged',
+  NEEDS_REVIEW: 'needs_review',
+  REJECTED: 'rejected',
+  ERROR: 'error'
+};
+
+const aiResult = (result) => {
+  if (result.error) {
+    return VERIFICATION_RESULTS.ERROR;
+  }
+  if (result.status === VERIFICATION_RESULTS.NEEDS_REVIEW) {
+    return VERIFICATION_RESULTS.NEEDS_REVIEW;
+  }
+  return result.is_authentic ? VERIFICATION_RESULTS.VERIFIED : VERIFICATION_RESULTS.FLAGGED;
+};
+
+// Attempts are an append-only history. The verification or decision has
+// already been applied when this runs, so a failed write is logged and null
+// is returned rather than failing the request.
+const recordVerification = async (attempt) => {
+  const { data, error } = await supabase
+    .from('report_verifications')
+    .insert([attempt])
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Failed to record ${attempt.source} verification for disaster ${attempt.disaster_id}:`, error);
+    return null;
+  }
+
+  return data;
+};
+
+const recordAiVerification = ({ disaster_id, report_id = null, image_url, result, user }) => {
+  return recordVerification({
+    disaster_id,
+    report_id,
+    image_url,
+    source: result.provider === VERIFICATION_SOURCES.FORENSICS
+      ? VERIFICATION_SOURCES.FORENSICS
+      : VERIFICATION_SOURCES.AI,
+    result: aiResult(result),
+    model: result.model || null,
+    model_version: result.model_version || null,
+    confidence: result.error ? null : result.confidence,
+    requested_by: user.id,
+    details: result
+  });
+};
+
+const recordHumanVerification = (report, user, status, reason = null) => {
+  return recordVerification({
+    disaster_id: report.disaster_id,
+    report_id: report.id,
+    image_url: report.image_url,
+    source: VERIFICATION_SOURCES.HUMAN,
+    result: status === STATUS_TYPES.REPORT.VERIFIED
+      ? VERIFICATION_RESULTS.VERIFIED
+      : VERIFICATION_RESULTS.REJECTED,
+    reviewer_id: user.id,
+    requested_by: user.id,
+    reason
+  });
+};
+
+// Images are usually verified while the report is still being written, so
+// those attempts carry no report_id. Once the report exists, attach them to it.
+const linkVerificationsToReport = async (report) => {
+  if (!report.image_url) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('report_verifications')
+    .update({ report_id: report.id })
+    .eq('disaster_id', report.disaster_id)
+    .eq('image_url', report.image_url)
+    .is('report_id', null);
+
+  if (error) {
+    logger.error(`Failed to link verifications to report ${report.id}:`, error);
+  }
+};
+
+// Lists attempts newest first, filtered by disaster_id or report_id
+const listVerifications = async (filter, { source, limit, offset }) => {
+  let query = supabase
+    .from('report_verifications')
+    .select('*', { count: 'exact' })
+    .match(filter)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (source) {
+    query = query.eq('source', source);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return { verifications: data, total: count };
+};
+
+module.exports = {
+  VERIFICATION_SOURCES,
+  VERIFICATION_RESULTS,
+  recordAiVerification,
+  recordHumanVerification,
+  linkVerificationsToReport,
+  listVerifications
+};
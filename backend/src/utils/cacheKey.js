@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const { CACHE_CONFIG } = require('./constants');
+
+// Strings are trimmed with inner whitespace collapsed, object keys sorted and
+// empty values dropped, so equivalent requests share a key
+const normalize = (value) => {
+  if (typeof value === 'string') {
+    return value.trim().replace(/\s+/g, ' ');
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined && value[key] !== null && value[key] !== '')
+      .reduce((normalized, key) => ({ ...normalized, [key]: normalize(value[key]) }), {});
+  }
+  return value;
+};
+
+// Builds "<namespace>_v<version>_<sha256 of the normalized params>". The
+// namespace is one of CACHE_CONFIG.KEYS; bumping CACHE_CONFIG.KEY_VERSION
+// moves every caller to new keys and leaves old entries to expire.
+const buildCacheKey = (namespace, params) => {
+  const digest = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(normalize(params)))
+    .digest('hex');
+
+  return `${namespace}_v${CACHE_CONFIG.KEY_VERSION}_${digest}`;
+};
+
+module.exports = {
+  buildCacheKey
+};
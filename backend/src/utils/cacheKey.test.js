@@ -0,0 +1,32 @@
+const { buildCacheKey } = require('./cacheKey');
+const { CACHE_CONFIG } = require('./constants');
+
+const { GEOCODING } = CACHE_CONFIG.KEYS;
+
+describe('buildCacheKey', () => {
+  it('prefixes the namespace and key version', () => {
+    expect(buildCacheKey(GEOCODING, { location: 'paris' }))
+      .toMatch(new RegExp(`^${GEOCODING}_v${CACHE_CONFIG.KEY_VERSION}_[0-9a-f]{64}$`));
+  });
+
+  it('gives equivalent requests the same key', () => {
+    const key = buildCacheKey(GEOCODING, { location: 'new york', bias: { country: 'us', near: { lat: 1, lng: 2 } } });
+
+    expect(buildCacheKey(GEOCODING, {
+      bias: { near: { lng: 2, lat: 1 }, country: 'us', bbox: undefined },
+      location: '  new   york ',
+      disaster_id: ''
+    })).toBe(key);
+  });
+
+  it('keeps array order and distinguishes different values', () => {
+    const key = buildCacheKey(GEOCODING, { sources: ['fema', 'nyc'] });
+
+    expect(buildCacheKey(GEOCODING, { sources: ['nyc', 'fema'] })).not.toBe(key);
+    expect(buildCacheKey(GEOCODING, { sources: ['fema'] })).not.toBe(key);
+  });
+
+  it('separates namespaces', () => {
+    expect(buildCacheKey(CACHE_CONFIG.KEYS.REVERSE_GEOCODING, { lat: 1 })).not.toBe(buildCacheKey(GEOCODING, { lat: 1 }));
+  });
+});
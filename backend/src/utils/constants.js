@@ -7,13 +7,19 @@ const MESSAGES = {
       REPORT_CREATED: 'Report submitted successfully',
       RESOURCE_CREATED: 'Resource added successfully',
       IMAGE_VERIFIED: 'Image verification completed',
-      LOCATION_GEOCODED: 'Location geocoded successfully'
+      LOCATION_GEOCODED: 'Location geocoded successfully',
+      LOGGED_OUT: 'Logged out successfully'
     },
     ERROR: {
       UNAUTHORIZED: 'Unauthorized access',
+      INVALID_CREDENTIALS: 'Invalid username or password',
+      INVALID_TOKEN: 'Invalid or expired token',
       FORBIDDEN: 'Insufficient permissions',
       NOT_FOUND: 'Resource not found',
       VALIDATION_ERROR: 'Validation error',
+      INVALID_STATUS_TRANSITION: 'Invalid status transition',
+      VERSION_CONFLICT: 'Disaster was modified by another user',
+      RESOURCE_CONFLICT: 'Resource was modified by another user',
       INTERNAL_ERROR: 'Internal server error',
       RATE_LIMIT: 'Rate limit exceeded',
       GEOCODING_FAILED: 'Failed to geocode location',
@@ -91,7 +97,7 @@ const MESSAGES = {
   const USER_ROLES = {
     ADMIN: {
       name: 'admin',
-      permissions: ['create', 'read', 'update', 'delete', 'verify', 'manage_users']
+      permissions: ['create', 'read', 'update', 'delete', 'verify', 'manage_resources', 'manage_users']
     },
     COORDINATOR: {
       name: 'coordinator',
@@ -133,6 +139,14 @@ const MESSAGES = {
     }
   };
   
+  // Allowed disaster lifecycle transitions (from -> to)
+  const DISASTER_STATUS_TRANSITIONS = {
+    active: ['monitoring', 'resolved', 'archived'],
+    monitoring: ['active', 'resolved', 'archived'],
+    resolved: ['active', 'monitoring', 'archived'],
+    archived: ['active', 'resolved']
+  };
+  
   // Social Media Keywords for Monitoring
   const SOCIAL_MEDIA_KEYWORDS = {
     EMERGENCY: [
@@ -175,9 +189,54 @@ const MESSAGES = {
   const GEO_CONSTANTS = {
     DEFAULT_RADIUS: 10000, // 10km in meters
     MAX_RADIUS: 100000, // 100km in meters
+    DISASTER_DEFAULT_RADIUS: 50000, // 50km in meters
+    DISASTER_MAX_RADIUS: 1000000, // 1000km in meters
     COORDINATE_PRECISION: 6, // decimal places
     SRID: 4326 // WGS84 spatial reference system
   };
+
+  // Geocoding Configuration
+  const GEOCODING_CONFIG = {
+    MAX_CANDIDATES: 5,
+    CACHE_TTL: 7 * 24 * 60 * 60 * 1000, // 7 days
+    TIMEOUT_MS: 5000,
+    // Candidates closer than this to the best one make a name ambiguous
+    AMBIGUITY_MARGIN: 0.15,
+    // Confidence halves at this distance from a `near` bias point
+    BIAS_DISTANCE_KM: 500,
+    OUTSIDE_BBOX_PENALTY: 0.5,
+    // Google reports how precise a result is rather than a score
+    GOOGLE_LOCATION_CONFIDENCE: {
+      ROOFTOP: 1,
+      RANGE_INTERPOLATED: 0.8,
+      GEOMETRIC_CENTER: 0.7,
+      APPROXIMATE: 0.6
+    },
+    GOOGLE_PARTIAL_MATCH_PENALTY: 0.75,
+    // Minimum spacing between requests to each provider, per process.
+    // Nominatim's usage policy allows one request a second.
+    MIN_INTERVAL_MS: {
+      google_maps: 20,
+      mapbox: 100,
+      nominatim: 1000
+    },
+    // Interactive lookups skip a provider rather than queue longer than this
+    MAX_WAIT_MS: 3000,
+    BATCH_MAX_ITEMS: 500,
+    BATCH_CONCURRENCY: 4,
+    BATCH_SAVE_EVERY: 10, // persist job progress after this many lookups
+    BATCH_JOB_RETENTION: 24 * 60 * 60 * 1000, // 24 hours, then the job is deleted
+    // Order geocoders are tried in; override with GEOCODING_PROVIDERS
+    PROVIDERS: ['google_maps', 'mapbox', 'nominatim', 'gazetteer'],
+    GAZETTEER: {
+      MAX_EDIT_DISTANCE: 2,
+      MAX_ALTERNATE_NAMES: 20,
+      REVERSE_MAX_KM: 50,
+      CELL_DEGREES: 1, // reverse lookup grid
+      POPULATION_WEIGHT: 0.2,
+      UNMATCHED_QUALIFIER_PENALTY: 0.4
+    }
+  };
   
   // Cache Configuration
   const CACHE_CONFIG = {
@@ -187,16 +246,91 @@ const MESSAGES = {
       LONG: 60 * 60 * 1000, // 1 hour
       VERY_LONG: 24 * 60 * 60 * 1000 // 24 hours
     },
+    // Key prefixes; every key starts with one of these followed by "_"
     KEYS: {
       SOCIAL_MEDIA: 'social_media',
       GEOCODING: 'geocode',
       REVERSE_GEOCODING: 'reverse_geocode',
       OFFICIAL_UPDATES: 'official_updates',
-      IMAGE_VERIFICATION: 'image_verify',
-      NEARBY_RESOURCES: 'nearby_resources'
+      IMAGE_VERIFICATION: 'llm_verify',
+      LOCATION_EXTRACTION: 'llm_location',
+      SITUATION_EXTRACTION: 'llm_situation',
+      ROUTES: 'route',
+      TAGS: 'cache_tag'
+    },
+    KEY_VERSION: 2, // bump when the shape of cached values or key params changes
+    LRU_MAX_ENTRIES: 1000,
+    LOCAL_TIER_TTL: 60 * 1000, // 1 minute, bounds staleness of the in-process tier
+    CLEANUP_INTERVAL: 30 * 60 * 1000 // 30 minutes
+  };
+  
+  // Authentication
+  const AUTH_CONFIG = {
+    ACCESS_TOKEN_TTL: 15 * 60, // seconds, also sent to clients as expires_in
+    REFRESH_TOKEN_TTL: '7d',
+    REFRESH_TOKEN_TTL_MS: 7 * 24 * 60 * 60 * 1000, // 7 days
+    BCRYPT_ROUNDS: 12,
+    TOKEN_ISSUER: 'disaster-response-api'
+  };
+  
+  // Report Moderation
+  const MODERATION_CONFIG = {
+    CLAIM_TTL_MS: 15 * 60 * 1000, // unreviewed claims return to the queue after 15 minutes
+    MAX_BULK_REPORTS: 100
+  };
+  
+  // Resource Availability
+  const RESOURCE_CONFIG = {
+    STALE_AFTER_MS: 12 * 60 * 60 * 1000, // unconfirmed for 12 hours
+    HISTORY_LIMIT: 100,
+    DAYS: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']
+  };
+  
+  // Image Uploads
+  const UPLOAD_CONFIG = {
+    MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
+    ALLOWED_MIME_TYPES: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+    THUMBNAIL_SIZE: 320, // px, longest edge
+    PUBLIC_PATH: '/uploads'
+  };
+  
+  // LLM Tasks. Each task picks its provider, model and timeout from
+  // LLM_<TASK>_PROVIDER / _MODEL / _TIMEOUT_MS, falling back to LLM_PROVIDER
+  // and the defaults below.
+  const LLM_CONFIG = {
+    DEFAULT_TIMEOUT_MS: 15000,
+    TASKS: {
+      LOCATION: { name: 'location', timeoutMs: 10000, maxTokens: 50 },
+      IMAGE_VERIFICATION: { name: 'image_verification', timeoutMs: 20000, maxTokens: 500, vision: true },
+      SITUATION: { name: 'situation', timeoutMs: 15000, maxTokens: 600 },
+      SITREP: { name: 'sitrep', timeoutMs: 60000, maxTokens: 2500 }
     }
   };
   
+  // Offline image forensics, used when AI verification is unavailable
+  const FORENSICS_CONFIG = {
+    GPS_NEAR_KM: 50, // photo taken this close to the disaster supports it
+    GPS_FAR_KM: 250, // further than this counts against it
+    CAPTURE_WINDOW_BEFORE_MS: 3 * 24 * 60 * 60 * 1000, // allowed capture time before the disaster was reported
+    STALE_CAPTURE_MS: 30 * 24 * 60 * 60 * 1000, // captured this long before the disaster: likely an old photo
+    ELA_QUALITY: 90,
+    ELA_MAX_DIMENSION: 1024,
+    ELA_BLOCK_SIZE: 16,
+    ELA_SUSPICIOUS_RATIO: 6, // brightest blocks vs median block error
+    EDITING_SOFTWARE: ['photoshop', 'gimp', 'lightroom', 'snapseed', 'picsart', 'facetune', 'canva'],
+    SIMILAR_MAX_DISTANCE: 10, // bits (of 64) in which pHash or dHash may differ for a near-duplicate
+    SIMILAR_LIMIT: 10
+  };
+  
+  // Situation Reports: how many items of each kind feed a sitrep
+  const SITREP_CONFIG = {
+    MODES: ['auto', 'llm', 'template'],
+    MAX_REPORTS: 30,
+    MAX_RESOURCES: 30,
+    MAX_SOCIAL_POSTS: 15,
+    MAX_OFFICIAL_UPDATES: 10
+  };
+  
   // API Rate Limits
   const RATE_LIMITS = {
     GENERAL: {
@@ -223,7 +357,9 @@ const MESSAGES = {
       TITLE_MAX_LENGTH: 200,
       DESCRIPTION_MAX_LENGTH: 2000,
       LOCATION_NAME_MAX_LENGTH: 100,
-      MAX_TAGS: 10
+      MAX_TAGS: 10,
+      AREA_MAX_VERTICES: 10000,
+      MAX_SEVERITY_ZONES: 10
     },
     REPORT: {
       CONTENT_MAX_LENGTH: 1000,
@@ -232,7 +368,9 @@ const MESSAGES = {
     RESOURCE: {
       NAME_MAX_LENGTH: 200,
       DESCRIPTION_MAX_LENGTH: 1000,
-      CONTACT_INFO_MAX_LENGTH: 200
+      CONTACT_INFO_MAX_LENGTH: 200,
+      MAX_CAPACITY: 1000000,
+      MAX_HOURS_PER_DAY: 4
     }
   };
   
@@ -241,8 +379,15 @@ const MESSAGES = {
     GEMINI: {
       BASE_URL: 'https://generativelanguage.googleapis.com/v1beta',
       MODELS: {
-        TEXT: 'gemini-pro',
-        VISION: 'gemini-pro-vision'
+        TEXT: 'gemini-1.5-flash',
+        VISION: 'gemini-1.5-flash'
+      }
+    },
+    OPENAI: {
+      BASE_URL: 'https://api.openai.com/v1',
+      MODELS: {
+        TEXT: 'gpt-4o-mini',
+        VISION: 'gpt-4o-mini'
       }
     },
     GOOGLE_MAPS: {
@@ -268,8 +413,11 @@ const MESSAGES = {
     DISASTER_CREATED: 'disaster_created',
     DISASTER_UPDATED: 'disaster_updated',
     DISASTER_DELETED: 'disaster_deleted',
+    DISASTER_STATUS_CHANGED: 'disaster_status_changed',
     REPORT_CREATED: 'report_created',
     RESOURCE_CREATED: 'resource_created',
+    RESOURCE_UPDATED: 'resource_updated',
+    RESOURCE_DELETED: 'resource_deleted',
     SOCIAL_MEDIA_UPDATED: 'social_media_updated',
     RESOURCES_UPDATED: 'resources_updated',
     URGENT_ALERT: 'urgent_alert',
@@ -285,9 +433,18 @@ const MESSAGES = {
     RESOURCE_TYPES,
     USER_ROLES,
     STATUS_TYPES,
+    DISASTER_STATUS_TRANSITIONS,
     SOCIAL_MEDIA_KEYWORDS,
     GEO_CONSTANTS,
+    GEOCODING_CONFIG,
     CACHE_CONFIG,
+    AUTH_CONFIG,
+    UPLOAD_CONFIG,
+    MODERATION_CONFIG,
+    RESOURCE_CONFIG,
+    LLM_CONFIG,
+    SITREP_CONFIG,
+    FORENSICS_CONFIG,
     RATE_LIMITS,
     VALIDATION,
     EXTERNAL_APIS,
@@ -0,0 +1,88 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in kilometres between two { lat, lng } points
+const distanceKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+const EWKB_SRID_FLAG = 0x20000000;
+const WKB_POINT = 1;
+
+// Reads a PostGIS point as Supabase returns it (hex EWKB), GeoJSON or WKT
+// "POINT(lng lat)". Returns { lat, lng } or null for anything else.
+const parsePoint = (location) => {
+  if (!location) return null;
+
+  if (typeof location === 'object' && location.type === 'Point') {
+    const [lng, lat] = location.coordinates;
+    return { lat, lng };
+  }
+
+  if (typeof location !== 'string') return null;
+
+  const wkt = /^(?:SRID=\d+;)?POINT\s*\(\s*(-?[\d.]+)\s+(-?[\d.]+)\s*\)$/i.exec(location);
+  if (wkt) {
+    return { lat: parseFloat(wkt[2]), lng: parseFloat(wkt[1]) };
+  }
+
+  if (!/^[0-9a-f]+$/i.test(location)) return null;
+
+  const buffer = Buffer.from(location, 'hex');
+  const littleEndian = buffer[0] === 1;
+  const readUInt32 = (offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+  const readDouble = (offset) => (littleEndian ? buffer.readDoubleLE(offset) : buffer.readDoubleBE(offset));
+
+  const type = readUInt32(1);
+  if ((type & 0xff) !== WKB_POINT) return null;
+
+  const offset = type & EWKB_SRID_FLAG ? 9 : 5;
+  if (buffer.length < offset + 16) return null;
+
+  return { lat: readDouble(offset + 8), lng: readDouble(offset) };
+};
+
+// [minLng, minLat, maxLng, maxLat] of a GeoJSON geometry
+const geometryBbox = (geometry) => {
+  const values = geometry.coordinates.flat(Infinity);
+  const lngs = values.filter((_, i) => i % 2 === 0);
+  const lats = values.filter((_, i) => i % 2 === 1);
+
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+};
+
+// Centre of a geometry's bounding box; points are used as they are
+const geometryCenter = (geometry) => {
+  if (geometry.type === 'Point') {
+    const [lng, lat] = geometry.coordinates;
+    return { lat, lng };
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = geometryBbox(geometry);
+  return { lat: (minLat + maxLat) / 2, lng: (minLng + maxLng) / 2 };
+};
+
+const bboxToPolygon = ([minLng, minLat, maxLng, maxLat]) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [minLng, minLat],
+    [maxLng, minLat],
+    [maxLng, maxLat],
+    [minLng, maxLat],
+    [minLng, minLat]
+  ]]
+});
+
+module.exports = {
+  distanceKm,
+  parsePoint,
+  geometryBbox,
+  geometryCenter,
+  bboxToPolygon
+};
@@ -0,0 +1,85 @@
+const { distanceKm, parsePoint, geometryBbox, geometryCenter, bboxToPolygon } = require('./geo');
+
+describe('parsePoint', () => {
+  it('reads hex EWKB with an SRID, as Supabase returns geography columns', () => {
+    // SRID=4326;POINT(-73.9857 40.7484), little endian
+    const ewkb = Buffer.alloc(25);
+    ewkb.writeUInt8(1, 0);
+    ewkb.writeUInt32LE(0x20000001, 1);
+    ewkb.writeUInt32LE(4326, 5);
+    ewkb.writeDoubleLE(-73.9857, 9);
+    ewkb.writeDoubleLE(40.7484, 17);
+
+    expect(parsePoint(ewkb.toString('hex'))).toEqual({ lat: 40.7484, lng: -73.9857 });
+  });
+
+  it('reads big endian WKB without an SRID', () => {
+    const wkb = Buffer.alloc(21);
+    wkb.writeUInt8(0, 0);
+    wkb.writeUInt32BE(1, 1);
+    wkb.writeDoubleBE(2.3522, 5);
+    wkb.writeDoubleBE(48.8566, 13);
+
+    expect(parsePoint(wkb.toString('hex').toUpperCase())).toEqual({ lat: 48.8566, lng: 2.3522 });
+  });
+
+  it('reads WKT, with or without an SRID', () => {
+    expect(parsePoint('POINT(-0.1276 51.5072)')).toEqual({ lat: 51.5072, lng: -0.1276 });
+    expect(parsePoint('SRID=4326;point ( 139.69 35.68 )')).toEqual({ lat: 35.68, lng: 139.69 });
+  });
+
+  it('reads GeoJSON points', () => {
+    expect(parsePoint({ type: 'Point', coordinates: [151.2093, -33.8688] })).toEqual({ lat: -33.8688, lng: 151.2093 });
+  });
+
+  it('returns null for other geometries and unreadable values', () => {
+    const lineString = Buffer.alloc(9);
+    lineString.writeUInt8(1, 0);
+    lineString.writeUInt32LE(2, 1);
+
+    expect(parsePoint(lineString.toString('hex'))).toBeNull();
+    expect(parsePoint('0101000000')).toBeNull();
+    expect(parsePoint('Lower Manhattan')).toBeNull();
+    expect(parsePoint({ type: 'Polygon', coordinates: [] })).toBeNull();
+    expect(parsePoint(null)).toBeNull();
+  });
+});
+
+describe('distanceKm', () => {
+  it('measures great-circle distance', () => {
+    const london = { lat: 51.5072, lng: -0.1276 };
+    const paris = { lat: 48.8566, lng: 2.3522 };
+
+    expect(distanceKm(london, paris)).toBeCloseTo(344, 0);
+    expect(distanceKm(london, london)).toBe(0);
+  });
+});
+
+describe('geometryCenter', () => {
+  it('uses points as they are', () => {
+    expect(geometryCenter({ type: 'Point', coordinates: [1, 2] })).toEqual({ lat: 2, lng: 1 });
+  });
+
+  it('takes the centre of other geometries\' bounding box', () => {
+    const line = { type: 'LineString', coordinates: [[-74.05, 40.68], [-73.9, 40.88]] };
+
+    expect(geometryCenter(line).lat).toBeCloseTo(40.78);
+    expect(geometryCenter(line).lng).toBeCloseTo(-73.975);
+  });
+});
+
+describe('bbox helpers', () => {
+  const polygon = bboxToPolygon([-74.05, 40.68, -73.9, 40.88]);
+
+  it('builds a closed polygon from a bbox', () => {
+    const [ring] = polygon.coordinates;
+
+    expect(polygon.type).toBe('Polygon');
+    expect(ring).toHaveLength(5);
+    expect(ring[0]).toEqual(ring[4]);
+  });
+
+  it('finds the bbox of a geometry', () => {
+    expect(geometryBbox(polygon)).toEqual([-74.05, 40.68, -73.9, 40.88]);
+  });
+});
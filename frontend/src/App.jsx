@@ -14,10 +14,13 @@ import ReportForm from './components/ReportForm/ReportForm';
 import ResourceMap from './components/ResourceMap/ResourceMap';
 import SocialMediaPage from './components/SocialMediaPage/SocialMediaPage';
 import BrowsePage from './components/BrowsePage/BrowsePage';
+import ModerationQueue from './components/ModerationQueue/ModerationQueue';
+import LoginPage from './components/Auth/LoginPage';
 
 // Hooks and Services
 import { useWebSocket } from './hooks/useWebSocket';
 import { useApi } from './hooks/useApi';
+import { authApi } from './services/api';
 
 function App() {
   const [user, setUser] = useState(null);
@@ -32,29 +35,12 @@ function App() {
   // Initialize API hook
   const { request } = useApi();
 
-  // Initialize user and load initial data
+  // Restore an existing session, if any
   useEffect(() => {
     const initializeApp = async () => {
       try {
-        // Mock user initialization - in production, check authentication
-        const defaultUser = {
-          id: process.env.REACT_APP_DEFAULT_USER_ID || 'netrunnerX',
-          username: 'netrunnerX',
-          role: 'admin',
-          name: 'Emergency Coordinator'
-        };
-        
-        setUser(defaultUser);
-        
-        // Load initial disasters
-        const response = await request('get', '/disasters');
-        if (response.success) {
-          setDisasters(response.data);
-        }
-        
-        if (connected) {
-          toast.success('Connected to real-time updates');
-        }
+        const currentUser = await authApi.getCurrentUser();
+        setUser(currentUser);
       } catch (error) {
         console.error('Failed to initialize app:', error);
         toast.error('Failed to initialize application');
@@ -64,7 +50,38 @@ function App() {
     };
 
     initializeApp();
-  }, [connected, request]);
+  }, []);
+
+  // Drop back to the login screen when the session can't be refreshed
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      setUser(null);
+      toast.error('Your session has expired. Please sign in again.');
+    };
+
+    window.addEventListener('auth:logout', handleSessionExpired);
+    return () => window.removeEventListener('auth:logout', handleSessionExpired);
+  }, []);
+
+  // Load initial data once signed in
+  useEffect(() => {
+    if (!user) return;
+
+    const loadDisasters = async () => {
+      const response = await request('get', '/disasters');
+      if (response.success) {
+        setDisasters(response.data);
+      }
+    };
+
+    loadDisasters();
+  }, [user, request]);
+
+  useEffect(() => {
+    if (user && connected) {
+      toast.success('Connected to real-time updates');
+    }
+  }, [user, connected]);
 
   // Handle real-time updates
   useEffect(() => {
@@ -85,6 +102,15 @@ function App() {
       toast.success(`Disaster updated: ${data.title}`);
     };
 
+    const handleDisasterStatusChanged = ({ disaster }) => {
+      setDisasters(prev => 
+        prev.map(d => 
+          d.id === disaster.id ? disaster : d
+        )
+      );
+      toast.success(`${disaster.title} is now ${disaster.status}`);
+    };
+
     const handleDisasterDeleted = (data) => {
       setDisasters(prev => 
         prev.filter(disaster => disaster.id !== data.id)
@@ -102,17 +128,31 @@ function App() {
     // Subscribe to WebSocket events
     window.socket?.on('disaster_created', handleDisasterCreated);
     window.socket?.on('disaster_updated', handleDisasterUpdated);
+    window.socket?.on('disaster_status_changed', handleDisasterStatusChanged);
     window.socket?.on('disaster_deleted', handleDisasterDeleted);
     window.socket?.on('urgent_alert', handleUrgentAlert);
 
     return () => {
       window.socket?.off('disaster_created', handleDisasterCreated);
       window.socket?.off('disaster_updated', handleDisasterUpdated);
+      window.socket?.off('disaster_status_changed', handleDisasterStatusChanged);
       window.socket?.off('disaster_deleted', handleDisasterDeleted);
       window.socket?.off('urgent_alert', handleUrgentAlert);
     };
   }, [connected]);
 
+  const handleLogin = (loggedInUser) => {
+    setUser(loggedInUser);
+  };
+
+  const handleLogout = async () => {
+    await authApi.logout();
+    setUser(null);
+    setDisasters([]);
+    setSelectedDisaster(null);
+    toast.success('Signed out');
+  };
+
   // Handle disaster creation
   const handleDisasterCreated = (newDisaster) => {
     setDisasters(prev => [newDisaster, ...prev]);
@@ -120,6 +160,14 @@ function App() {
     toast.success('Disaster reported successfully');
   };
 
+  // Handle disaster edits saved from the form
+  const handleDisasterSaved = (updatedDisaster) => {
+    setDisasters(prev =>
+      prev.map(disaster => disaster.id === updatedDisaster.id ? updatedDisaster : disaster)
+    );
+    setSelectedDisaster(prev => prev?.id === updatedDisaster.id ? updatedDisaster : prev);
+  };
+
   // Handle disaster selection
   const handleDisasterSelect = (disaster) => {
     setSelectedDisaster(disaster);
@@ -146,6 +194,10 @@ function App() {
     );
   }
 
+  if (!user) {
+    return <LoginPage onLogin={handleLogin} />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -153,6 +205,7 @@ function App() {
         user={user}
         connected={connected}
         onMenuClick={() => setSidebarOpen(!sidebarOpen)}
+        onLogout={handleLogout}
       />
 
       <div className="flex">
@@ -189,6 +242,7 @@ function App() {
                   disasters={disasters}
                   onDisasterSelect={handleDisasterSelect}
                   selectedDisaster={selectedDisaster}
+                  user={user}
                 />
               } 
             />
@@ -203,6 +257,16 @@ function App() {
               } 
             />
             
+            <Route 
+              path="/disasters/:id/edit" 
+              element={
+                <DisasterForm 
+                  onDisasterUpdated={handleDisasterSaved}
+                  user={user}
+                />
+              } 
+            />
+            
             <Route 
               path="/disasters/:id/report" 
               element={
@@ -220,6 +284,7 @@ function App() {
                   disasters={disasters}
                   selectedDisaster={selectedDisaster}
                   onDisasterSelect={handleDisasterSelect}
+                  user={user}
                 />
               } 
             />
@@ -233,6 +298,11 @@ function App() {
               path="/browse" 
               element={<BrowsePage />} 
             />
+
+            <Route 
+              path="/reports" 
+              element={<ModerationQueue user={user} />} 
+            />
             
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
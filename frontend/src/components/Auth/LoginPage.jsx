@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { Shield, LogIn, Loader2, AlertTriangle } from 'lucide-react';
+import { authApi } from '../../services/api';
+
+const LoginPage = ({ onLogin }) => {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [loginError, setLoginError] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      username: '',
+      password: ''
+    }
+  });
+
+  const onSubmit = async ({ username, password }) => {
+    setIsSubmitting(true);
+    setLoginError(null);
+
+    try {
+      const user = await authApi.login(username, password);
+      toast.success(`Welcome back, ${user.name || user.username}`);
+      onLogin(user);
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 401) {
+        setLoginError('Invalid username or password');
+      } else if (status === 429) {
+        setLoginError('Too many login attempts. Please wait and try again.');
+      } else {
+        setLoginError('Unable to reach the server. Please try again.');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="w-full max-w-md bg-white rounded-xl shadow-xl"
+      >
+        <div className="p-6 border-b border-gray-200 flex items-center space-x-3">
+          <div className="w-10 h-10 bg-gradient-to-br from-red-500 to-orange-500 rounded-lg flex items-center justify-center">
+            <Shield className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold text-gray-900">Emergency Response</h1>
+            <p className="text-sm text-gray-600">Sign in to the coordination platform</p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-5">
+          {loginError && (
+            <div className="flex items-center space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+              <span>{loginError}</span>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Username
+            </label>
+            <input
+              type="text"
+              autoComplete="username"
+              autoFocus
+              {...register('username', { required: 'Username is required' })}
+              className={`input-field ${errors.username ? 'input-field-error' : ''}`}
+            />
+            {errors.username && (
+              <p className="form-error">{errors.username.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Password
+            </label>
+            <input
+              type="password"
+              autoComplete="current-password"
+              {...register('password', { required: 'Password is required' })}
+              className={`input-field ${errors.password ? 'input-field-error' : ''}`}
+            />
+            {errors.password && (
+              <p className="form-error">{errors.password.message}</p>
+            )}
+          </div>
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full flex items-center justify-center space-x-2 px-6 py-2 bg-red-500 hover:bg-red-600 disabled:bg-gray-300 text-white rounded-lg font-medium transition-colors"
+          >
+            {isSubmitting ? (
+              <>
+                <Loader2 className="w-4 h-4 animate-spin" />
+                <span>Signing in...</span>
+              </>
+            ) : (
+              <>
+                <LogIn className="w-4 h-4" />
+                <span>Sign In</span>
+              </>
+            )}
+          </button>
+        </form>
+      </motion.div>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useForm } from 'react-hook-form';
 import toast from 'react-hot-toast';
@@ -13,18 +13,58 @@ import {
   Tag,
   FileText,
   Eye,
-  EyeOff
+  EyeOff,
+  GitMerge,
+  Sparkles,
+  Plus,
+  Search,
+  Check
 } from 'lucide-react';
 import { useApi } from '../../hooks/useApi';
 
-const DisasterForm = ({ onDisasterCreated, user }) => {
+const PRIORITY_VALUES = ['low', 'medium', 'high', 'urgent', 'critical'];
+
+const EDITABLE_FIELDS = ['title', 'location_name', 'description', 'tags'];
+
+const FIELD_LABELS = {
+  title: 'Title',
+  location_name: 'Location',
+  description: 'Description',
+  tags: 'Tags'
+};
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Splits stored tags back into the form's disaster types and priority
+const toFormValues = (disaster) => {
+  const tags = disaster.tags || [];
+  return {
+    title: disaster.title || '',
+    location_name: disaster.location_name || '',
+    description: disaster.description || '',
+    tags: tags.filter(tag => !PRIORITY_VALUES.includes(tag)),
+    priority: tags.find(tag => PRIORITY_VALUES.includes(tag)) || 'medium'
+  };
+};
+
+const DisasterForm = ({ onDisasterCreated, onDisasterUpdated, user }) => {
   const navigate = useNavigate();
-  const { disasters, geocoding } = useApi();
+  const { id } = useParams();
+  const isEditing = Boolean(id);
+  const { disasters, geocoding, situation } = useApi();
+  // useApi rebuilds its namespaces every render; the methods are stable
+  const { getById: getDisaster } = disasters;
   
+  const [original, setOriginal] = useState(null);
+  const [conflict, setConflict] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isGeocoding, setIsGeocoding] = useState(false);
   const [showPreview, setShowPreview] = useState(false);
   const [extractedLocation, setExtractedLocation] = useState(null);
+  const [locationCandidates, setLocationCandidates] = useState(null);
+  const [selectedLocation, setSelectedLocation] = useState(null);
+  const [insights, setInsights] = useState(null);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [uploadedImages, setUploadedImages] = useState([]);
 
   const {
@@ -32,6 +72,7 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
     handleSubmit,
     watch,
     setValue,
+    reset,
     formState: { errors, isValid }
   } = useForm({
     mode: 'onChange',
@@ -46,6 +87,24 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
 
   const watchedValues = watch();
 
+  useEffect(() => {
+    if (!isEditing) {
+      return;
+    }
+
+    const loadDisaster = async () => {
+      const response = await getDisaster(id);
+      if (response.success) {
+        setOriginal(response.data);
+        reset(toFormValues(response.data));
+      } else {
+        navigate('/disasters');
+      }
+    };
+
+    loadDisaster();
+  }, [id, isEditing, getDisaster, navigate, reset]);
+
   const disasterTypes = [
     'earthquake', 'flood', 'fire', 'hurricane', 'tornado', 'tsunami',
     'volcano', 'landslide', 'drought', 'blizzard', 'explosion', 'chemical_spill'
@@ -74,6 +133,7 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
       if (response.success && response.data.location_name) {
         setExtractedLocation(response.data);
         setValue('location_name', response.data.location_name);
+        showCandidates(response.data);
         toast.success('Location extracted successfully!');
       } else {
         toast.error('Could not extract location from description');
@@ -85,6 +145,44 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
     }
   };
 
+  // Ambiguous names are left for the user to pick; otherwise the best
+  // candidate is used straight away
+  const showCandidates = ({ candidates, ambiguous }) => {
+    if (ambiguous) {
+      setSelectedLocation(null);
+      setLocationCandidates(candidates);
+    } else {
+      setSelectedLocation(candidates[0]);
+      setLocationCandidates(null);
+    }
+  };
+
+  const handleFindLocation = async () => {
+    setIsGeocoding(true);
+    const response = await geocoding.geocode({
+      location_name: watchedValues.location_name,
+      ...(isEditing && { disaster_id: id })
+    });
+
+    if (response.success) {
+      showCandidates(response.data);
+    } else {
+      toast.error('Could not find that location');
+    }
+    setIsGeocoding(false);
+  };
+
+  const handlePickCandidate = (candidate) => {
+    setSelectedLocation(candidate);
+    setLocationCandidates(null);
+    setValue('location_name', candidate.formatted_address);
+  };
+
+  const clearLocationChoice = () => {
+    setSelectedLocation(null);
+    setLocationCandidates(null);
+  };
+
   const handleTagToggle = (tag) => {
     const currentTags = watchedValues.tags || [];
     const newTags = currentTags.includes(tag)
@@ -93,6 +191,30 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
     setValue('tags', newTags);
   };
 
+  const handleAnalyzeDescription = async () => {
+    setIsAnalyzing(true);
+    const text = [watchedValues.title, watchedValues.description].filter(Boolean).join('\n');
+    const response = await situation.extract(text);
+    if (response.success) {
+      setInsights(response.data);
+    }
+    setIsAnalyzing(false);
+  };
+
+  const handleApplySuggestion = (tag) => {
+    if (PRIORITY_VALUES.includes(tag)) {
+      setValue('priority', tag, { shouldValidate: true });
+    } else if (!(watchedValues.tags || []).includes(tag)) {
+      setValue('tags', [...(watchedValues.tags || []), tag]);
+    }
+  };
+
+  const isSuggestionApplied = (tag) => {
+    return PRIORITY_VALUES.includes(tag)
+      ? watchedValues.priority === tag
+      : (watchedValues.tags || []).includes(tag);
+  };
+
   const handleImageUpload = (event) => {
     const files = Array.from(event.target.files);
     const imageFiles = files.filter(file => file.type.startsWith('image/'));
@@ -118,6 +240,22 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
     });
   };
 
+  // Sends only the given fields, guarded by the version they were based on
+  const saveChanges = async (changes, version) => {
+    const response = await disasters.patch(id, changes, version);
+
+    if (response.success) {
+      toast.success('Disaster updated successfully!');
+      onDisasterUpdated?.(response.data);
+      navigate('/disasters');
+    } else if (response.error?.status === 409) {
+      setConflict({ mine: changes, theirs: response.error.details.current });
+    } else {
+      const fieldErrors = Object.values(response.error?.details?.fields || {});
+      toast.error(fieldErrors[0] || response.error?.message || 'Failed to update disaster');
+    }
+  };
+
   const onSubmit = async (data) => {
     setIsSubmitting(true);
     
@@ -131,9 +269,28 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
       const disasterData = {
         ...data,
         tags: finalTags,
-        owner_id: user?.id || 'netrunnerX'
+        ...(selectedLocation && { coordinates: { lat: selectedLocation.lat, lng: selectedLocation.lng } })
       };
 
+      if (isEditing) {
+        const changes = {};
+        EDITABLE_FIELDS.forEach((field) => {
+          if (!isSameValue(disasterData[field], original[field])) {
+            changes[field] = disasterData[field];
+          }
+        });
+        if (disasterData.coordinates) {
+          changes.coordinates = disasterData.coordinates;
+        }
+
+        if (Object.keys(changes).length === 0) {
+          toast('No changes to save');
+        } else {
+          await saveChanges(changes, original.version);
+        }
+        return;
+      }
+
       const response = await disasters.create(disasterData);
       
       if (response.success) {
@@ -151,6 +308,29 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
     }
   };
 
+  const handleMergeSave = async (merged) => {
+    const { theirs } = conflict;
+    setConflict(null);
+    setOriginal(theirs);
+    reset(toFormValues({ ...theirs, ...merged }));
+
+    if (Object.keys(merged).length === 0) {
+      toast('Kept the latest saved version');
+      return;
+    }
+
+    setIsSubmitting(true);
+    await saveChanges(merged, theirs.version);
+    setIsSubmitting(false);
+  };
+
+  const handleDiscardMine = () => {
+    setOriginal(conflict.theirs);
+    reset(toFormValues(conflict.theirs));
+    setConflict(null);
+    toast('Loaded the latest saved version');
+  };
+
   return (
     <div className="max-w-4xl mx-auto">
       <motion.div
@@ -166,8 +346,14 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
                 <AlertTriangle className="w-5 h-5 text-white" />
               </div>
               <div>
-                <h1 className="text-xl font-bold text-gray-900">Report New Disaster</h1>
-                <p className="text-sm text-gray-600">Provide detailed information about the emergency situation</p>
+                <h1 className="text-xl font-bold text-gray-900">
+                  {isEditing ? 'Edit Disaster' : 'Report New Disaster'}
+                </h1>
+                <p className="text-sm text-gray-600">
+                  {isEditing && original
+                    ? `Editing version ${original.version}`
+                    : 'Provide detailed information about the emergency situation'}
+                </p>
               </div>
             </div>
             
@@ -259,12 +445,37 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
                     </button>
                   </div>
                   
-                  <input
-                    type="text"
-                    {...register('location_name')}
-                    className="input-field"
-                    placeholder="City, neighborhood, or specific location"
-                  />
+"                  <div className="flex space-x-2">
+                    <input
+                      type="text"
+                      {...register('location_name', { onChange: clearLocationChoice })}
+                      className="input-field"
+                      placeholder="City, neighborhood, or specific location"
+                    />
+                    <button
+                      type="button"
+                      onClick={handleFindLocation}
+                      disabled={isGeocoding || !watchedValues.location_name}
+                      className="flex items-center px-3 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg transition-colors disabled:opacity-50"
+                      title="Find on map"
+                    >
+                      <Search className="w-4 h-4" />
+                    </button>
+                  </div>
+
+                  {locationCandidates && (
+                    <LocationCandidates
+                      candidates={locationCandidates}
+                      onPick={handlePickCandidate}
+                    />
+                  )}
+
+                  {selectedLocation && (
+                    <p className="mt-2 flex items-center text-sm text-gray-700">
+                      <Check className="w-4 h-4 mr-1 text-green-600" />
+                      {selectedLocation.formatted_address} ({selectedLocation.lat.toFixed(4)}, {selectedLocation.lng.toFixed(4)})
+                    </p>
+                  )}
                   
                   {extractedLocation && (
                     <div className="mt-2 p-3 bg-green-50 border border-green-200 rounded-lg">
@@ -347,6 +558,29 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
                   <p className="form-help mt-2">
                     Select all applicable disaster types
                   </p>
+
+                  <button
+                    type="button"
+                    onClick={handleAnalyzeDescription}
+                    disabled={isAnalyzing || !watchedValues.description}
+                    className="mt-3 flex items-center space-x-1 text-sm text-red-600 hover:text-red-700 disabled:text-gray-400"
+                  >
+                    {isAnalyzing ? (
+                      <Loader2 className="w-4 h-4 animate-spin" />
+                    ) : (
+                      <Sparkles className="w-4 h-4" />
+                    )}
+                    <span>Suggest from description</span>
+                  </button>
+
+                  {insights && (
+                    <SituationInsights
+                      insights={insights}
+                      isApplied={isSuggestionApplied}
+                      onApply={handleApplySuggestion}
+                      onUseLocation={watchedValues.location_name ? null : (location) => setValue('location_name', location)}
+                    />
+                  )}
                 </div>
 
                 {/* Image Upload */}
@@ -472,18 +706,18 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
                 
                 <button
                   type="submit"
-                  disabled={isSubmitting || !isValid}
+                  disabled={isSubmitting || !isValid || (isEditing && !original)}
                   className="flex items-center space-x-2 px-6 py-2 bg-red-500 hover:bg-red-600 disabled:bg-gray-300 text-white rounded-lg font-medium transition-all duration-200 transform hover:scale-105 disabled:transform-none"
                 >
                   {isSubmitting ? (
                     <>
                       <Loader2 className="w-4 h-4 animate-spin" />
-                      <span>Submitting...</span>
+                      <span>{isEditing ? 'Saving...' : 'Submitting...'}</span>
                     </>
                   ) : (
                     <>
                       <Save className="w-4 h-4" />
-                      <span>Submit Report</span>
+                      <span>{isEditing ? 'Save Changes' : 'Submit Report'}</span>
                     </>
                   )}
                 </button>
@@ -493,6 +727,17 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
         </div>
       </motion.div>
 
+      {conflict && (
+        <ConflictDialog
+          base={original}
+          mine={conflict.mine}
+          theirs={conflict.theirs}
+          onSave={handleMergeSave}
+          onDiscard={handleDiscardMine}
+          onCancel={() => setConflict(null)}
+        />
+      )}
+
       {/* Help Section */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -526,4 +771,226 @@ const DisasterForm = ({ onDisasterCreated, user }) => {
   );
 };
 
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  return String(value);
+};
+
+// Suggestions from POST /situation/extract; clicking a tag applies it
+const LocationCandidates = ({ candidates, onPick }) => (
+  <div className="mt-2 border border-yellow-200 bg-yellow-50 rounded-lg p-3">
+    <p className="text-sm font-medium text-yellow-800 mb-2">
+      Several places match this name. Which one is it?
+    </p>
+    <ul className="space-y-1">
+      {candidates.map(candidate => (
+        <li key={`${candidate.provider}-${candidate.lat}-${candidate.lng}`}>
+          <button
+            type="button"
+            onClick={() => onPick(candidate)}
+            className="w-full text-left px-2 py-1 rounded hover:bg-yellow-100"
+          >
+            <span className="text-sm text-gray-900">{candidate.formatted_address}</span>
+            <span className="block text-xs text-gray-500">
+              {[
+                candidate.place_type?.replace(/_/g, ' '),
+                `${Math.round(candidate.confidence * 100)}% match`,
+                candidate.distance_km !== undefined && `${candidate.distance_km} km away`
+              ].filter(Boolean).join(' · ')}
+            </span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+const SituationInsights = ({ insights, isApplied, onApply, onUseLocation }) => {
+  const { casualties = {} } = insights;
+  const figures = [
+    insights.affected_population !== null && `${insights.affected_population.toLocaleString()} affected`,
+    casualties.deaths !== null && `${casualties.deaths} dead`,
+    casualties.injuries !== null && `${casualties.injuries} injured`,
+    casualties.missing !== null && `${casualties.missing} missing`
+  ].filter(Boolean);
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-2">
+      {insights.suggested_tags.length > 0 ? (
+        <div className="flex flex-wrap gap-2">
+          {insights.suggested_tags.map(tag => (
+            <button
+              key={tag}
+              type="button"
+              onClick={() => onApply(tag)}
+              disabled={isApplied(tag)}
+              className="flex items-center px-2 py-1 text-xs font-medium rounded-full border border-red-300 text-red-700 bg-white hover:bg-red-50 disabled:border-green-300 disabled:text-green-700 disabled:bg-green-50"
+            >
+              {!isApplied(tag) && <Plus className="w-3 h-3 mr-1" />}
+              {tag.replace(/_/g, ' ')}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">No disaster type or severity found in the description</p>
+      )}
+
+      {figures.length > 0 && (
+        <p className="text-xs text-gray-700">{figures.join(' · ')}</p>
+      )}
+
+      {insights.needs.length > 0 && (
+        <p className="text-xs text-gray-700">
+          <span className="font-medium">Needs:</span> {insights.needs.join(', ')}
+        </p>
+      )}
+
+      {insights.locations.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1 text-xs text-gray-700">
+          <span className="font-medium">Places:</span>
+          {insights.locations.map(location => (
+            onUseLocation ? (
+              <button
+                key={location}
+                type="button"
+                onClick={() => onUseLocation(location)}
+                className="text-red-600 hover:underline"
+                title="Use as location"
+              >
+                {location}
+              </button>
+            ) : (
+              <span key={location}>{location}</span>
+            )
+          ))}
+        </div>
+      )}
+
+      {insights.time_references.length > 0 && (
+        <p className="text-xs text-gray-700">
+          <span className="font-medium">When:</span> {insights.time_references.join(', ')}
+        </p>
+      )}
+
+      <p className="text-xs text-gray-400">
+        {insights.source === 'llm' ? `Suggested by ${insights.provider}` : 'Suggested by keyword matching'}
+      </p>
+    </div>
+  );
+};
+
+// Shown when the disaster was saved by someone else after this form loaded it.
+// Fields only one side changed merge automatically; the user picks a side for
+// fields both changed.
+const ConflictDialog = ({ base, mine, theirs, onSave, onDiscard, onCancel }) => {
+  const fields = Object.keys(mine);
+  const conflicting = fields.filter(field =>
+    !isSameValue(theirs[field], base[field]) && !isSameValue(theirs[field], mine[field])
+  );
+  const [choices, setChoices] = useState(
+    Object.fromEntries(conflicting.map(field => [field, 'mine']))
+  );
+
+  const handleSave = () => {
+    const merged = {};
+    fields.forEach((field) => {
+      if (choices[field] !== 'theirs' && !isSameValue(theirs[field], mine[field])) {
+        merged[field] = mine[field];
+      }
+    });
+    onSave(merged);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[85vh] flex flex-col"
+      >
+        <div className="p-6 border-b border-gray-200 flex items-center space-x-3">
+          <GitMerge className="w-5 h-5 text-orange-500" />
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Someone else saved this disaster</h2>
+            <p className="text-sm text-gray-600">
+              Version {theirs.version} was saved while you were editing. Choose what to keep.
+            </p>
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          {fields.map((field) => (
+            <div key={field} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm font-medium text-gray-900">{FIELD_LABELS[field]}</span>
+                {!conflicting.includes(field) && (
+                  <span className="text-xs text-green-700">No conflict, your change will be applied</span>
+                )}
+              </div>
+
+              {conflicting.includes(field) ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                  {[
+                    { side: 'mine', label: 'Your change', value: mine[field] },
+                    { side: 'theirs', label: 'Saved version', value: theirs[field] }
+                  ].map(({ side, label, value }) => (
+                    <label
+                      key={side}
+                      className={`block p-3 rounded-lg border-2 cursor-pointer text-sm ${
+                        choices[field] === side
+                          ? 'border-red-500 bg-red-50'
+                          : 'border-gray-200 hover:border-gray-300'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name={`conflict-${field}`}
+                        checked={choices[field] === side}
+                        onChange={() => setChoices(prev => ({ ...prev, [field]: side }))}
+                        className="sr-only"
+                      />
+                      <span className="block text-xs font-medium text-gray-500 mb-1">{label}</span>
+                      <span className="text-gray-900 break-words">{formatValue(value)}</span>
+                    </label>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-700 break-words">{formatValue(mine[field])}</p>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="p-6 border-t border-gray-200 flex items-center justify-between">
+          <button
+            type="button"
+            onClick={onDiscard}
+            className="px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            Discard my changes
+          </button>
+          <div className="flex items-center space-x-3">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Keep editing
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              className="flex items-center space-x-2 px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg font-medium transition-colors"
+            >
+              <Save className="w-4 h-4" />
+              <span>Save merged</span>
+            </button>
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
 export default DisasterForm;
\ No newline at end of file
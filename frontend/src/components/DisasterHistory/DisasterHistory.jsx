@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { History, X, RotateCcw, Loader2, User, Clock } from 'lucide-react';
+import { useApi } from '../../hooks/useApi';
+import { USER_ROLES } from '../../utils/constants';
+import toast from 'react-hot-toast';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  status_change: 'Status changed',
+  revert: 'Reverted'
+};
+
+const FIELD_LABELS = {
+  title: 'Title',
+  location_name: 'Location',
+  location: 'Coordinates',
+  description: 'Description',
+  tags: 'Tags',
+  status: 'Status'
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'location') return 'Point set';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  return String(value);
+};
+
+const DisasterHistory = ({ disaster, user, onClose }) => {
+  const { disasters: disasterApi } = useApi();
+  // useApi rebuilds its namespaces every render; the methods are stable
+  const { getHistory } = disasterApi;
+  const [revisions, setRevisions] = useState([]);
+  const [currentRevision, setCurrentRevision] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [revertingTo, setRevertingTo] = useState(null);
+
+  const isAdmin = user?.role === USER_ROLES.ADMIN.value;
+
+  const loadHistory = useCallback(async () => {
+    setLoading(true);
+    const response = await getHistory(disaster.id);
+    if (response.success) {
+      setRevisions(response.data.revisions);
+      setCurrentRevision(response.data.current_revision);
+    }
+    setLoading(false);
+  }, [getHistory, disaster.id]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleRevert = async (revision) => {
+    if (!window.confirm(`Revert "${disaster.title}" to revision ${revision}?`)) {
+      return;
+    }
+
+    setRevertingTo(revision);
+    const response = await disasterApi.revert(disaster.id, revision);
+    if (response.success) {
+      toast.success(`Reverted to revision ${revision}`);
+      await loadHistory();
+    }
+    setRevertingTo(null);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <History className="w-5 h-5 text-gray-600" />
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Revision History</h2>
+              <p className="text-sm text-gray-600 truncate">{disaster.title}</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600 rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          {loading ? (
+            <div className="flex items-center justify-center py-8 text-gray-500">
+              <Loader2 className="w-5 h-5 animate-spin mr-2" />
+              <span>Loading history...</span>
+            </div>
+          ) : revisions.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">No revisions recorded</p>
+          ) : (
+            revisions.map((entry) => {
+              const changes = Object.entries(entry.changes);
+
+              return (
+                <div key={entry.revision} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-start justify-between mb-2">
+                    <div>
+                      <div className="flex items-center space-x-2">
+                        <span className="text-sm font-semibold text-gray-900">
+                          Revision {entry.revision}
+                        </span>
+                        <span className="px-2 py-0.5 bg-gray-100 text-gray-700 text-xs rounded-full">
+                          {ACTION_LABELS[entry.action] || entry.action}
+                          {entry.action === 'revert' && entry.reverted_to && ` to ${entry.reverted_to}`}
+                        </span>
+                        {entry.revision === currentRevision && (
+                          <span className="px-2 py-0.5 bg-green-100 text-green-800 text-xs rounded-full">
+                            Current
+                          </span>
+                        )}
+                      </div>
+                      <div className="flex items-center space-x-4 text-xs text-gray-500 mt-1">
+                        <span className="flex items-center">
+                          <User className="w-3 h-3 mr-1" />
+                          {entry.user_id}
+                        </span>
+                        <span className="flex items-center">
+                          <Clock className="w-3 h-3 mr-1" />
+                          {new Date(entry.timestamp).toLocaleString()}
+                        </span>
+                      </div>
+                    </div>
+
+                    {isAdmin && entry.revision < currentRevision && (
+                      <button
+                        onClick={() => handleRevert(entry.revision)}
+                        disabled={revertingTo !== null}
+                        className="flex items-center space-x-1 px-3 py-1 text-sm text-red-600 hover:bg-red-50 disabled:text-gray-400 rounded-lg"
+                      >
+                        {revertingTo === entry.revision ? (
+                          <Loader2 className="w-4 h-4 animate-spin" />
+                        ) : (
+                          <RotateCcw className="w-4 h-4" />
+                        )}
+                        <span>Revert</span>
+                      </button>
+                    )}
+                  </div>
+
+                  {entry.reason && (
+                    <p className="text-sm text-gray-600 mb-2">Reason: {entry.reason}</p>
+                  )}
+
+                  {changes.length > 0 ? (
+                    <table className="w-full text-sm">
+                      <tbody className="divide-y divide-gray-100">
+                        {changes.map(([field, change]) => (
+                          <tr key={field}>
+                            <td className="py-1 pr-3 text-gray-500 align-top whitespace-nowrap">
+                              {FIELD_LABELS[field] || field}
+                            </td>
+                            <td className="py-1 pr-3 align-top">
+                              <span className="bg-red-50 text-red-800 line-through break-words">
+                                {formatValue(field, change.before)}
+                              </span>
+                            </td>
+                            <td className="py-1 align-top">
+                              <span className="bg-green-50 text-green-800 break-words">
+                                {formatValue(field, change.after)}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  ) : (
+                    <p className="text-xs text-gray-400">No field-level changes recorded</p>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default DisasterHistory;
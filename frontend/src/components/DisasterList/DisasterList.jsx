@@ -827,7 +827,6 @@ import {
   Clock, 
   Eye, 
   FileText, 
-  MoreVertical,
   RefreshCw,
   Download,
   Grid,
@@ -838,16 +837,27 @@ import {
   X,
   MessageCircle,
   Globe,
-  TrendingUp
+  TrendingUp,
+  History,
+  Edit3,
+  ClipboardList
 } from 'lucide-react';
 import { useApi } from '../../hooks/useApi';
+import DisasterHistory from '../DisasterHistory/DisasterHistory';
+import SitrepPanel from '../SitrepPanel/SitrepPanel';
+import { STATUS_TYPES } from '../../utils/constants';
 import toast from 'react-hot-toast';
 
-const DisasterList = ({ disasters, onDisasterSelect, selectedDisaster }) => {
+const DISASTER_STATUSES = Object.values(STATUS_TYPES.DISASTER);
+
+const getDisasterStatus = (disaster) => disaster.status || STATUS_TYPES.DISASTER.ACTIVE.value;
+
+const DisasterList = ({ disasters, onDisasterSelect, selectedDisaster, user }) => {
   const { disasters: disasterApi, socialMedia, officialUpdates } = useApi();
   const [filteredDisasters, setFilteredDisasters] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [activeFilter, setActiveFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
   const [viewMode, setViewMode] = useState('grid');
   const [sortBy, setSortBy] = useState('created_at');
   const [sortOrder, setSortOrder] = useState('desc');
@@ -856,10 +866,12 @@ const DisasterList = ({ disasters, onDisasterSelect, selectedDisaster }) => {
   const [bulkActionLoading, setBulkActionLoading] = useState(false);
   const [socialMediaCounts, setSocialMediaCounts] = useState({});
   const [officialUpdateCounts, setOfficialUpdateCounts] = useState({});
+  const [historyDisaster, setHistoryDisaster] = useState(null);
+  const [sitrepDisaster, setSitrepDisaster] = useState(null);
 
   useEffect(() => {
     filterAndSortDisasters();
-  }, [disasters, searchQuery, activeFilter, sortBy, sortOrder]);
+  }, [disasters, searchQuery, activeFilter, statusFilter, sortBy, sortOrder]);
 
   useEffect(() => {
     if (disasters.length > 0) {
@@ -918,6 +930,10 @@ const DisasterList = ({ disasters, onDisasterSelect, selectedDisaster }) => {
       });
     }
 
+    if (statusFilter !== 'all') {
+      filtered = filtered.filter(disaster => getDisasterStatus(disaster) === statusFilter);
+    }
+
     filtered.sort((a, b) => {
       let aValue = a[sortBy];
       let bValue = b[sortBy];
@@ -1026,19 +1042,12 @@ const DisasterList = ({ disasters, onDisasterSelect, selectedDisaster }) => {
     try {
       for (const disasterId of selectedItems) {
         try {
-          const disaster = disasters.find(d => d.id === disasterId);
-          if (disaster) {
-            const response = await disasterApi.update(disasterId, {
-              ...disaster,
-              tags: [...(disaster.tags || []), 'archived'],
-              status: 'archived'
-            });
-            
-            if (response.success) {
-              successCount++;
-            } else {
-              errorCount++;
-            }
+          const response = await disasterApi.updateStatus(disasterId, STATUS_TYPES.DISASTER.ARCHIVED.value);
+
+          if (response.success) {
+            successCount++;
+          } else {
+            errorCount++;
           }
         } catch (error) {
           console.error(`Error archiving disaster ${disasterId}:`, error);
@@ -1234,6 +1243,19 @@ const DisasterList = ({ disasters, onDisasterSelect, selectedDisaster }) => {
                   </option>
                 ))}
               </select>
+
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+              >
+                <option value="all">All Statuses</option>
+                {DISASTER_STATUSES.map((status) => (
+                  <option key={status.value} value={status.value}>
+                    {status.label} ({disasters.filter(d => getDisasterStatus(d) === status.value).length})
+                  </option>
+                ))}
+              </select>
             </div>
 
             <div className="flex items-center space-x-2">
@@ -1356,6 +1378,8 @@ const DisasterList = ({ disasters, onDisasterSelect, selectedDisaster }) => {
                     getTimeAgo={getTimeAgo}
                     socialMediaCount={socialMediaCounts[disaster.id] || 0}
                     officialUpdateCount={officialUpdateCounts[disaster.id] || 0}
+                    onShowHistory={setHistoryDisaster}
+                    onShowSitrep={setSitrepDisaster}
                   />
                 ))}
               </div>
@@ -1411,6 +1435,8 @@ const DisasterList = ({ disasters, onDisasterSelect, selectedDisaster }) => {
                           getTimeAgo={getTimeAgo}
                           socialMediaCount={socialMediaCounts[disaster.id] || 0}
                           officialUpdateCount={officialUpdateCounts[disaster.id] || 0}
+                          onShowHistory={setHistoryDisaster}
+                          onShowSitrep={setSitrepDisaster}
                         />
                       ))}
                     </tbody>
@@ -1428,12 +1454,12 @@ const DisasterList = ({ disasters, onDisasterSelect, selectedDisaster }) => {
             <AlertTriangle className="w-16 h-16 text-gray-300 mx-auto mb-4" />
             <h3 className="text-lg font-medium text-gray-900 mb-2">No disasters found</h3>
             <p className="text-gray-500 mb-6">
-              {searchQuery || activeFilter !== 'all' 
+              {searchQuery || activeFilter !== 'all' || statusFilter !== 'all'
                 ? 'Try adjusting your search or filter criteria'
                 : 'Get started by reporting your first emergency'
               }
             </p>
-            {!searchQuery && activeFilter === 'all' && (
+            {!searchQuery && activeFilter === 'all' && statusFilter === 'all' && (
               <Link
                 to="/disasters/new"
                 className="inline-flex items-center space-x-2 bg-red-500 hover:bg-red-600 text-white px-6 py-3 rounded-lg font-medium transition-all duration-200 transform hover:scale-105"
@@ -1445,10 +1471,40 @@ const DisasterList = ({ disasters, onDisasterSelect, selectedDisaster }) => {
           </motion.div>
         )}
       </AnimatePresence>
+
+      {historyDisaster && (
+        <DisasterHistory
+          disaster={historyDisaster}
+          user={user}
+          onClose={() => setHistoryDisaster(null)}
+        />
+      )}
+
+      {sitrepDisaster && (
+        <SitrepPanel
+          disaster={sitrepDisaster}
+          user={user}
+          onClose={() => setSitrepDisaster(null)}
+        />
+      )}
     </div>
   );
 };
 
+const StatusBadge = ({ status }) => {
+  const config = DISASTER_STATUSES.find(s => s.value === status);
+  if (!config) return null;
+
+  return (
+    <span
+      className="px-2 py-0.5 rounded-full text-xs font-medium text-white"
+      style={{ backgroundColor: config.color }}
+    >
+      {config.label}
+    </span>
+  );
+};
+
 const DisasterCard = ({ 
   disaster, 
   index, 
@@ -1460,7 +1516,9 @@ const DisasterCard = ({
   getPriorityLabel,
   getTimeAgo,
   socialMediaCount,
-  officialUpdateCount
+  officialUpdateCount,
+  onShowHistory,
+  onShowSitrep
 }) => (
   <motion.div
     initial={{ opacity: 0, y: 20 }}
@@ -1480,6 +1538,7 @@ const DisasterCard = ({
           <span className="text-xs font-medium text-gray-500 uppercase tracking-wider">
             {getPriorityLabel(disaster.tags)}
           </span>
+          <StatusBadge status={getDisasterStatus(disaster)} />
         </div>
         
         <div className="flex items-center space-x-2">
@@ -1493,10 +1552,24 @@ const DisasterCard = ({
             className="rounded border-gray-300 text-red-600 focus:ring-red-500"
           />
           <button
-            onClick={(e) => e.stopPropagation()}
+            onClick={(e) => {
+              e.stopPropagation();
+              onShowHistory(disaster);
+            }}
+            title="Revision history"
+            className="p-1 text-gray-400 hover:text-gray-600 rounded"
+          >
+            <History className="w-4 h-4" />
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onShowSitrep(disaster);
+            }}
+            title="Situation reports"
             className="p-1 text-gray-400 hover:text-gray-600 rounded"
           >
-            <MoreVertical className="w-4 h-4" />
+            <ClipboardList className="w-4 h-4" />
           </button>
         </div>
       </div>
@@ -1530,6 +1603,14 @@ const DisasterCard = ({
           >
             <FileText className="w-4 h-4" />
           </Link>
+          <Link
+            to={`/disasters/${disaster.id}/edit`}
+            onClick={(e) => e.stopPropagation()}
+            title="Edit disaster"
+            className="text-gray-600 hover:text-gray-700"
+          >
+            <Edit3 className="w-4 h-4" />
+          </Link>
           <button
             onClick={(e) => {
               e.stopPropagation();
@@ -1585,7 +1666,9 @@ const DisasterRow = ({
   getPriorityLabel,
   getTimeAgo,
   socialMediaCount,
-  officialUpdateCount
+  officialUpdateCount,
+  onShowHistory,
+  onShowSitrep
 }) => (
   <motion.tr
     initial={{ opacity: 0, y: 10 }}
@@ -1614,7 +1697,10 @@ const DisasterRow = ({
           disaster.tags?.includes('urgent') ? 'text-red-500' : 'text-yellow-500'
         }`} />
         <div>
-          <div className="text-sm font-medium text-gray-900">{disaster.title}</div>
+          <div className="flex items-center space-x-2">
+            <span className="text-sm font-medium text-gray-900">{disaster.title}</span>
+            <StatusBadge status={getDisasterStatus(disaster)} />
+          </div>
           <div className="text-sm text-gray-500 truncate max-w-xs">{disaster.description}</div>
         </div>
       </div>
@@ -1674,6 +1760,31 @@ const DisasterRow = ({
         >
           Add Report
         </Link>
+        <Link
+          to={`/disasters/${disaster.id}/edit`}
+          onClick={(e) => e.stopPropagation()}
+          className="text-gray-600 hover:text-gray-900 text-sm font-medium"
+        >
+          Edit
+        </Link>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onShowHistory(disaster);
+          }}
+          className="text-gray-600 hover:text-gray-900 text-sm font-medium"
+        >
+          History
+        </button>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onShowSitrep(disaster);
+          }}
+          className="text-gray-600 hover:text-gray-900 text-sm font-medium"
+        >
+          Sitrep
+        </button>
         <button
           onClick={(e) => {
             e.stopPropagation();
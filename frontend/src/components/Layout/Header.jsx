@@ -13,7 +13,7 @@ import {
   Globe
 } from 'lucide-react';
 
-const Header = ({ user, connected, onMenuClick }) => {
+const Header = ({ user, connected, onMenuClick, onLogout }) => {
   const location = useLocation();
 
   const getPageTitle = () => {
@@ -145,8 +145,8 @@ const Header = ({ user, connected, onMenuClick }) => {
                   <User className="w-4 h-4 text-white" />
                 </div>
                 <div className="hidden xl:block text-left">
-                  <p className="text-sm font-medium text-gray-900">{user?.name || 'Coordinator'}</p>
-                  <p className="text-xs text-gray-500 capitalize">{user?.role || 'admin'}</p>
+                  <p className="text-sm font-medium text-gray-900">{user?.name || user?.username}</p>
+                  <p className="text-xs text-gray-500 capitalize">{user?.role}</p>
                 </div>
               </button>
 
@@ -154,8 +154,8 @@ const Header = ({ user, connected, onMenuClick }) => {
               <div className="absolute right-0 top-full mt-2 w-48 bg-white rounded-xl shadow-lg border border-gray-200 opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200 z-50">
                 <div className="p-2">
                   <div className="px-3 py-2 border-b border-gray-100">
-                    <p className="font-medium text-gray-900">{user?.name || 'Emergency Coordinator'}</p>
-                    <p className="text-sm text-gray-500">{user?.username || 'netrunnerX'}</p>
+                    <p className="font-medium text-gray-900">{user?.name || user?.username}</p>
+                    <p className="text-sm text-gray-500">{user?.username}</p>
                   </div>
                   <button className="w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-50 rounded-lg transition-colors">
                     Profile Settings
@@ -163,7 +163,10 @@ const Header = ({ user, connected, onMenuClick }) => {
                   <button className="w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-50 rounded-lg transition-colors">
                     Preferences
                   </button>
-                  <button className="w-full text-left px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors">
+                  <button
+                    onClick={onLogout}
+                    className="w-full text-left px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                  >
                     Sign Out
                   </button>
                 </div>
@@ -0,0 +1,527 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  ClipboardCheck,
+  Check,
+  X,
+  Lock,
+  Unlock,
+  RefreshCw,
+  Loader2,
+  History,
+  ShieldOff,
+  AlertTriangle,
+  Clock
+} from 'lucide-react';
+import { useApi } from '../../hooks/useApi';
+import { STATUS_TYPES } from '../../utils/constants';
+import toast from 'react-hot-toast';
+
+const REPORT_STATUSES = Object.values(STATUS_TYPES.REPORT);
+
+const STATUS_FILTERS = [
+  { value: 'pending,flagged', label: 'Needs review' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'flagged', label: 'Flagged' },
+  { value: 'verified', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' }
+];
+
+const CLAIM_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'unclaimed', label: 'Unclaimed' },
+  { value: 'mine', label: 'Claimed by me' }
+];
+
+const ACTION_LABELS = {
+  claim: 'Claimed',
+  release: 'Released',
+  approve: 'Approved',
+  reject: 'Rejected'
+};
+
+const isReviewable = (report) => ['pending', 'flagged'].includes(report.verification_status);
+
+const ModerationQueue = ({ user }) => {
+  const { moderation } = useApi();
+  // useApi rebuilds its namespaces every render; the methods are stable
+  const { getQueue } = moderation;
+  const [reports, setReports] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('pending,flagged');
+  const [claimFilter, setClaimFilter] = useState('all');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [busyIds, setBusyIds] = useState([]);
+  const [rejecting, setRejecting] = useState(null);
+  const [logReport, setLogReport] = useState(null);
+
+  const canModerate = user?.permissions?.includes('verify');
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    const response = await getQueue({ status: statusFilter, claim: claimFilter });
+    if (response.success) {
+      setReports(response.data.reports);
+      setTotal(response.data.total);
+      setSelectedIds([]);
+    }
+    setLoading(false);
+  }, [getQueue, statusFilter, claimFilter]);
+
+  useEffect(() => {
+    if (canModerate) {
+      loadQueue();
+    }
+  }, [loadQueue, canModerate]);
+
+  useEffect(() => {
+    if (!canModerate) return;
+
+    const handleReportModerated = ({ report }) => {
+      setReports(prev => prev.map(r => r.id === report.id ? { ...r, ...report } : r));
+    };
+
+    window.socket?.on('report_moderated', handleReportModerated);
+    return () => {
+      window.socket?.off('report_moderated', handleReportModerated);
+    };
+  }, [canModerate]);
+
+  const replaceReport = (report) => {
+    setReports(prev => prev.map(r => r.id === report.id ? { ...r, ...report } : r));
+  };
+
+  const runAction = async (reportId, apiCall, successMessage) => {
+    setBusyIds(prev => [...prev, reportId]);
+    const response = await apiCall();
+    if (response.success) {
+      replaceReport(response.data);
+      toast.success(successMessage);
+    }
+    setBusyIds(prev => prev.filter(id => id !== reportId));
+    return response.success;
+  };
+
+  const handleClaim = (report) => runAction(report.id, () => moderation.claim(report.id), 'Report claimed');
+  const handleRelease = (report) => runAction(report.id, () => moderation.release(report.id), 'Claim released');
+  const handleApprove = (report) => runAction(report.id, () => moderation.approve(report.id), 'Report approved');
+
+  const handleReject = async (reason) => {
+    const { ids } = rejecting;
+    setRejecting(null);
+
+    if (ids.length === 1) {
+      await runAction(ids[0], () => moderation.reject(ids[0], reason), 'Report rejected');
+    } else {
+      await handleBulk('reject', reason, ids);
+    }
+  };
+
+  const handleBulk = async (action, reason = undefined, ids = selectedIds) => {
+    if (ids.length === 0) return;
+
+    setBusyIds(prev => [...prev, ...ids]);
+    const response = await moderation.bulk(action, ids, reason);
+    if (response.success) {
+      const { succeeded, failed, results } = response.data;
+      results.filter(result => result.success).forEach(result => replaceReport(result.report));
+
+      if (failed > 0) {
+        toast.error(`${ACTION_LABELS[action]} ${succeeded}, ${failed} failed: ${results.find(r => !r.success).error}`);
+      } else {
+        toast.success(`${ACTION_LABELS[action]} ${succeeded} reports`);
+      }
+      setSelectedIds([]);
+    }
+    setBusyIds(prev => prev.filter(id => !ids.includes(id)));
+  };
+
+  const toggleSelected = (reportId) => {
+    setSelectedIds(prev =>
+      prev.includes(reportId) ? prev.filter(id => id !== reportId) : [...prev, reportId]
+    );
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(selectedIds.length === reports.length ? [] : reports.map(r => r.id));
+  };
+
+  if (!canModerate) {
+    return (
+      <div className="max-w-2xl mx-auto text-center py-16">
+        <ShieldOff className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+        <h2 className="text-lg font-medium text-gray-900 mb-2">Moderators only</h2>
+        <p className="text-gray-500">Your role can't review reports. Ask an admin or coordinator for access.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <motion.div
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="flex flex-col md:flex-row md:items-center md:justify-between gap-4"
+      >
+        <div className="flex items-center space-x-3">
+          <div className="w-10 h-10 bg-gradient-to-r from-blue-500 to-purple-500 rounded-lg flex items-center justify-center">
+            <ClipboardCheck className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Report Moderation</h1>
+            <p className="text-gray-600">{total} reports in this view</p>
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-3">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-red-500 focus:border-transparent"
+          >
+            {STATUS_FILTERS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={claimFilter}
+            onChange={(e) => setClaimFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-red-500 focus:border-transparent"
+          >
+            {CLAIM_FILTERS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={loadQueue}
+            disabled={loading}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+            title="Refresh"
+          >
+            <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </motion.div>
+
+      <AnimatePresence>
+        {selectedIds.length > 0 && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="bg-blue-50 border border-blue-200 rounded-lg p-4 flex items-center justify-between"
+          >
+            <span className="text-sm font-medium text-blue-900">{selectedIds.length} selected</span>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => handleBulk('claim')}
+                className="px-3 py-1 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Claim
+              </button>
+              <button
+                onClick={() => handleBulk('release')}
+                className="px-3 py-1 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Release
+              </button>
+              <button
+                onClick={() => handleBulk('approve')}
+                className="px-3 py-1 text-sm bg-green-500 hover:bg-green-600 text-white rounded-lg"
+              >
+                Approve
+              </button>
+              <button
+                onClick={() => setRejecting({ ids: selectedIds })}
+                className="px-3 py-1 text-sm bg-red-500 hover:bg-red-600 text-white rounded-lg"
+              >
+                Reject
+              </button>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        {loading && reports.length === 0 ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <Loader2 className="w-5 h-5 animate-spin mr-2" />
+            <span>Loading queue...</span>
+          </div>
+        ) : reports.length === 0 ? (
+          <div className="text-center py-12">
+            <Check className="w-12 h-12 text-green-400 mx-auto mb-3" />
+            <p className="text-gray-500">Nothing waiting for review</p>
+          </div>
+        ) : (
+          <>
+            <div className="px-6 py-3 bg-gray-50 border-b border-gray-200 flex items-center">
+              <input
+                type="checkbox"
+                checked={selectedIds.length === reports.length}
+                onChange={toggleAll}
+                className="rounded border-gray-300 text-red-600 focus:ring-red-500 mr-3"
+              />
+              <span className="text-xs font-medium text-gray-500 uppercase tracking-wider">Report</span>
+            </div>
+            <ul className="divide-y divide-gray-200">
+              {reports.map(report => (
+                <ModerationItem
+                  key={report.id}
+                  report={report}
+                  user={user}
+                  isSelected={selectedIds.includes(report.id)}
+                  isBusy={busyIds.includes(report.id)}
+                  onToggle={() => toggleSelected(report.id)}
+                  onClaim={() => handleClaim(report)}
+                  onRelease={() => handleRelease(report)}
+                  onApprove={() => handleApprove(report)}
+                  onReject={() => setRejecting({ ids: [report.id] })}
+                  onShowLog={() => setLogReport(report)}
+                />
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+
+      {rejecting && (
+        <RejectDialog
+          count={rejecting.ids.length}
+          onConfirm={handleReject}
+          onCancel={() => setRejecting(null)}
+        />
+      )}
+
+      {logReport && (
+        <ModerationLog report={logReport} onClose={() => setLogReport(null)} />
+      )}
+    </div>
+  );
+};
+
+const ReportStatusBadge = ({ status }) => {
+  const config = REPORT_STATUSES.find(s => s.value === status);
+  if (!config) return null;
+
+  return (
+    <span
+      className="px-2 py-0.5 rounded-full text-xs font-medium text-white"
+      style={{ backgroundColor: config.color }}
+    >
+      {config.label}
+    </span>
+  );
+};
+
+const ModerationItem = ({
+  report,
+  user,
+  isSelected,
+  isBusy,
+  onToggle,
+  onClaim,
+  onRelease,
+  onApprove,
+  onReject,
+  onShowLog
+}) => {
+  const claimedByMe = report.claim_active && report.claimed_by === user.id;
+  const claimedByOther = report.claim_active && !claimedByMe;
+  const reviewable = isReviewable(report);
+
+  return (
+    <li className={`px-6 py-4 ${isSelected ? 'bg-blue-50' : ''}`}>
+      <div className="flex items-start space-x-4">
+        <input
+          type="checkbox"
+          checked={isSelected}
+          onChange={onToggle}
+          className="mt-1 rounded border-gray-300 text-red-600 focus:ring-red-500"
+        />
+
+        {(report.thumbnail_url || report.image_url) && (
+          <a href={report.image_url} target="_blank" rel="noopener noreferrer" className="flex-shrink-0">
+            <img
+              src={report.thumbnail_url || report.image_url}
+              alt="Report evidence"
+              className="w-20 h-20 object-cover rounded-lg"
+            />
+          </a>
+        )}
+
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center flex-wrap gap-2 mb-1">
+            <ReportStatusBadge status={report.verification_status} />
+            {report.disasters?.title && (
+              <span className="text-sm font-medium text-gray-900 truncate">{report.disasters.title}</span>
+            )}
+            {report.claim_active && (
+              <span className={`flex items-center text-xs ${claimedByMe ? 'text-blue-700' : 'text-orange-700'}`}>
+                <Lock className="w-3 h-3 mr-1" />
+                {claimedByMe ? 'Claimed by you' : `Claimed by ${report.claimed_by}`}
+              </span>
+            )}
+          </div>
+
+          <p className="text-sm text-gray-700 mb-2">{report.content}</p>
+
+          <div className="flex items-center flex-wrap gap-4 text-xs text-gray-500">
+            <span className="flex items-center">
+              <Clock className="w-3 h-3 mr-1" />
+              {new Date(report.created_at).toLocaleString()}
+            </span>
+            <span>By {report.user_id}</span>
+            {report.verification_details?.confidence !== undefined && report.verification_details.confidence !== null && (
+              <span className="flex items-center">
+                <AlertTriangle className="w-3 h-3 mr-1" />
+                {report.verification_details.provider === 'forensics' ? 'Forensic score' : 'AI confidence'}{' '}
+                {Math.round(report.verification_details.confidence * 100)}%
+              </span>
+            )}
+            {report.review_reason && <span>Reason: {report.review_reason}</span>}
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-1 flex-shrink-0">
+          {isBusy ? (
+            <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+          ) : (
+            <>
+              {reviewable && !report.claim_active && (
+                <button onClick={onClaim} title="Claim" className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg">
+                  <Lock className="w-4 h-4" />
+                </button>
+              )}
+              {report.claim_active && (claimedByMe || user.role === 'admin') && (
+                <button onClick={onRelease} title="Release claim" className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg">
+                  <Unlock className="w-4 h-4" />
+                </button>
+              )}
+              {reviewable && !claimedByOther && (
+                <>
+                  <button onClick={onApprove} title="Approve" className="p-2 text-green-600 hover:bg-green-50 rounded-lg">
+                    <Check className="w-4 h-4" />
+                  </button>
+                  <button onClick={onReject} title="Reject" className="p-2 text-red-600 hover:bg-red-50 rounded-lg">
+                    <X className="w-4 h-4" />
+                  </button>
+                </>
+              )}
+              <button onClick={onShowLog} title="Moderation log" className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg">
+                <History className="w-4 h-4" />
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </li>
+  );
+};
+
+const RejectDialog = ({ count, onConfirm, onCancel }) => {
+  const [reason, setReason] = useState('');
+  const isValid = reason.trim().length >= 3;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onCancel}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-xl shadow-xl w-full max-w-md p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-lg font-semibold text-gray-900 mb-1">
+          Reject {count === 1 ? 'report' : `${count} reports`}
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">The reason is recorded in the moderation log.</p>
+        <textarea
+          rows={3}
+          autoFocus
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          className="input-field resize-none"
+          placeholder="e.g. Duplicate of an earlier report, image unrelated to this disaster..."
+        />
+        <div className="flex justify-end space-x-3 mt-4">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(reason.trim())}
+            disabled={!isValid}
+            className="px-4 py-2 bg-red-500 hover:bg-red-600 disabled:bg-gray-300 text-white rounded-lg font-medium transition-colors"
+          >
+            Reject
+          </button>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+const ModerationLog = ({ report, onClose }) => {
+  const { moderation } = useApi();
+  const { getLog } = moderation;
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadLog = async () => {
+      const response = await getLog(report.id);
+      if (response.success) {
+        setEntries(response.data);
+      }
+      setLoading(false);
+    };
+    loadLog();
+  }, [getLog, report.id]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-xl shadow-xl w-full max-w-lg max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Moderation Log</h2>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="p-6 overflow-y-auto">
+          {loading ? (
+            <div className="flex items-center justify-center py-6 text-gray-500">
+              <Loader2 className="w-5 h-5 animate-spin mr-2" />
+              <span>Loading...</span>
+            </div>
+          ) : entries.length === 0 ? (
+            <p className="text-center text-gray-500 py-6">No moderation activity yet</p>
+          ) : (
+            <ul className="space-y-3">
+              {entries.map(entry => (
+                <li key={entry.id} className="border-l-2 border-gray-200 pl-3">
+                  <p className="text-sm text-gray-900">
+                    <span className="font-medium">{ACTION_LABELS[entry.action] || entry.action}</span>
+                    {' by '}{entry.moderator_id}
+                    {entry.to_status && ` (${entry.from_status} → ${entry.to_status})`}
+                  </p>
+                  {entry.reason && <p className="text-sm text-gray-600">{entry.reason}</p>}
+                  <p className="text-xs text-gray-400">{new Date(entry.created_at).toLocaleString()}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ModerationQueue;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useForm } from 'react-hook-form';
@@ -15,9 +15,14 @@ import {
   Eye,
   Check,
   Shield,
-  Clock
+  Clock,
+  Bot,
+  User,
+  RefreshCw,
+  History
 } from 'lucide-react';
 import { useApi } from '../../hooks/useApi';
+import { uploadWithProgress } from '../../services/api';
 
 const ReportForm = ({ disaster, user }) => {
   const navigate = useNavigate();
@@ -29,6 +34,7 @@ const ReportForm = ({ disaster, user }) => {
   const [uploadedImages, setUploadedImages] = useState([]);
   const [verificationResults, setVerificationResults] = useState({});
   const [currentDisaster, setCurrentDisaster] = useState(disaster);
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
 
   const {
     register,
@@ -68,6 +74,31 @@ const ReportForm = ({ disaster, user }) => {
     }
   };
 
+  const updateImage = (imageId, changes) => {
+    setUploadedImages(prev =>
+      prev.map(img => img.id === imageId ? { ...img, ...changes } : img)
+    );
+  };
+
+  const uploadImage = async (image) => {
+    try {
+      const response = await uploadWithProgress(
+        `/disasters/${currentDisaster.id}/reports/images`,
+        image.file,
+        (progress) => updateImage(image.id, { progress })
+      );
+      updateImage(image.id, {
+        uploading: false,
+        image_url: response.data.image_url,
+        thumbnail_url: response.data.thumbnail_url
+      });
+    } catch (error) {
+      const message = error.response?.data?.error || 'Upload failed';
+      updateImage(image.id, { uploading: false, error: message });
+      toast.error(`${image.name}: ${message}`);
+    }
+  };
+
   const handleImageUpload = (event) => {
     const files = Array.from(event.target.files);
     const imageFiles = files.filter(file => file.type.startsWith('image/'));
@@ -79,10 +110,16 @@ const ReportForm = ({ disaster, user }) => {
         preview: URL.createObjectURL(file),
         name: file.name,
         verified: false,
-        uploading: false
+        uploading: true,
+        progress: 0,
+        image_url: null,
+        thumbnail_url: null,
+        error: null
       }));
       setUploadedImages(prev => [...prev, ...newImages]);
+      newImages.forEach(uploadImage);
     }
+    event.target.value = '';
   };
 
   const removeImage = (imageId) => {
@@ -103,16 +140,12 @@ const ReportForm = ({ disaster, user }) => {
 
   const verifyImage = async (imageId) => {
     const image = uploadedImages.find(img => img.id === imageId);
-    if (!image) return;
+    if (!image?.image_url) return;
 
     setIsVerifying(true);
     try {
-      // Mock image verification - in real app, this would upload to server first
-      const mockImageUrl = `https://example.com/images/${image.name}`;
-      
       const response = await disasters.verifyImage(currentDisaster.id, {
-        image_url: mockImageUrl,
-        report_id: null // Will be set after report creation
+        image_url: image.image_url
       });
 
       if (response.success) {
@@ -127,6 +160,7 @@ const ReportForm = ({ disaster, user }) => {
           )
         );
         
+        setHistoryRefreshKey(key => key + 1);
         toast.success('Image verification completed');
       } else {
         toast.error('Image verification failed');
@@ -144,14 +178,20 @@ const ReportForm = ({ disaster, user }) => {
       return;
     }
 
+    if (uploadedImages.some(img => img.uploading)) {
+      toast.error('Please wait for image uploads to finish');
+      return;
+    }
+
     setIsSubmitting(true);
     
     try {
+      const storedImage = uploadedImages.find(img => img.image_url);
       const reportData = {
         content: data.content,
-        image_url: uploadedImages.length > 0 ? uploadedImages[0].preview : data.image_url,
-        contact_info: data.contact_info,
-        user_id: user?.id || 'citizen1'
+        image_url: storedImage ? storedImage.image_url : data.image_url || null,
+        thumbnail_url: storedImage ? storedImage.thumbnail_url : null,
+        contact_info: data.contact_info
       };
 
       const response = await disasters.addReport(currentDisaster.id, reportData);
@@ -173,7 +213,9 @@ const ReportForm = ({ disaster, user }) => {
   const getVerificationIcon = (result) => {
     if (!result) return null;
     
-    if (result.is_authentic) {
+    if (result.status === 'needs_review') {
+      return <Eye className="w-4 h-4 text-yellow-600" />;
+    } else if (result.is_authentic) {
       return <Check className="w-4 h-4 text-green-500" />;
     } else {
       return <AlertTriangle className="w-4 h-4 text-red-500" />;
@@ -183,7 +225,9 @@ const ReportForm = ({ disaster, user }) => {
   const getVerificationColor = (result) => {
     if (!result) return 'border-gray-200';
     
-    if (result.is_authentic && result.confidence > 0.7) {
+    if (result.status === 'needs_review') {
+      return 'border-yellow-500 bg-yellow-50';
+    } else if (result.is_authentic && result.confidence > 0.7) {
       return 'border-green-500 bg-green-50';
     } else if (result.is_authentic) {
       return 'border-yellow-500 bg-yellow-50';
@@ -384,15 +428,40 @@ const ReportForm = ({ disaster, user }) => {
                                   {getVerificationIcon(verificationResult)}
                                 </div>
                                 <p className="text-xs text-gray-500">{(image.file.size / 1024 / 1024).toFixed(2)} MB</p>
+
+                                {image.uploading && (
+                                  <div className="mt-2 w-full bg-gray-200 rounded-full h-1.5">
+                                    <div
+                                      className="bg-blue-500 h-1.5 rounded-full transition-all"
+                                      style={{ width: `${image.progress}%` }}
+                                    ></div>
+                                  </div>
+                                )}
+
+                                {image.error && (
+                                  <p className="text-xs text-red-600 mt-1">{image.error}</p>
+                                )}
                                 
                                 {verificationResult && (
                                   <div className="mt-2">
                                     <p className="text-xs text-gray-600">
                                       <strong>Verification:</strong> {verificationResult.analysis}
                                     </p>
-                                    <p className="text-xs text-gray-500">
-                                      Confidence: {Math.round(verificationResult.confidence * 100)}%
-                                    </p>
+                                    {verificationResult.confidence !== null && verificationResult.confidence !== undefined && (
+                                      <p className="text-xs text-gray-500">
+                                        {verificationResult.provider === 'forensics' ? 'Forensic score' : 'Confidence'}: {Math.round(verificationResult.confidence * 100)}%
+                                      </p>
+                                    )}
+                                    {verificationResult.status === 'needs_review' && verificationResult.manipulation_indicators?.length > 0 && (
+                                      <ul className="mt-1 text-xs text-yellow-800 space-y-0.5">
+                                        {verificationResult.manipulation_indicators.map(indicator => (
+                                          <li key={indicator}>• {indicator}</li>
+                                        ))}
+                                      </ul>
+                                    )}
+                                    {verificationResult.similar_images?.length > 0 && (
+                                      <SimilarImages matches={verificationResult.similar_images} />
+                                    )}
                                   </div>
                                 )}
                               </div>
@@ -402,7 +471,7 @@ const ReportForm = ({ disaster, user }) => {
                                   <button
                                     type="button"
                                     onClick={() => verifyImage(image.id)}
-                                    disabled={isVerifying}
+                                    disabled={isVerifying || !image.image_url}
                                     className="p-1 text-blue-600 hover:text-blue-700 disabled:text-gray-400"
                                     title="Verify image"
                                   >
@@ -431,6 +500,12 @@ const ReportForm = ({ disaster, user }) => {
                   )}
                 </div>
 
+                <VerificationTimeline
+                  disasterId={currentDisaster.id}
+                  canVerify={user?.permissions?.includes('verify')}
+                  refreshKey={historyRefreshKey}
+                />
+
                 {/* Report Guidelines */}
                 <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
                   <h3 className="text-sm font-semibold text-blue-900 mb-2">Report Guidelines</h3>
@@ -497,4 +572,136 @@ const ReportForm = ({ disaster, user }) => {
   );
 };
 
+const SimilarImages = ({ matches }) => (
+  <div className="mt-2">
+    <p className="text-xs font-medium text-orange-700">
+      Similar to {matches.length} earlier image{matches.length === 1 ? '' : 's'}
+    </p>
+    <ul className="mt-1 space-y-1">
+      {matches.map(match => (
+        <li key={match.image_url} className="flex items-center space-x-2 text-xs text-gray-600">
+          <a href={match.image_url} target="_blank" rel="noopener noreferrer">
+            <img src={match.image_url} alt="Earlier submission" className="w-8 h-8 object-cover rounded" />
+          </a>
+          <span>
+            <span className="font-medium">{Math.round(match.similarity * 100)}%</span>
+            {match.exact && ' (identical)'}
+            {' · '}
+            {match.same_disaster ? 'this disaster' : match.disaster_title || 'another disaster'}
+            {match.report_id && ` · report ${match.report_id.slice(0, 8)}`}
+            {' · '}
+            {new Date(match.submitted_at).toLocaleDateString()}
+          </span>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+const RESULT_STYLES = {
+  verified: 'bg-green-100 text-green-800',
+  flagged: 'bg-yellow-100 text-yellow-800',
+  needs_review: 'bg-orange-100 text-orange-800',
+  rejected: 'bg-red-100 text-red-800',
+  error: 'bg-gray-100 text-gray-700'
+};
+
+const VerificationTimeline = ({ disasterId, canVerify, refreshKey }) => {
+  const { verifications } = useApi();
+  const { getForDisaster } = verifications;
+  const [attempts, setAttempts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reverifyingId, setReverifyingId] = useState(null);
+
+  const loadAttempts = useCallback(async () => {
+    const response = await getForDisaster(disasterId, { limit: 20 });
+    if (response.success) {
+      setAttempts(response.data.verifications);
+    }
+    setLoading(false);
+  }, [getForDisaster, disasterId]);
+
+  // refreshKey changes after each image verification
+  useEffect(() => {
+    loadAttempts();
+  }, [loadAttempts, refreshKey]);
+
+  const handleReverify = async (reportId) => {
+    setReverifyingId(reportId);
+    const response = await verifications.reverify(reportId);
+    if (response.success) {
+      toast.success('Report re-verified');
+      await loadAttempts();
+    }
+    setReverifyingId(null);
+  };
+
+  return (
+    <div>
+      <h3 className="flex items-center text-sm font-medium text-gray-700 mb-3">
+        <History className="w-4 h-4 mr-1" />
+        Verification History
+      </h3>
+
+      {loading ? (
+        <div className="flex items-center text-sm text-gray-500">
+          <Loader2 className="w-4 h-4 animate-spin mr-2" />
+          <span>Loading...</span>
+        </div>
+      ) : attempts.length === 0 ? (
+        <p className="text-sm text-gray-500">No images have been verified for this disaster yet</p>
+      ) : (
+        <ol className="relative border-l border-gray-200 ml-2 space-y-4 max-h-80 overflow-y-auto">
+          {attempts.map(attempt => (
+            <li key={attempt.id} className="ml-4">
+              <span className="absolute -left-2.5 flex items-center justify-center w-5 h-5 bg-white border border-gray-200 rounded-full">
+                {attempt.source === 'ai' ? (
+                  <Bot className="w-3 h-3 text-blue-500" />
+                ) : attempt.source === 'forensics' ? (
+                  <Shield className="w-3 h-3 text-orange-500" />
+                ) : (
+                  <User className="w-3 h-3 text-purple-500" />
+                )}
+              </span>
+
+              <div className="flex items-center flex-wrap gap-2">
+                <span className={`px-2 py-0.5 rounded text-xs font-medium capitalize ${RESULT_STYLES[attempt.result] || RESULT_STYLES.error}`}>
+                  {attempt.result.replace('_', ' ')}
+                </span>
+                <span className="text-xs text-gray-600">
+                  {attempt.source === 'human'
+                    ? `Reviewed by ${attempt.reviewer_id}`
+                    : [attempt.model, attempt.model_version].filter(Boolean).join(' · ') || 'AI'}
+                </span>
+                {attempt.confidence !== null && attempt.confidence !== undefined && (
+                  <span className="text-xs text-gray-500">{Math.round(attempt.confidence * 100)}%</span>
+                )}
+              </div>
+
+              {(attempt.reason || attempt.details?.analysis) && (
+                <p className="text-xs text-gray-600 mt-1 line-clamp-2">{attempt.reason || attempt.details.analysis}</p>
+              )}
+
+              <div className="flex items-center justify-between mt-1">
+                <time className="text-xs text-gray-400">{new Date(attempt.created_at).toLocaleString()}</time>
+                {canVerify && attempt.report_id && attempt.source !== 'human' && (
+                  <button
+                    type="button"
+                    onClick={() => handleReverify(attempt.report_id)}
+                    disabled={reverifyingId !== null}
+                    className="flex items-center text-xs text-blue-600 hover:text-blue-700 disabled:text-gray-400"
+                  >
+                    <RefreshCw className={`w-3 h-3 mr-1 ${reverifyingId === attempt.report_id ? 'animate-spin' : ''}`} />
+                    Re-verify
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
 export default ReportForm;
\ No newline at end of file
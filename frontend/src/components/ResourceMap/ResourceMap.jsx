@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
-import { MapContainer, TileLayer, Marker, Popup, Circle, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, Circle, GeoJSON, Polygon, Polyline, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 import { 
   Map as MapIcon, 
@@ -15,7 +15,11 @@ import {
   RefreshCw,
   Target,
   Info,
-  User
+  User,
+  PenTool,
+  Check,
+  X,
+  Trash2
 } from 'lucide-react';
 import { useApi } from '../../hooks/useApi';
 import toast from 'react-hot-toast';
@@ -65,12 +69,122 @@ const createCustomIcon = (color, icon, size = 40) => {
 
 // Enhanced marker icons
 const disasterIcon = createCustomIcon('#dc2626', '🚨', 45);
-const shelterIcon = createCustomIcon('#10b981', '🏠', 35);
-const medicalIcon = createCustomIcon('#3b82f6', '🏥', 35);
-const foodIcon = createCustomIcon('#f59e0b', '🍽️', 35);
-const waterIcon = createCustomIcon('#06b6d4', '💧', 35);
 const userLocationIcon = createCustomIcon('#8b5cf6', '📍', 30);
 
+const AREA_COLOR = '#dc2626';
+
+const SEVERITY_COLORS = {
+  low: '#22c55e',
+  medium: '#eab308',
+  high: '#f97316',
+  urgent: '#ef4444',
+  critical: '#7f1d1d'
+};
+
+const RESOURCE_EMOJI = {
+  shelter: '🏠',
+  medical: '🏥',
+  food: '🍽️',
+  water: '💧'
+};
+
+const AVAILABILITY_COLORS = {
+  available: '#10b981',
+  limited: '#f59e0b',
+  unavailable: '#6b7280',
+  depleted: '#dc2626'
+};
+
+// Resources nobody has confirmed recently are drawn grey and faded
+const STALE_COLOR = '#9ca3af';
+
+const resourceIcons = {};
+
+// Resource markers show the type's emoji on the availability colour
+const getResourceIcon = (resource) => {
+  const color = resource.stale ? STALE_COLOR : AVAILABILITY_COLORS[resource.status] || STALE_COLOR;
+  const key = `${resource.type}-${color}`;
+  if (!resourceIcons[key]) {
+    resourceIcons[key] = createCustomIcon(color, RESOURCE_EMOJI[resource.type] || '📦', 35);
+  }
+  return resourceIcons[key];
+};
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const formatHoursToday = (openingHours) => {
+  const ranges = openingHours?.[DAY_KEYS[new Date().getDay()]] || [];
+  return ranges.length > 0 ? ranges.map(r => `${r.open}–${r.close}`).join(', ') : 'Closed';
+};
+
+const vertexIcon = L.divIcon({
+  html: '<div style="width:12px;height:12px;background:white;border:2px solid #2563eb;border-radius:50%"></div>',
+  className: 'area-vertex',
+  iconSize: [12, 12],
+  iconAnchor: [6, 6]
+});
+
+// Leaflet works in [lat, lng]; GeoJSON rings are closed lists of [lng, lat]
+const toPolygon = (vertices) => ({
+  type: 'Polygon',
+  coordinates: [[...vertices, vertices[0]].map(([lat, lng]) => [lng, lat])]
+});
+
+const toVertices = (polygon) => polygon.coordinates[0].slice(0, -1).map(([lng, lat]) => [lat, lng]);
+
+// Click the map to add vertices; drag a vertex to move it, right-click to remove it
+const DrawLayer = ({ vertices, color, onChange }) => {
+  useMapEvents({
+    click: (e) => onChange([...vertices, [e.latlng.lat, e.latlng.lng]])
+  });
+
+  return (
+    <>
+      {vertices.length >= 3 ? (
+        <Polygon positions={vertices} pathOptions={{ color, dashArray: '6, 4', fillOpacity: 0.2 }} />
+      ) : (
+        <Polyline positions={vertices} pathOptions={{ color, dashArray: '6, 4' }} />
+      )}
+      {vertices.map((vertex, index) => (
+        <Marker
+          key={index}
+          position={vertex}
+          icon={vertexIcon}
+          draggable
+          eventHandlers={{
+            dragend: (e) => {
+              const { lat, lng } = e.target.getLatLng();
+              onChange(vertices.map((v, i) => (i === index ? [lat, lng] : v)));
+            },
+            contextmenu: () => onChange(vertices.filter((_, i) => i !== index))
+          }}
+        />
+      ))}
+    </>
+  );
+};
+
+// Reports the visible area as [minLng, minLat, maxLng, maxLat] on load and
+// after every pan or zoom
+const ViewportWatcher = ({ onChange }) => {
+  const toBbox = (bounds) => [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+  const map = useMapEvents({
+    moveend: () => onChange(toBbox(map.getBounds()))
+  });
+
+  useEffect(() => {
+    onChange(toBbox(map.getBounds()));
+  }, [map, onChange]);
+
+  return null;
+};
+
+const VIEWPORT_LOAD_DELAY_MS = 300;
+const VIEWPORT_LOAD_LIMIT = 100;
+
+const isInBbox = ({ lat, lng }, [minLng, minLat, maxLng, maxLat]) =>
+  lat != null && lng != null && lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat;
+
 const MapController = ({ center, zoom, onMapReady }) => {
   const map = useMap();
   
@@ -84,12 +198,13 @@ const MapController = ({ center, zoom, onMapReady }) => {
   return null;
 };
 
-const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
-  const { resources } = useApi();
+const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect, user }) => {
+  const { resources, disasters: disastersApi } = useApi();
+  const loadDisastersInView = disastersApi.getAll;
   const [mapResources, setMapResources] = useState([]);
   const [loading, setLoading] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
-  const [activeFilters, setActiveFilters] = useState(['disasters', 'shelters', 'medical', 'food', 'water']);
+  const [activeFilters, setActiveFilters] = useState(['disasters', 'shelter', 'medical', 'food', 'water']);
   const [mapCenter, setMapCenter] = useState([
     parseFloat(process.env.REACT_APP_MAP_DEFAULT_CENTER_LAT) || 40.7128,
     parseFloat(process.env.REACT_APP_MAP_DEFAULT_CENTER_LNG) || -74.0060
@@ -98,83 +213,100 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
   const [searchRadius, setSearchRadius] = useState(10000); // 10km
   const [userLocation, setUserLocation] = useState(null);
   const [mapInstance, setMapInstance] = useState(null);
+  // { target: 'area' or a severity level, vertices: [[lat, lng], ...] }
+  const [drawing, setDrawing] = useState(null);
+  const [savingArea, setSavingArea] = useState(false);
+  const [viewport, setViewport] = useState(null);
+  const [viewportDisasters, setViewportDisasters] = useState([]);
+
+  // The selected disaster as last broadcast, so area edits show up here
+  const currentDisaster = disasters.find(d => d.id === selectedDisaster?.id) || selectedDisaster;
+  const canEditAreas = Boolean(currentDisaster) && user?.permissions?.includes('update');
+  const canManageResources = user?.permissions?.includes('manage_resources');
 
   // Load resources from backend
   useEffect(() => {
     loadResourcesFromBackend();
-  }, [disasters, mapCenter, searchRadius]);
+  }, [selectedDisaster?.id, mapCenter, searchRadius]);
 
+  // Keep the selected disaster's resources live; updates keep the distance
+  // from the last search
   useEffect(() => {
-    if (selectedDisaster) {
-      const coords = parseLocationCoordinates(selectedDisaster.location);
-      if (coords) {
-        setMapCenter([coords.lat, coords.lng]);
-        setMapZoom(14);
-      } else if (selectedDisaster.location_name) {
-        // Try to get coordinates for the location name
-        geocodeLocationName(selectedDisaster.location_name);
-      }
-    }
-  }, [selectedDisaster]);
+    const forSelected = (data) => data.disaster_id === selectedDisaster?.id;
 
-  const parseLocationCoordinates = (location) => {
-    if (typeof location === 'string') {
-      // Parse PostGIS POINT format: "POINT(-74.0060 40.7128)"
-      const match = location.match(/POINT\(([^)]+)\)/);
-      if (match) {
-        const [lng, lat] = match[1].split(' ').map(parseFloat);
-        if (!isNaN(lat) && !isNaN(lng)) {
-          return { lat, lng };
-        }
-      }
-    }
-    return null;
-  };
+    const handleResourceUpdated = (data) => {
+      if (!forSelected(data)) return;
+      setMapResources(prev => prev.map(r => (r.id === data.resource.id ? { ...r, ...data.resource } : r)));
+    };
 
-  const geocodeLocationName = async (locationName) => {
-    try {
-      // Use a simple geocoding service to get coordinates
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(locationName)}&format=json&limit=1`,
-        {
-          headers: {
-            'User-Agent': 'DisasterResponsePlatform/1.0'
-          }
-        }
-      );
-      const data = await response.json();
-      
-      if (data && data.length > 0) {
-        const lat = parseFloat(data[0].lat);
-        const lng = parseFloat(data[0].lon);
-        if (!isNaN(lat) && !isNaN(lng)) {
-          setMapCenter([lat, lng]);
-          setMapZoom(13);
-        }
+    const handleResourceCreated = (data) => {
+      if (!forSelected(data)) return;
+      setMapResources(prev => [...prev.filter(r => r.id !== data.resource.id), data.resource]);
+    };
+
+    const handleResourceDeleted = (data) => {
+      if (!forSelected(data)) return;
+      setMapResources(prev => prev.filter(r => r.id !== data.id));
+    };
+
+    window.socket?.on('resource_updated', handleResourceUpdated);
+    window.socket?.on('resource_created', handleResourceCreated);
+    window.socket?.on('resource_deleted', handleResourceDeleted);
+
+    return () => {
+      window.socket?.off('resource_updated', handleResourceUpdated);
+      window.socket?.off('resource_created', handleResourceCreated);
+      window.socket?.off('resource_deleted', handleResourceDeleted);
+    };
+  }, [selectedDisaster?.id]);
+
+  // Load the disasters inside the visible area once the map stops moving
+  useEffect(() => {
+    if (!viewport) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const response = await loadDisastersInView({ bbox: viewport.join(','), limit: VIEWPORT_LOAD_LIMIT });
+      if (cancelled) return;
+
+      if (response.success) {
+        setViewportDisasters(response.data);
+      } else {
+        console.error('Failed to load disasters for the map view:', response.error);
       }
-    } catch (error) {
-      console.error('Geocoding failed:', error);
+    }, VIEWPORT_LOAD_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [viewport, loadDisastersInView]);
+
+  useEffect(() => {
+    if (selectedDisaster?.lat != null && selectedDisaster?.lng != null) {
+      setMapCenter([selectedDisaster.lat, selectedDisaster.lng]);
+      setMapZoom(14);
     }
-  };
+  }, [selectedDisaster]);
 
+  // Resources belong to a disaster, so there is nothing to show until one is
+  // selected
   const loadResourcesFromBackend = async () => {
-    setLoading(true);
-    try {
-      // Try to fetch resources from the backend
-      const response = await resources.getAll();
-      if (response.success && response.data) {
-        setMapResources(response.data);
-      } else {
-        // If backend fails or no resources, show empty state
-        setMapResources([]);
-      }
-    } catch (error) {
-      console.error('Failed to load resources from backend:', error);
-      // Set empty resources if backend fails
+    if (!selectedDisaster) {
       setMapResources([]);
-    } finally {
-      setLoading(false);
+      return;
     }
+
+    setLoading(true);
+    const response = await resources.getNearby(selectedDisaster.id, {
+      lat: mapCenter[0],
+      lon: mapCenter[1],
+      radius: searchRadius
+    });
+    setLoading(false);
+
+    // useApi has already shown the error
+    setMapResources(response.success ? response.data : []);
   };
 
   const getCurrentLocation = () => {
@@ -221,9 +353,8 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
       
       if (filteredDisasters.length > 0) {
         const firstResult = filteredDisasters[0];
-        const coords = parseLocationCoordinates(firstResult.location);
-        if (coords) {
-          setMapCenter([coords.lat, coords.lng]);
+        if (firstResult.lat != null && firstResult.lng != null) {
+          setMapCenter([firstResult.lat, firstResult.lng]);
           setMapZoom(14);
           onDisasterSelect(firstResult);
         }
@@ -231,20 +362,48 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
     }
   };
 
-  const getMarkerIcon = (type) => {
-    switch (type) {
-      case 'disaster':
-        return disasterIcon;
-      case 'shelter':
-        return shelterIcon;
-      case 'medical':
-        return medicalIcon;
-      case 'food':
-        return foodIcon;
-      case 'water':
-        return waterIcon;
-      default:
-        return disasterIcon;
+  const saveAreaChanges = async (changes) => {
+    setSavingArea(true);
+    const response = await disastersApi.patch(currentDisaster.id, changes, currentDisaster.version);
+    setSavingArea(false);
+
+    if (response.success) {
+      toast.success('Affected area saved');
+      return true;
+    }
+    if (response.error?.status === 409) {
+      toast.error('This disaster was changed by someone else. Reload and try again.');
+    } else {
+      toast.error(response.error?.message || 'Failed to save affected area');
+    }
+    return false;
+  };
+
+  const handleStartDrawing = (target) => {
+    const area = currentDisaster.affected_area;
+    const vertices = target === 'area' && area?.type === 'Polygon' ? toVertices(area) : [];
+    setDrawing({ target, vertices });
+  };
+
+  const handleFinishDrawing = async () => {
+    const polygon = toPolygon(drawing.vertices);
+    const changes = drawing.target === 'area'
+      ? { affected_area: polygon }
+      : { severity_zones: [...(currentDisaster.severity_zones || []), { severity: drawing.target, area: polygon }] };
+
+    if (await saveAreaChanges(changes)) {
+      setDrawing(null);
+    }
+  };
+
+  const handleRemoveZone = (index) => {
+    saveAreaChanges({ severity_zones: currentDisaster.severity_zones.filter((_, i) => i !== index) });
+  };
+
+  const handleResourceStatus = async (resource, status) => {
+    const response = await resources.patch(resource.disaster_id, resource.id, { status });
+    if (response.success) {
+      toast.success(status === resource.status ? 'Resource confirmed' : `Marked as ${status}`);
     }
   };
 
@@ -263,8 +422,16 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
     }
   };
 
+  // Disasters in view, preferring the live copies from the parent, plus any
+  // created or moved into view since the last load
+  const liveDisasters = new Map(disasters.map(d => [d.id, d]));
+  const mapDisasters = [
+    ...viewportDisasters.map(d => liveDisasters.get(d.id) || d),
+    ...disasters.filter(d => viewport && isInBbox(d, viewport) && !viewportDisasters.some(v => v.id === d.id))
+  ];
+
   // Filter disasters and resources based on active filters and search
-  const filteredDisasters = disasters.filter(disaster => {
+  const filteredDisasters = mapDisasters.filter(disaster => {
     const matchesSearch = !searchQuery || 
       disaster.title?.toLowerCase().includes(searchQuery.toLowerCase()) ||
       disaster.location_name?.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -287,8 +454,8 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
 
   // Calculate counts for filters from actual data
   const resourceCounts = {
-    disasters: disasters?.length || 0,
-    shelters: mapResources.filter(r => r.type === 'shelter')?.length || 0,
+    disasters: mapDisasters.length,
+    shelter: mapResources.filter(r => r.type === 'shelter')?.length || 0,
     medical: mapResources.filter(r => r.type === 'medical')?.length || 0,
     food: mapResources.filter(r => r.type === 'food')?.length || 0,
     water: mapResources.filter(r => r.type === 'water')?.length || 0
@@ -364,7 +531,7 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
             <div className="space-y-2">
               {[
                 { id: 'disasters', label: 'Disasters', color: '#ef4444', count: resourceCounts.disasters },
-                { id: 'shelters', label: 'Shelters', color: '#10b981', count: resourceCounts.shelters },
+                { id: 'shelter', label: 'Shelters', color: '#10b981', count: resourceCounts.shelter },
                 { id: 'medical', label: 'Medical Aid', color: '#3b82f6', count: resourceCounts.medical },
                 { id: 'food', label: 'Food Centers', color: '#f59e0b', count: resourceCounts.food },
                 { id: 'water', label: 'Water Points', color: '#06b6d4', count: resourceCounts.water }
@@ -391,6 +558,19 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
             </div>
           </div>
 
+          {canEditAreas && (
+            <AreaPanel
+              disaster={currentDisaster}
+              drawing={drawing}
+              saving={savingArea}
+              onStart={handleStartDrawing}
+              onFinish={handleFinishDrawing}
+              onCancel={() => setDrawing(null)}
+              onClearArea={() => saveAreaChanges({ affected_area: null })}
+              onRemoveZone={handleRemoveZone}
+            />
+          )}
+
           {/* Legend */}
           <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
             <div className="flex items-center space-x-2 mb-4">
@@ -420,6 +600,19 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
                 <span>Water Points</span>
               </div>
             </div>
+
+            <div className="space-y-2 text-sm mt-4 pt-4 border-t border-gray-100">
+              {Object.entries(AVAILABILITY_COLORS).map(([status, color]) => (
+                <div key={status} className="flex items-center space-x-2">
+                  <div className="w-3 h-3 rounded-full" style={{ backgroundColor: color }}></div>
+                  <span className="capitalize">{status}</span>
+                </div>
+              ))}
+              <div className="flex items-center space-x-2">
+                <div className="w-3 h-3 rounded-full opacity-60" style={{ backgroundColor: STALE_COLOR }}></div>
+                <span>Not confirmed recently</span>
+              </div>
+            </div>
           </div>
         </motion.div>
 
@@ -443,6 +636,7 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
                   zoom={mapZoom}
                   onMapReady={setMapInstance}
                 />
+                <ViewportWatcher onChange={setViewport} />
                 
                 <TileLayer
                   attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
@@ -462,6 +656,34 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
                   }}
                 />
 
+                {/* Affected areas and severity zones */}
+                {filteredDisasters.map((disaster) => (
+                  <React.Fragment key={`areas-${disaster.id}-${disaster.version}`}>
+                    {disaster.affected_area && (
+                      <GeoJSON
+                        data={disaster.affected_area}
+                        pathOptions={{ color: AREA_COLOR, weight: 2, fillOpacity: 0.1 }}
+                        eventHandlers={{ click: () => !drawing && onDisasterSelect(disaster) }}
+                      />
+                    )}
+                    {(disaster.severity_zones || []).map((zone, index) => (
+                      <GeoJSON
+                        key={index}
+                        data={zone.area}
+                        pathOptions={{ color: SEVERITY_COLORS[zone.severity], weight: 1, fillOpacity: 0.3 }}
+                      />
+                    ))}
+                  </React.Fragment>
+                ))}
+
+                {drawing && (
+                  <DrawLayer
+                    vertices={drawing.vertices}
+                    color={drawing.target === 'area' ? AREA_COLOR : SEVERITY_COLORS[drawing.target]}
+                    onChange={(vertices) => setDrawing({ ...drawing, vertices })}
+                  />
+                )}
+
                 {/* User Location */}
                 {userLocation && (
                   <Marker position={userLocation} icon={userLocationIcon}>
@@ -474,17 +696,11 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
                 )}
 
                 {/* Disasters */}
-                {filteredDisasters.map((disaster) => {
-                  const coords = parseLocationCoordinates(disaster.location);
-                  // If no coordinates, use a default location with some offset
-                  const markerPosition = coords 
-                    ? [coords.lat, coords.lng]
-                    : [mapCenter[0] + (Math.random() - 0.5) * 0.02, mapCenter[1] + (Math.random() - 0.5) * 0.02];
-                  
+                {filteredDisasters.filter(disaster => disaster.lat != null && disaster.lng != null).map((disaster) => {
                   return (
                     <Marker
                       key={`disaster-${disaster.id}`}
-                      position={markerPosition}
+                      position={[disaster.lat, disaster.lng]}
                       icon={disasterIcon}
                       eventHandlers={{
                         click: () => onDisasterSelect(disaster)
@@ -531,8 +747,9 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
                 {filteredResources.map((resource) => (
                   <Marker
                     key={`resource-${resource.id}`}
-                    position={resource.coordinates}
-                    icon={getMarkerIcon(resource.type)}
+                    position={[resource.lat, resource.lng]}
+                    icon={getResourceIcon(resource)}
+                    opacity={resource.stale ? 0.6 : 1}
                   >
                     <Popup>
                       <div className="min-w-48">
@@ -557,6 +774,12 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
                             <strong>Contact:</strong> {resource.contact_info}
                           </div>
                         )}
+
+                        <ResourceAvailability
+                          resource={resource}
+                          canManage={canManageResources}
+                          onStatusChange={(status) => handleResourceStatus(resource, status)}
+                        />
                         
                         <div className="flex space-x-2 mt-2">
                           <span
@@ -589,4 +812,160 @@ const ResourceMap = ({ disasters, selectedDisaster, onDisasterSelect }) => {
   );
 };
 
+const RESOURCE_STATUSES = Object.keys(AVAILABILITY_COLORS);
+
+const ResourceAvailability = ({ resource, canManage, onStatusChange }) => {
+  const confirmedAt = resource.last_confirmed_at || resource.created_at;
+
+  return (
+    <div className="text-sm mb-2 space-y-1">
+      <div className="flex items-center space-x-2">
+        <span
+          className="px-2 py-0.5 text-xs rounded text-white capitalize"
+          style={{ backgroundColor: AVAILABILITY_COLORS[resource.status] || STALE_COLOR }}
+        >
+          {resource.status}
+        </span>
+        {resource.capacity != null && (
+          <span className="text-gray-600">
+            {resource.occupancy ?? '?'} / {resource.capacity} occupied
+          </span>
+        )}
+      </div>
+
+      {resource.opening_hours && (
+        <div className="text-gray-600">Today: {formatHoursToday(resource.opening_hours)}</div>
+      )}
+
+      {confirmedAt && (
+        <div className={resource.stale ? 'text-amber-700 font-medium' : 'text-gray-500'}>
+          {resource.stale ? '⚠ Not confirmed since ' : 'Confirmed '}
+          {new Date(confirmedAt).toLocaleString()}
+        </div>
+      )}
+
+      {canManage && (
+        <div className="flex flex-wrap gap-1 pt-1">
+          {RESOURCE_STATUSES.filter(status => status !== resource.status).map((status) => (
+            <button
+              key={status}
+              onClick={() => onStatusChange(status)}
+              className="px-2 py-0.5 text-xs rounded border border-gray-300 hover:bg-gray-100 capitalize"
+            >
+              {status}
+            </button>
+          ))}
+          <button
+            onClick={() => onStatusChange(resource.status)}
+            className="px-2 py-0.5 text-xs rounded bg-blue-500 text-white hover:bg-blue-600"
+          >
+            Confirm
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const AreaPanel = ({ disaster, drawing, saving, onStart, onFinish, onCancel, onClearArea, onRemoveZone }) => {
+  const [target, setTarget] = useState('area');
+  const zones = disaster.severity_zones || [];
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <div className="flex items-center space-x-2 mb-4">
+        <PenTool className="w-5 h-5 text-gray-500" />
+        <h3 className="font-semibold text-gray-900">Affected Area</h3>
+      </div>
+
+      <p className="text-xs text-gray-500 mb-3 truncate">{disaster.title}</p>
+
+      {drawing ? (
+        <div className="space-y-3">
+          <p className="text-xs text-gray-600">
+            Click the map to add points. Drag a point to move it, right-click to remove it.
+          </p>
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              onClick={onFinish}
+              disabled={saving || drawing.vertices.length < 3}
+              className="flex-1 flex items-center justify-center space-x-1 px-3 py-2 bg-red-500 hover:bg-red-600 text-white text-sm rounded-lg disabled:opacity-50"
+            >
+              <Check className="w-4 h-4" />
+              <span>Save</span>
+            </button>
+            <button
+              type="button"
+              onClick={onCancel}
+              disabled={saving}
+              className="flex-1 flex items-center justify-center space-x-1 px-3 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm rounded-lg"
+            >
+              <X className="w-4 h-4" />
+              <span>Cancel</span>
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <select
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="area">Affected area</option>
+            {Object.keys(SEVERITY_COLORS).map(severity => (
+              <option key={severity} value={severity}>{severity} severity zone</option>
+            ))}
+          </select>
+
+          <button
+            type="button"
+            onClick={() => onStart(target)}
+            disabled={saving}
+            className="w-full flex items-center justify-center space-x-1 px-3 py-2 bg-blue-500 hover:bg-blue-600 text-white text-sm rounded-lg disabled:opacity-50"
+          >
+            <PenTool className="w-4 h-4" />
+            <span>{target === 'area' && disaster.affected_area ? 'Edit area' : 'Draw'}</span>
+          </button>
+
+          {disaster.affected_area && (
+            <button
+              type="button"
+              onClick={onClearArea}
+              disabled={saving}
+              className="w-full flex items-center justify-center space-x-1 px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg"
+            >
+              <Trash2 className="w-4 h-4" />
+              <span>Remove affected area</span>
+            </button>
+          )}
+
+          {zones.length > 0 && (
+            <ul className="space-y-1">
+              {zones.map((zone, index) => (
+                <li key={index} className="flex items-center justify-between text-sm">
+                  <span className="flex items-center space-x-2">
+                    <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: SEVERITY_COLORS[zone.severity] }}></span>
+                    <span className="capitalize">{zone.severity}</span>
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => onRemoveZone(index)}
+                    disabled={saving}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    title="Remove zone"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
 export default ResourceMap;
\ No newline at end of file
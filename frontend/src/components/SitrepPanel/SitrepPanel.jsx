@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { ClipboardList, X, Loader2, Download, Sparkles, FileText } from 'lucide-react';
+import { useApi } from '../../hooks/useApi';
+import { downloadFile } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const SitrepPanel = ({ disaster, user, onClose }) => {
+  const { disasters: disasterApi } = useApi();
+  // useApi rebuilds its namespaces every render; the methods are stable
+  const { getSitreps, getSitrep } = disasterApi;
+  const [versions, setVersions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [mode, setMode] = useState('auto');
+
+  const canGenerate = user?.permissions?.includes('update');
+
+  useEffect(() => {
+    const loadVersions = async () => {
+      setLoading(true);
+      const response = await getSitreps(disaster.id);
+      if (response.success) {
+        setVersions(response.data);
+        if (response.data.length > 0) {
+          const latest = await getSitrep(disaster.id, response.data[0].version);
+          if (latest.success) {
+            setSelected(latest.data);
+          }
+        }
+      }
+      setLoading(false);
+    };
+
+    loadVersions();
+  }, [getSitreps, getSitrep, disaster.id]);
+
+  const selectVersion = async (version) => {
+    const response = await getSitrep(disaster.id, version);
+    if (response.success) {
+      setSelected(response.data);
+    }
+  };
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    const response = await disasterApi.createSitrep(disaster.id, mode);
+    if (response.success) {
+      toast.success(`Situation report v${response.data.version} generated`);
+      setSelected(response.data);
+      const list = await getSitreps(disaster.id);
+      if (list.success) {
+        setVersions(list.data);
+      }
+    }
+    setGenerating(false);
+  };
+
+  const handleDownload = async (format) => {
+    const extension = format === 'markdown' ? 'md' : 'pdf';
+    const result = await downloadFile(
+      `/disasters/${disaster.id}/sitreps/${selected.version}?format=${format}`,
+      `sitrep-v${selected.version}.${extension}`
+    );
+    if (!result.success) {
+      toast.error('Download failed');
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-xl shadow-xl w-full max-w-4xl max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <ClipboardList className="w-5 h-5 text-gray-600" />
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Situation Reports</h2>
+              <p className="text-sm text-gray-600 truncate">{disaster.title}</p>
+            </div>
+          </div>
+          <div className="flex items-center space-x-2">
+            {canGenerate && (
+              <>
+                <select
+                  value={mode}
+                  onChange={(e) => setMode(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                >
+                  <option value="auto">AI if available</option>
+                  <option value="llm">AI only</option>
+                  <option value="template">Template</option>
+                </select>
+                <button
+                  onClick={handleGenerate}
+                  disabled={generating}
+                  className="flex items-center space-x-1 px-3 py-1.5 bg-red-500 hover:bg-red-600 disabled:bg-gray-300 text-white text-sm rounded-lg"
+                >
+                  {generating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+                  <span>Generate</span>
+                </button>
+              </>
+            )}
+            <button
+              onClick={onClose}
+              className="p-2 text-gray-400 hover:text-gray-600 rounded-lg"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          <div className="w-48 border-r border-gray-200 overflow-y-auto">
+            {versions.map(version => (
+              <button
+                key={version.id}
+                onClick={() => selectVersion(version.version)}
+                className={`w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-gray-50 ${
+                  selected?.version === version.version ? 'bg-red-50' : ''
+                }`}
+              >
+                <p className="text-sm font-medium text-gray-900">Version {version.version}</p>
+                <p className="text-xs text-gray-500">{new Date(version.created_at).toLocaleString()}</p>
+                <p className="text-xs text-gray-400">{version.mode === 'llm' ? version.model : 'template'}</p>
+              </button>
+            ))}
+          </div>
+
+          <div className="flex-1 p-6 overflow-y-auto">
+            {loading ? (
+              <div className="flex items-center justify-center py-8 text-gray-500">
+                <Loader2 className="w-5 h-5 animate-spin mr-2" />
+                <span>Loading situation reports...</span>
+              </div>
+            ) : !selected ? (
+              <div className="text-center py-8">
+                <FileText className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+                <p className="text-gray-500">No situation reports yet</p>
+              </div>
+            ) : (
+              <SitrepContent sitrep={selected} onDownload={handleDownload} />
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+const Refs = ({ refs }) => (
+  refs && refs.length > 0 ? (
+    <span className="text-xs text-blue-600 ml-1">[{refs.join(', ')}]</span>
+  ) : null
+);
+
+const SitrepContent = ({ sitrep, onDownload }) => {
+  const { content, sources } = sitrep;
+
+  return (
+    <div className="space-y-5">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-xl font-bold text-gray-900">{content.title}</h3>
+          <p className="text-xs text-gray-500">
+            Version {sitrep.version} · {new Date(sitrep.created_at).toLocaleString()} · {sitrep.created_by}
+            {sitrep.mode === 'llm' ? ` · ${sitrep.provider} ${sitrep.model}` : ' · template'}
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => onDownload('markdown')}
+            className="flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Download className="w-4 h-4" />
+            <span>Markdown</span>
+          </button>
+          <button
+            onClick={() => onDownload('pdf')}
+            className="flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Download className="w-4 h-4" />
+            <span>PDF</span>
+          </button>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-700">{content.summary}</p>
+
+      {content.key_figures.length > 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+          {content.key_figures.map(figure => (
+            <div key={figure.label} className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-xs text-gray-500">{figure.label}</p>
+              <p className="text-lg font-semibold text-gray-900">
+                {figure.value}
+                <Refs refs={figure.refs} />
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {content.sections.map(section => (
+        <div key={section.heading}>
+          <h4 className="text-sm font-semibold text-gray-900 mb-1">{section.heading}</h4>
+          <p className="text-sm text-gray-700 whitespace-pre-line">{section.body}</p>
+        </div>
+      ))}
+
+      {sources.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 mb-1">Sources</h4>
+          <ul className="space-y-1">
+            {sources.map(source => (
+              <li key={source.ref} className="text-xs text-gray-600">
+                <span className="font-medium text-blue-600">[{source.ref}]</span>{' '}
+                {source.author && `${source.author}: `}
+                {source.url ? (
+                  <a href={source.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                    {source.text}
+                  </a>
+                ) : source.text}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SitrepPanel;
@@ -53,7 +53,10 @@ export const useApi = () => {
       if (errorStatus === 401) {
         toast.error('Authentication required');
       } else if (errorStatus === 403) {
-        toast.error('Access denied');
+        toast.error(err.response?.data?.reason || 'Access denied');
+      } else if (errorStatus === 422 && !options.suppressErrorToast) {
+        const fieldErrors = Object.values(err.response?.data?.fields || {});
+        toast.error(fieldErrors[0] || errorMessage);
       } else if (errorStatus === 404) {
         toast.error('Resource not found');
       } else if (errorStatus === 429) {
@@ -122,10 +125,46 @@ export const useApi = () => {
       return post('/disasters', data);
     }, [post]),
 
-    update: useCallback((id, data) => {
-      return put(`/disasters/${id}`, data);
+    // version is the disaster's current version, sent as If-Match so the
+    // server rejects the write with 409 if someone else saved in between
+    update: useCallback((id, data, version) => {
+      return put(`/disasters/${id}`, data, {
+        headers: { 'If-Match': `"${version}"` },
+        suppressErrorToast: true
+      });
     }, [put]),
 
+    patch: useCallback((id, data, version) => {
+      return patch(`/disasters/${id}`, data, {
+        headers: version !== undefined ? { 'If-Match': `"${version}"` } : {},
+        suppressErrorToast: true
+      });
+    }, [patch]),
+
+    updateStatus: useCallback((id, status, reason) => {
+      return put(`/disasters/${id}/status`, { status, reason });
+    }, [put]),
+
+    getHistory: useCallback((id) => {
+      return get(`/disasters/${id}/history`);
+    }, [get]),
+
+    createSitrep: useCallback((id, mode = 'auto') => {
+      return post(`/disasters/${id}/sitrep`, { mode });
+    }, [post]),
+
+    getSitreps: useCallback((id) => {
+      return get(`/disasters/${id}/sitreps`);
+    }, [get]),
+
+    getSitrep: useCallback((id, version) => {
+      return get(`/disasters/${id}/sitreps/${version}`);
+    }, [get]),
+
+    revert: useCallback((id, revision) => {
+      return post(`/disasters/${id}/revert/${revision}`);
+    }, [post]),
+
     delete: useCallback((id) => {
       return del(`/disasters/${id}`);
     }, [del]),
@@ -210,7 +249,79 @@ export const useApi = () => {
 
     create: useCallback((disasterId, data) => {
       return post(`/disasters/${disasterId}/resources`, data);
-    }, [post])
+    }, [post]),
+
+    update: useCallback((disasterId, resourceId, data) => {
+      return put(`/disasters/${disasterId}/resources/${resourceId}`, data);
+    }, [put]),
+
+    patch: useCallback((disasterId, resourceId, data) => {
+      return patch(`/disasters/${disasterId}/resources/${resourceId}`, data);
+    }, [patch]),
+
+    delete: useCallback((disasterId, resourceId) => {
+      return del(`/disasters/${disasterId}/resources/${resourceId}`);
+    }, [del]),
+
+    getHistory: useCallback((disasterId, resourceId) => {
+      return get(`/disasters/${disasterId}/resources/${resourceId}/history`);
+    }, [get])
+  };
+
+  // Report moderation methods
+  const moderation = {
+    getQueue: useCallback((params = {}) => {
+      const queryString = new URLSearchParams(params).toString();
+      const url = queryString ? `/moderation/reports?${queryString}` : '/moderation/reports';
+      return get(url);
+    }, [get]),
+
+    claim: useCallback((reportId) => {
+      return post(`/moderation/reports/${reportId}/claim`);
+    }, [post]),
+
+    release: useCallback((reportId) => {
+      return post(`/moderation/reports/${reportId}/release`);
+    }, [post]),
+
+    approve: useCallback((reportId, reason) => {
+      return post(`/moderation/reports/${reportId}/approve`, { reason });
+    }, [post]),
+
+    reject: useCallback((reportId, reason) => {
+      return post(`/moderation/reports/${reportId}/reject`, { reason });
+    }, [post]),
+
+    bulk: useCallback((action, reportIds, reason) => {
+      return post('/moderation/reports/bulk', { action, report_ids: reportIds, reason });
+    }, [post]),
+
+    getLog: useCallback((reportId) => {
+      return get(`/moderation/reports/${reportId}/log`);
+    }, [get])
+  };
+
+  // Verification history methods
+  const verifications = {
+    getForDisaster: useCallback((disasterId, params = {}) => {
+      const queryString = new URLSearchParams(params).toString();
+      const url = queryString ? `/disasters/${disasterId}/verifications?${queryString}` : `/disasters/${disasterId}/verifications`;
+      return get(url);
+    }, [get]),
+
+    getForReport: useCallback((reportId, params = {}) => {
+      const queryString = new URLSearchParams(params).toString();
+      const url = queryString ? `/reports/${reportId}/verifications?${queryString}` : `/reports/${reportId}/verifications`;
+      return get(url);
+    }, [get]),
+
+    reverify: useCallback((reportId) => {
+      return post(`/reports/${reportId}/reverify`);
+    }, [post]),
+
+    getSimilarImages: useCallback((reportId) => {
+      return get(`/reports/${reportId}/similar-images`);
+    }, [get])
   };
 
   // Geocoding methods
@@ -220,6 +331,13 @@ export const useApi = () => {
     }, [post])
   };
 
+  // Structured extraction from free text
+  const situation = {
+    extract: useCallback((text) => {
+      return post('/situation/extract', { text });
+    }, [post])
+  };
+
   // Utility method for handling file uploads
   const uploadFile = useCallback(async (file, onProgress = null) => {
     setLoading(true);
@@ -324,7 +442,10 @@ export const useApi = () => {
     delete: del,
     disasters,
     resources,
+    moderation,
+    verifications,
     geocoding,
+    situation,
     socialMedia,
    officialUpdates,
     uploadFile,
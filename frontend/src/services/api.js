@@ -1,7 +1,7 @@
 import axios from 'axios';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
-const DEFAULT_USER_ID = process.env.REACT_APP_DEFAULT_USER_ID || 'netrunnerX';
+const AUTH_STORAGE_KEY = 'drp_auth';
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -11,9 +11,28 @@ const api = axios.create({
   },
 });
 
+export const authStorage = {
+  get: () => {
+    try {
+      return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY)) || null;
+    } catch (error) {
+      return null;
+    }
+  },
+  set: ({ access_token, refresh_token }) => {
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify({ access_token, refresh_token }));
+  },
+  clear: () => {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+  }
+};
+
 api.interceptors.request.use(
   (config) => {
-    config.headers['x-user-id'] = DEFAULT_USER_ID;
+    const session = authStorage.get();
+    if (session?.access_token) {
+      config.headers['Authorization'] = `Bearer ${session.access_token}`;
+    }
     config.headers['x-request-time'] = new Date().toISOString();
     config.headers['x-request-id'] = generateRequestId();
     
@@ -34,6 +53,20 @@ api.interceptors.request.use(
   }
 );
 
+// Shared so that concurrent 401s trigger a single refresh call
+let refreshPromise = null;
+
+const refreshSession = async () => {
+  const session = authStorage.get();
+  if (!session?.refresh_token) {
+    throw new Error('No refresh token');
+  }
+
+  const response = await api.post('/auth/refresh', { refresh_token: session.refresh_token });
+  authStorage.set(response.data);
+  return response.data;
+};
+
 api.interceptors.response.use(
   (response) => {
     if (process.env.REACT_APP_DEBUG_MODE === 'true') {
@@ -48,7 +81,26 @@ api.interceptors.response.use(
     
     return response;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRequest = ['/auth/login', '/auth/refresh', '/auth/logout'].includes(originalRequest?.url);
+
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthRequest) {
+      originalRequest._retry = true;
+
+      try {
+        refreshPromise = refreshPromise || refreshSession();
+        const { access_token } = await refreshPromise;
+        originalRequest.headers['Authorization'] = `Bearer ${access_token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        authStorage.clear();
+        window.dispatchEvent(new Event('auth:logout'));
+      } finally {
+        refreshPromise = null;
+      }
+    }
+
     const requestId = error.config?.headers?.['x-request-id'];
     
     if (process.env.REACT_APP_DEBUG_MODE === 'true') {
@@ -234,6 +286,41 @@ export const batchRequests = async (requests, concurrency = 3) => {
   return results;
 };
 
+export const authApi = {
+  login: async (username, password) => {
+    const response = await api.post('/auth/login', { username, password });
+    authStorage.set(response.data);
+    return response.data.user;
+  },
+
+  logout: async () => {
+    const session = authStorage.get();
+    authStorage.clear();
+
+    if (session?.refresh_token) {
+      try {
+        await api.post('/auth/logout', { refresh_token: session.refresh_token });
+      } catch (error) {
+        console.error('❌ Logout error:', error);
+      }
+    }
+  },
+
+  getCurrentUser: async () => {
+    if (!authStorage.get()) {
+      return null;
+    }
+
+    try {
+      const response = await api.get('/auth/me');
+      return response.data;
+    } catch (error) {
+      authStorage.clear();
+      return null;
+    }
+  }
+};
+
 const socialMediaApi = {
   getReports: async (disasterId, params = {}) => {
     try {
@@ -618,6 +705,33 @@ export const useApi = () => ({
       } catch (error) {
         return { success: false, error: error.message };
       }
+    },
+
+    update: async (disasterId, resourceId, data) => {
+      try {
+        const response = await api.put(`/disasters/${disasterId}/resources/${resourceId}`, data);
+        return { success: true, data: response.data };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+
+    patch: async (disasterId, resourceId, data) => {
+      try {
+        const response = await api.patch(`/disasters/${disasterId}/resources/${resourceId}`, data);
+        return { success: true, data: response.data };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+
+    delete: async (disasterId, resourceId) => {
+      try {
+        await api.delete(`/disasters/${disasterId}/resources/${resourceId}`);
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
     }
   },
   
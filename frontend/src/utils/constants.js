@@ -170,7 +170,7 @@ export const API_CONFIG = {
     ADMIN: {
       value: 'admin',
       label: 'Administrator',
-      permissions: ['create', 'read', 'update', 'delete', 'verify', 'manage_users'],
+      permissions: ['create', 'read', 'update', 'delete', 'verify', 'manage_resources', 'manage_users'],
       color: '#dc2626'
     },
     COORDINATOR: {
@@ -215,6 +215,8 @@ export const API_CONFIG = {
     DISASTER_DELETED: 'disaster_deleted',
     REPORT_CREATED: 'report_created',
     RESOURCE_CREATED: 'resource_created',
+    RESOURCE_UPDATED: 'resource_updated',
+    RESOURCE_DELETED: 'resource_deleted',
     SOCIAL_MEDIA_UPDATED: 'social_media_updated',
     RESOURCES_UPDATED: 'resources_updated',
     URGENT_ALERT: 'urgent_alert',